@@ -4,11 +4,99 @@
 import { CONFIG, MESSAGE_TYPES, ERROR_CODES } from './modules/config.js';
 import { Logger, ErrorHandler, TimeUtils } from './modules/utils.js';
 import { feishuApiService } from './modules/feishu-api.js';
-import { storageManager } from './modules/storage.js';
+import { feishuAuthService } from './modules/feishu-auth.js';
+import { credentialVault } from './modules/credential-vault.js';
+import { storageManager, DEFAULT_SOURCE_ID } from './modules/storage.js';
+import { FieldMapping, PROMPT_FIELDS } from './modules/field-mapping.js';
+import { promptSources } from './modules/prompt-sources.js';
+import { diffLines, mergeText } from './modules/text-diff.js';
+import { promptSearchIndex } from './modules/search-index.js';
+import { parseSearchQuery, getCompletionContext, formatFilterToken, SEARCH_FLAGS } from './modules/search-query.js';
+import { preparePinyin, matchPinyin } from './modules/pinyin.js';
+import {
+  parseTemplate,
+  parseContextVariables,
+  validateTemplateValues,
+  renderTemplate,
+  normalizeAlias,
+  parseIncludes,
+  expandIncludes,
+  checkTemplateSyntax
+} from './modules/prompt-template.js';
+
+// config.js 之外新增的消息类型，取值与 content.js / popup.js 发送的 action 保持一致
+const EXTENDED_MESSAGE_TYPES = {
+  CREATE_PROMPT: 'createPrompt',
+  UPDATE_PROMPT: 'updatePrompt',
+  DELETE_PROMPT: 'deletePrompt',
+  BATCH_CREATE_PROMPTS: 'batchCreatePrompts',
+  BATCH_UPDATE_PROMPTS: 'batchUpdatePrompts',
+  BATCH_DELETE_PROMPTS: 'batchDeletePrompts',
+  GET_TABLE_FIELDS: 'getTableFields',
+  SAVE_FIELD_MAPPING: 'saveFieldMapping',
+  INSPECT_TABLE_SCHEMA: 'inspectTableSchema',
+  CREATE_PROMPT_TABLE: 'createPromptTable',
+  REFRESH_PROGRESS: 'refreshProgress',
+  SIGN_IN_FEISHU: 'signInFeishu',
+  SIGN_OUT_FEISHU: 'signOutFeishu',
+  GET_AUTH_STATUS: 'getAuthStatus',
+  GET_FEISHU_CONFIG: 'getFeishuConfig',
+  SAVE_FEISHU_CONFIG: 'saveFeishuConfig',
+  CLEAR_CREDENTIALS: 'clearCredentials',
+  GET_VAULT_STATUS: 'getVaultStatus',
+  SET_VAULT_PASSPHRASE: 'setVaultPassphrase',
+  UNLOCK_VAULT: 'unlockVault',
+  GET_PROMPTS: 'getPrompts',
+  GET_PROMPT_SOURCES: 'getPromptSources',
+  GET_OUTBOX: 'getOutbox',
+  RETRY_OUTBOX: 'retryOutbox',
+  DISCARD_OUTBOX_ITEM: 'discardOutboxItem',
+  OUTBOX_CHANGED: 'outboxChanged',
+  GET_CONFLICT: 'getConflict',
+  RESOLVE_CONFLICT: 'resolveConflict',
+  RECORD_USAGE: 'recordUsage',
+  GET_STATS: 'getStats',
+  GET_STORAGE_USAGE: 'getStorageUsage',
+  GET_STORAGE_ITEMS: 'getStorageItems',
+  SET_STORAGE_ITEMS: 'setStorageItems',
+  REMOVE_STORAGE_ITEMS: 'removeStorageItems',
+  GET_SEARCH_SUGGESTIONS: 'getSearchSuggestions',
+  SET_FAVORITE: 'setFavorite',
+  PREPARE_TEMPLATE: 'prepareTemplate',
+  RENDER_TEMPLATE: 'renderTemplate',
+  GET_PROMPT_REFERENCES: 'getPromptReferences'
+};
+
+// 写入队列重放的退避时间：从 30 秒开始逐次翻倍，最长 30 分钟
+const OUTBOX_RETRY_BASE_DELAY = 30 * 1000;
+const OUTBOX_RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+// 连续失败达到该次数后标记为失败，需要在弹窗中手动重试
+const OUTBOX_MAX_ATTEMPTS = 8;
+
+// 可以排队稍后重放的写入错误
+const QUEUEABLE_ERROR_CODES = [ERROR_CODES.NETWORK_ERROR, ERROR_CODES.RATE_LIMIT_ERROR];
+
+// 冲突合并时逐项比较的提示词字段
+const MERGE_FIELDS = ['title', 'content', 'alias', 'category', 'tags', 'description', 'usage', 'variables', 'examples', 'priority', 'isActive'];
+
+const CONFLICT_MESSAGE = '飞书中的提示词在本地修改后也被修改过';
+
+// 选项页可以通过后台读写的存储项；飞书配置含凭据状态，只能整体删除，读写走专门的消息
+const PAGE_STORAGE_KEYS = {
+  read: [CONFIG.STORAGE_KEYS.SETTINGS, CONFIG.STORAGE_KEYS.CONFIG_MODE],
+  write: [CONFIG.STORAGE_KEYS.SETTINGS, CONFIG.STORAGE_KEYS.CONFIG_MODE],
+  remove: [CONFIG.STORAGE_KEYS.SETTINGS, CONFIG.STORAGE_KEYS.CONFIG_MODE, CONFIG.STORAGE_KEYS.FEISHU_CONFIG]
+};
 
 // Service Worker 生命周期管理
 let keepAliveInterval;
 let autoRefreshInterval;
+let outboxTimer;
+let outboxReplayRequest = null;
+
+// 内存中的搜索索引对应的永久提示词版本
+let searchIndexVersion = -1;
 
 /**
  * 初始化Service Worker
@@ -22,11 +110,14 @@ async function initialize() {
 
     // 加载配置
     const feishuConfig = storageManager.getFeishuConfig();
-    await feishuApiService.initConfig(feishuConfig);
+    await promptSources.load(feishuConfig);
 
     // 设置消息监听器
     setupMessageListeners();
 
+    // 监听配置变化
+    setupStorageListener();
+
     // 设置上下文菜单
     setupContextMenu();
 
@@ -36,6 +127,11 @@ async function initialize() {
     // 启动自动刷新
     await startAutoRefresh();
 
+    // 重放上次未完成的写入
+    replayOutbox().catch(error => {
+      Logger.error('重放写入队列失败', { error });
+    });
+
     Logger.info('PromptMaster Service Worker 初始化完成');
 
   } catch (error) {
@@ -68,210 +164,2144 @@ function setupMessageListeners() {
 }
 
 /**
- * 处理接收到的消息
+ * 设置存储变化监听器
+ * 选项页直接写入飞书配置后，重新加载到 API 服务中
+ */
+function setupStorageListener() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    if (changes[CONFIG.STORAGE_KEYS.FEISHU_CONFIG] || changes[CONFIG.STORAGE_KEYS.CONFIG_MODE]) {
+      reloadFeishuConfig().catch(error => {
+        Logger.error('重新加载飞书配置失败', { error });
+      });
+    }
+  });
+
+  Logger.debug('存储变化监听器设置完成');
+}
+
+/**
+ * 重新加载飞书配置
+ */
+async function reloadFeishuConfig() {
+  const feishuConfig = await storageManager.loadFeishuConfig();
+  await promptSources.load(feishuConfig);
+}
+
+/**
+ * 处理接收到的消息
+ */
+async function handleIncomingMessage(request, sender) {
+  const { action, ...params } = request;
+
+  Logger.debug('接收到消息', { action, params });
+
+  switch (action) {
+    // 搜索相关
+    case MESSAGE_TYPES.SEARCH_PROMPTS:
+      return await handleSearchPrompts(params);
+
+    case EXTENDED_MESSAGE_TYPES.GET_SEARCH_SUGGESTIONS:
+      return await handleGetSearchSuggestions(params);
+
+    case EXTENDED_MESSAGE_TYPES.SET_FAVORITE:
+      return await handleSetFavorite(params);
+
+    // 模板变量
+    case EXTENDED_MESSAGE_TYPES.PREPARE_TEMPLATE:
+      return await handlePrepareTemplate(params);
+
+    case EXTENDED_MESSAGE_TYPES.RENDER_TEMPLATE:
+      return await handleRenderTemplate(params);
+
+    case EXTENDED_MESSAGE_TYPES.GET_PROMPT_REFERENCES:
+      return await handleGetPromptReferences(params);
+
+    // 提示词列表与数据源
+    case EXTENDED_MESSAGE_TYPES.GET_PROMPTS:
+      return await handleGetPrompts(params);
+
+    case EXTENDED_MESSAGE_TYPES.GET_PROMPT_SOURCES:
+      return await handleGetPromptSources();
+
+    // 使用统计
+    case EXTENDED_MESSAGE_TYPES.RECORD_USAGE:
+      return await handleRecordUsage(params);
+
+    case EXTENDED_MESSAGE_TYPES.GET_STATS:
+      return await handleGetStats();
+
+    case EXTENDED_MESSAGE_TYPES.GET_STORAGE_USAGE:
+      return await handleGetStorageUsage();
+
+    case EXTENDED_MESSAGE_TYPES.GET_STORAGE_ITEMS:
+      return await handleGetStorageItems(params, sender);
+
+    case EXTENDED_MESSAGE_TYPES.SET_STORAGE_ITEMS:
+      return await handleSetStorageItems(params, sender);
+
+    case EXTENDED_MESSAGE_TYPES.REMOVE_STORAGE_ITEMS:
+      return await handleRemoveStorageItems(params, sender);
+
+    // 连接测试
+    case MESSAGE_TYPES.CHECK_CONNECTION:
+      return await handleCheckConnection();
+
+    // 设置管理
+    case MESSAGE_TYPES.SAVE_SETTINGS:
+      return await handleSaveSettings(params);
+
+    // 数据刷新
+    case MESSAGE_TYPES.MANUAL_REFRESH:
+      return await handleManualRefresh(params);
+
+    // 提示词写入
+    case EXTENDED_MESSAGE_TYPES.CREATE_PROMPT:
+      return await handleCreatePrompt(params);
+
+    case EXTENDED_MESSAGE_TYPES.UPDATE_PROMPT:
+      return await handleUpdatePrompt(params);
+
+    case EXTENDED_MESSAGE_TYPES.DELETE_PROMPT:
+      return await handleDeletePrompt(params);
+
+    case EXTENDED_MESSAGE_TYPES.BATCH_CREATE_PROMPTS:
+      return await handleBatchCreatePrompts(params);
+
+    case EXTENDED_MESSAGE_TYPES.BATCH_UPDATE_PROMPTS:
+      return await handleBatchUpdatePrompts(params);
+
+    case EXTENDED_MESSAGE_TYPES.BATCH_DELETE_PROMPTS:
+      return await handleBatchDeletePrompts(params);
+
+    // 离线写入队列
+    case EXTENDED_MESSAGE_TYPES.GET_OUTBOX:
+      return await handleGetOutbox();
+
+    case EXTENDED_MESSAGE_TYPES.RETRY_OUTBOX:
+      return await handleRetryOutbox(params);
+
+    case EXTENDED_MESSAGE_TYPES.DISCARD_OUTBOX_ITEM:
+      return await handleDiscardOutboxItem(params);
+
+    // 修改冲突
+    case EXTENDED_MESSAGE_TYPES.GET_CONFLICT:
+      return await handleGetConflict(params);
+
+    case EXTENDED_MESSAGE_TYPES.RESOLVE_CONFLICT:
+      return await handleResolveConflict(params);
+
+    // 字段映射
+    case EXTENDED_MESSAGE_TYPES.GET_TABLE_FIELDS:
+      return await handleGetTableFields();
+
+    case EXTENDED_MESSAGE_TYPES.SAVE_FIELD_MAPPING:
+      return await handleSaveFieldMapping(params);
+
+    // 表格结构
+    case EXTENDED_MESSAGE_TYPES.INSPECT_TABLE_SCHEMA:
+      return await handleInspectTableSchema();
+
+    case EXTENDED_MESSAGE_TYPES.CREATE_PROMPT_TABLE:
+      return await handleCreatePromptTable(params);
+
+    // 飞书账号登录
+    case EXTENDED_MESSAGE_TYPES.SIGN_IN_FEISHU:
+      return await handleSignInFeishu(params);
+
+    case EXTENDED_MESSAGE_TYPES.SIGN_OUT_FEISHU:
+      return await handleSignOutFeishu();
+
+    case EXTENDED_MESSAGE_TYPES.GET_AUTH_STATUS:
+      return await handleGetAuthStatus(params);
+
+    // 飞书配置与凭据
+    case EXTENDED_MESSAGE_TYPES.GET_FEISHU_CONFIG:
+      return await handleGetFeishuConfig();
+
+    case EXTENDED_MESSAGE_TYPES.SAVE_FEISHU_CONFIG:
+      return await handleSaveFeishuConfig(params);
+
+    case EXTENDED_MESSAGE_TYPES.CLEAR_CREDENTIALS:
+      return await handleClearCredentials();
+
+    case EXTENDED_MESSAGE_TYPES.GET_VAULT_STATUS:
+      return await handleGetVaultStatus();
+
+    case EXTENDED_MESSAGE_TYPES.SET_VAULT_PASSPHRASE:
+      return await handleSetVaultPassphrase(params);
+
+    case EXTENDED_MESSAGE_TYPES.UNLOCK_VAULT:
+      return await handleUnlockVault(params);
+
+    // 缓存管理
+    case MESSAGE_TYPES.CLEAR_CACHE:
+      return await handleClearCache();
+
+    // 永久数据管理
+    case MESSAGE_TYPES.GET_PERMANENT_PROMPTS_INFO:
+      return await handleGetPermanentPromptsInfo();
+
+    case MESSAGE_TYPES.CLEAR_PERMANENT_PROMPTS:
+      return await handleClearPermanentPrompts();
+
+    // 自动刷新设置
+    case MESSAGE_TYPES.SET_AUTO_REFRESH_SETTINGS:
+      return await handleSetAutoRefreshSettings(params);
+
+    // 捕获相关
+    case MESSAGE_TYPES.CAPTURE_PROMPT:
+      return await handleCapturePrompt(params);
+
+    case MESSAGE_TYPES.COPY_TO_CLIPBOARD:
+      return await handleCopyToClipboard(params);
+
+    // 选择器相关
+    case MESSAGE_TYPES.SHOW_SELECTOR:
+      return await handleShowSelector(params);
+
+    // UI相关
+    case MESSAGE_TYPES.TOGGLE_POPUP:
+      return await handleTogglePopup(params);
+
+    default:
+      Logger.warn('未知的消息类型', { action });
+      return {
+        success: false,
+        error: '未知的消息类型',
+        code: ERROR_CODES.UNKNOWN_ERROR
+      };
+  }
+}
+
+/**
+ * 处理搜索提示词
+ * keyword 支持 cat: tag: src: is:fav 和引号短语，filter 为界面上选择的条件
+ */
+async function handleSearchPrompts(params) {
+  try {
+    const { keyword = '', filter = {} } = params;
+    const settings = storageManager.getSettings();
+
+    // 限制搜索结果数量
+    const maxResults = Math.min(
+      params.pageSize || 50,
+      settings.maxRecentItems || 10
+    );
+
+    const query = await resolveSearchQuery(keyword, filter);
+    const emptyResult = { prompts: [], total: 0, hasMore: false, pageToken: null, source: 'cache' };
+
+    // 查询中的数据源不存在时没有结果
+    if (query.unknownSources.length > 0) {
+      return { success: true, data: emptyResult };
+    }
+
+    // 先搜索缓存和永久数据
+    const cachedResults = await searchInCache(query, maxResults);
+    if (cachedResults.length > 0) {
+      return {
+        success: true,
+        data: {
+          ...emptyResult,
+          prompts: markFavorites(cachedResults, query.favorites),
+          total: cachedResults.length
+        }
+      };
+    }
+
+    // 收藏只保存在本地；同时指定多个数据源时只在本地搜索
+    if (query.favorite || query.sourceIds.length > 1) {
+      return { success: true, data: emptyResult };
+    }
+
+    // 如果没有缓存结果，搜索飞书API；未指定数据源时搜索默认数据源
+    const sourceId = query.sourceIds[0] || DEFAULT_SOURCE_ID;
+    const apiResponse = await promptSources.getService(sourceId).searchPrompts(query.text, {
+      pageSize: maxResults,
+      filter: {
+        categories: query.categories,
+        tags: query.tags,
+        phrases: query.phrases
+      }
+    });
+
+    if (apiResponse.success) {
+      // 添加到最近使用
+      if (apiResponse.data.prompts.length > 0) {
+        await storageManager.addRecentPrompt(apiResponse.data.prompts[0]);
+      }
+    }
+
+    return apiResponse;
+
+  } catch (error) {
+    Logger.error('搜索提示词失败', { params, error });
+    return {
+      success: false,
+      error: error.message,
+      data: { prompts: [], total: 0, hasMore: false, pageToken: null }
+    };
+  }
+}
+
+/**
+ * 解析搜索语法并合并界面上的筛选条件
+ * 数据源可以写 ID 或名称，不区分大小写
+ */
+async function resolveSearchQuery(keyword, filter = {}) {
+  const parsed = parseSearchQuery(keyword);
+  const sources = promptSources.list();
+  const sourceIds = [];
+  const unknownSources = [];
+
+  parsed.sources.forEach(value => {
+    const name = value.toLowerCase();
+    const source = sources.find(item => item.id.toLowerCase() === name || item.name.toLowerCase() === name);
+    if (source) {
+      sourceIds.push(source.id);
+    } else {
+      unknownSources.push(value);
+    }
+  });
+
+  // 查询中没有指定数据源时使用界面上选择的数据源
+  if (sourceIds.length === 0 && unknownSources.length === 0 && filter.sourceId) {
+    sourceIds.push(filter.sourceId);
+  }
+
+  return {
+    ...parsed,
+    categories: [...parsed.categories, ...(filter.category ? [filter.category] : [])],
+    tags: [...parsed.tags, ...(filter.tag ? [filter.tag] : [])],
+    sourceIds: [...new Set(sourceIds)],
+    unknownSources,
+    favorites: new Set(await storageManager.getFavorites())
+  };
+}
+
+/**
+ * 生成判断提示词是否满足查询筛选条件的函数
+ */
+function createQueryMatcher(query) {
+  const phrases = query.phrases.map(phrase => phrase.toLowerCase());
+
+  return prompt => {
+    if (query.sourceIds.length > 0 && !query.sourceIds.includes(prompt.sourceId || DEFAULT_SOURCE_ID)) return false;
+    if (query.categories.length > 0 && !query.categories.includes(prompt.category)) return false;
+    if (!query.tags.every(tag => (prompt.tags || []).includes(tag))) return false;
+    if (query.favorite && !query.favorites.has(storageManager.promptKey(prompt))) return false;
+
+    if (phrases.length > 0) {
+      const text = [prompt.title, prompt.alias, prompt.description, ...(prompt.tags || []), prompt.content || prompt.prompt]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+      if (!phrases.every(phrase => text.includes(phrase))) return false;
+    }
+
+    return true;
+  };
+}
+
+/**
+ * 标记收藏的提示词
+ */
+function markFavorites(prompts, favorites) {
+  return prompts.map(prompt => ({ ...prompt, favorite: favorites.has(storageManager.promptKey(prompt)) }));
+}
+
+/**
+ * 获取搜索索引，永久提示词变化后重建
+ */
+async function getSearchIndex() {
+  const version = storageManager.getPermanentPromptsVersion();
+
+  if (version !== searchIndexVersion) {
+    const { prompts } = await storageManager.getPermanentPrompts();
+    promptSearchIndex.build(prompts);
+    searchIndexVersion = version;
+    Logger.debug('搜索索引已重建', { count: prompts.length });
+  }
+
+  return promptSearchIndex;
+}
+
+/**
+ * 在本地提示词库中搜索
+ * 有关键词时使用搜索索引按相关度排序，否则按分类、标签等条件通过本地数据库查询
+ */
+async function searchInCache(query, maxResults) {
+  const keyword = [query.text, ...query.phrases].join(' ').trim();
+  const filter = {
+    sourceId: query.sourceIds.length === 1 ? query.sourceIds[0] : null,
+    category: query.categories.length === 1 ? query.categories[0] : null,
+    tag: query.tags[0] || null,
+    match: createQueryMatcher(query)
+  };
+
+  if (!keyword) {
+    const { items } = await storageManager.queryPermanentPrompts({ ...filter, limit: maxResults });
+    return items;
+  }
+
+  const index = await getSearchIndex();
+  return index.search(keyword, { filter, limit: maxResults });
+}
+
+/**
+ * 处理搜索补全
+ * 查询末尾正在输入筛选前缀时，按已有的分类、标签、数据源给出候选值
+ */
+async function handleGetSearchSuggestions(params) {
+  try {
+    const { query = '', limit = 8 } = params;
+    const context = getCompletionContext(query);
+    if (!context) {
+      return { success: true, data: { start: 0, end: 0, suggestions: [] } };
+    }
+
+    let values = [];
+    if (context.key === 'category' || context.key === 'tag') {
+      const index = await getSearchIndex();
+      values = index.getFieldValues(context.key === 'category' ? 'category' : 'tags');
+    } else if (context.key === 'source') {
+      const info = await storageManager.getPermanentPromptsInfo();
+      values = promptSources.list().map(source => ({ value: source.name, count: info.sourceCounts[source.id] || 0 }));
+    } else if (context.key === 'is') {
+      values = [{ value: Object.keys(SEARCH_FLAGS)[0], label: '收藏' }];
+    }
+
+    // 开头匹配的排在前面，其次是包含和拼音匹配
+    const partial = context.value.toLowerCase();
+    const rank = ({ value, label = '' }) => {
+      const text = value.toLowerCase();
+      if (!partial || text.startsWith(partial) || label.startsWith(partial)) return 0;
+      if (text.includes(partial)) return 1;
+      if (/^[a-z]+$/.test(partial) && matchPinyin(partial, preparePinyin(value))) return 2;
+      return -1;
+    };
+
+    const suggestions = values
+      .map(item => ({ ...item, rank: rank(item) }))
+      .filter(item => item.rank >= 0)
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit)
+      .map(({ value, label, count }) => ({ value, label: label || value, count, text: formatFilterToken(context.prefix, value) }));
+
+    return {
+      success: true,
+      data: { start: context.start, end: context.end, suggestions }
+    };
+  } catch (error) {
+    Logger.error('获取搜索补全失败', { params, error });
+    return {
+      success: false,
+      error: error.message,
+      data: { start: 0, end: 0, suggestions: [] }
+    };
+  }
+}
+
+/**
+ * 处理收藏和取消收藏
+ */
+async function handleSetFavorite(params) {
+  try {
+    const { id, sourceId = DEFAULT_SOURCE_ID, favorite = true } = params;
+    if (!id) {
+      throw new Error('缺少提示词ID');
+    }
+
+    const result = await storageManager.setFavorite({ id, sourceId }, Boolean(favorite));
+
+    return {
+      success: true,
+      data: { id, sourceId, favorite: result }
+    };
+  } catch (error) {
+    Logger.error('更新收藏失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 读取要渲染的提示词，只传入 ID 时从本地提示词库读取内容
+ */
+async function resolveTemplatePrompt(prompt = {}) {
+  const sourceId = prompt.sourceId || DEFAULT_SOURCE_ID;
+  if (prompt.content || !prompt.id) {
+    return { ...prompt, sourceId };
+  }
+
+  const stored = await storageManager.getPermanentPrompt(sourceId, prompt.id);
+  if (!stored) {
+    throw new Error('提示词不存在');
+  }
+  return stored;
+}
+
+/**
+ * 按别名查找提示词，别名重复时优先使用与引用方同一数据源的提示词
+ */
+function createAliasLookup(prompts, sourceId) {
+  const byAlias = new Map();
+
+  prompts.forEach(prompt => {
+    const key = normalizeAlias(prompt.alias);
+    if (!key) return;
+
+    const existing = byAlias.get(key);
+    const sameSource = (prompt.sourceId || DEFAULT_SOURCE_ID) === sourceId;
+    if (!existing || (sameSource && (existing.sourceId || DEFAULT_SOURCE_ID) !== sourceId)) {
+      byAlias.set(key, prompt);
+    }
+  });
+
+  return alias => byAlias.get(normalizeAlias(alias)) || null;
+}
+
+/**
+ * 引用关系的反向索引：别名 -> 引用了该别名的提示词
+ */
+function buildIncludeIndex(prompts) {
+  const index = new Map();
+
+  prompts.forEach(prompt => {
+    parseIncludes(prompt.content).forEach(alias => {
+      const key = normalizeAlias(alias);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(prompt);
+    });
+  });
+
+  return index;
+}
+
+/**
+ * 展开提示词中 {{> 别名}} 引用的其他提示词
+ * 被引用提示词声明的变量说明一并带上，当前提示词自己的说明放在最后
+ */
+async function expandTemplatePrompt(prompt) {
+  if (parseIncludes(prompt.content).length === 0) return prompt;
+
+  const { prompts = [] } = await storageManager.getPermanentPrompts();
+  const lookup = createAliasLookup(prompts, prompt.sourceId);
+  const expanded = expandIncludes(prompt.content, lookup, prompt.alias ? [prompt.alias] : []);
+
+  return {
+    ...prompt,
+    content: expanded.content,
+    variables: [...expanded.variables, ...(Array.isArray(prompt.variables) ? prompt.variables : [])]
+  };
+}
+
+/**
+ * 处理模板变量表单的准备
+ * 返回展开引用后的内容，变量的字段定义，预填的值：上次填写的值，没有时为默认值，
+ * 以及内容中使用的上下文变量，由页面在插入时读取
+ */
+async function handlePrepareTemplate(params) {
+  try {
+    const prompt = await expandTemplatePrompt(await resolveTemplatePrompt(params.prompt));
+
+    const syntaxErrors = checkTemplateSyntax(prompt.content);
+    if (syntaxErrors.length > 0) {
+      return {
+        success: false,
+        error: `模板语法错误：${syntaxErrors.join('；')}`,
+        code: ERROR_CODES.CONFIG_ERROR
+      };
+    }
+
+    const fields = parseTemplate(prompt.content, prompt.variables);
+    const lastValues = fields.length > 0 ? await storageManager.getTemplateValues(prompt) : {};
+
+    // 上次留空的变量渲染时使用默认值，表单中也显示默认值
+    const values = Object.fromEntries(fields.map(field => [
+      field.name,
+      lastValues[field.name] || field.default
+    ]));
+
+    return {
+      success: true,
+      data: { content: prompt.content, fields, values, context: parseContextVariables(prompt.content) }
+    };
+  } catch (error) {
+    Logger.error('准备模板变量失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理模板渲染，记住本次填写的值；上下文变量的值随页面变化，不保存
+ */
+async function handleRenderTemplate(params) {
+  try {
+    const prompt = await expandTemplatePrompt(await resolveTemplatePrompt(params.prompt));
+    const values = params.values || {};
+    const fields = parseTemplate(prompt.content, prompt.variables);
+
+    const errors = validateTemplateValues(fields, values);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: errors.join('\n'),
+        code: ERROR_CODES.CONFIG_ERROR
+      };
+    }
+
+    if (fields.length > 0 && prompt.id) {
+      await storageManager.saveTemplateValues(prompt, Object.fromEntries(
+        fields.map(field => [field.name, values[field.name] ?? ''])
+      ));
+    }
+
+    return {
+      success: true,
+      data: { text: renderTemplate(prompt.content, values) }
+    };
+  } catch (error) {
+    Logger.error('渲染模板失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理提示词引用关系的查询
+ * 返回该提示词引用的别名及其是否存在，以及直接引用了该提示词的其他提示词
+ */
+async function handleGetPromptReferences(params) {
+  try {
+    const prompt = await resolveTemplatePrompt(params.prompt);
+    const { prompts = [] } = await storageManager.getPermanentPrompts();
+    const lookup = createAliasLookup(prompts, prompt.sourceId);
+
+    const includes = parseIncludes(prompt.content).map(alias => ({ alias, exists: Boolean(lookup(alias)) }));
+    const usedBy = prompt.alias
+      ? (buildIncludeIndex(prompts).get(normalizeAlias(prompt.alias)) || [])
+        .filter(item => !(item.id === prompt.id && (item.sourceId || DEFAULT_SOURCE_ID) === prompt.sourceId))
+        .map(item => ({ id: item.id, sourceId: item.sourceId || DEFAULT_SOURCE_ID, title: item.title, alias: item.alias }))
+      : [];
+
+    return {
+      success: true,
+      data: { includes, usedBy }
+    };
+  } catch (error) {
+    Logger.error('获取提示词引用关系失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理获取提示词列表
+ * 从本地永久数据读取，可按数据源筛选
+ */
+async function handleGetPrompts(params) {
+  try {
+    const { sourceId = null } = params;
+    const [data, favorites] = await Promise.all([
+      storageManager.getPermanentPrompts(sourceId),
+      storageManager.getFavorites()
+    ]);
+    const prompts = (data.prompts || []).filter(prompt => !sourceId || (prompt.sourceId || DEFAULT_SOURCE_ID) === sourceId);
+    const items = markFavorites(prompts, new Set(favorites));
+
+    return {
+      success: true,
+      data: {
+        items,
+        total: items.length
+      }
+    };
+  } catch (error) {
+    Logger.error('获取提示词列表失败', { params, error });
+    return {
+      success: false,
+      error: error.message,
+      data: { items: [], total: 0 }
+    };
+  }
+}
+
+/**
+ * 处理获取数据源列表
+ */
+async function handleGetPromptSources() {
+  try {
+    const info = await storageManager.getPermanentPromptsInfo();
+
+    return {
+      success: true,
+      data: promptSources.list().map(source => ({
+        ...source,
+        count: info.sourceCounts[source.id] || 0
+      }))
+    };
+  } catch (error) {
+    Logger.error('获取数据源列表失败', { error });
+    return {
+      success: false,
+      error: error.message,
+      data: []
+    };
+  }
+}
+
+/**
+ * 处理记录使用
+ */
+async function handleRecordUsage(params) {
+  try {
+    const { promptId, sourceId = DEFAULT_SOURCE_ID, action = 'use', source = '' } = params;
+
+    await storageManager.recordUsage({ promptId, sourceId, action, source });
+
+    return { success: true };
+  } catch (error) {
+    Logger.error('记录使用失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理获取统计数据
+ */
+async function handleGetStats() {
+  try {
+    const [info, usage] = await Promise.all([
+      storageManager.getPermanentPromptsInfo(),
+      storageManager.getUsageStats()
+    ]);
+
+    return {
+      success: true,
+      data: {
+        total: info.count,
+        ...usage
+      }
+    };
+  } catch (error) {
+    Logger.error('获取统计数据失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 获取存储用量报告
+ */
+async function handleGetStorageUsage() {
+  try {
+    return {
+      success: true,
+      data: await storageManager.getStorageUsage()
+    };
+  } catch (error) {
+    Logger.error('获取存储用量失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 检查存储读写请求：只接受扩展自身页面发送的请求，且只能访问允许的存储项
+ * 内容脚本运行在任意网页中，不能通过这些消息读取或修改配置
+ */
+function assertPageStorageAccess(sender, keys, access) {
+  if (sender?.id !== chrome.runtime.id || !sender.url?.startsWith(chrome.runtime.getURL(''))) {
+    throw ErrorHandler.createError('只有插件页面可以读写设置', ERROR_CODES.AUTH_ERROR, 'assertPageStorageAccess');
+  }
+
+  const denied = keys.filter(key => !PAGE_STORAGE_KEYS[access].includes(key));
+  if (denied.length > 0) {
+    throw ErrorHandler.createError(`不允许访问存储项: ${denied.join(', ')}`, ERROR_CODES.AUTH_ERROR, 'assertPageStorageAccess');
+  }
+}
+
+/**
+ * 读取存储项，分片和转存到 local 的值由存储管理器还原
+ * 选项页不直接读写 chrome.storage.sync
+ */
+async function handleGetStorageItems(params, sender) {
+  try {
+    const { keys = [] } = params;
+    assertPageStorageAccess(sender, keys, 'read');
+    return {
+      success: true,
+      data: await storageManager.storageGet(keys)
+    };
+  } catch (error) {
+    Logger.error('读取存储项失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 写入存储项，超过配额的值按存储管理器的规则分片或转存
+ */
+async function handleSetStorageItems(params, sender) {
+  try {
+    const { items = {} } = params;
+    assertPageStorageAccess(sender, Object.keys(items), 'write');
+    await storageManager.storageSet(items);
+    return { success: true };
+  } catch (error) {
+    Logger.error('写入存储项失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 删除存储项及其分片
+ */
+async function handleRemoveStorageItems(params, sender) {
+  try {
+    const { keys = [] } = params;
+    assertPageStorageAccess(sender, keys, 'remove');
+    await storageManager.storageRemove(keys);
+    return { success: true };
+  } catch (error) {
+    Logger.error('删除存储项失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理连接测试
+ */
+async function handleCheckConnection() {
+  try {
+    const result = await feishuApiService.testConnection();
+    return {
+      success: true,
+      data: result
+    };
+  } catch (error) {
+    Logger.error('连接测试失败', { error });
+    return {
+      success: false,
+      error: error.message,
+      data: { connected: false, message: error.message }
+    };
+  }
+}
+
+/**
+ * 处理保存设置
+ */
+async function handleSaveSettings(params) {
+  try {
+    const { settings, feishuConfig } = params;
+
+    // 保存设置
+    if (settings) {
+      await storageManager.saveSettings(settings);
+    }
+
+    // 保存飞书配置
+    if (feishuConfig) {
+      await storageManager.saveFeishuConfig(feishuConfig);
+      await feishuApiService.initConfig(feishuConfig);
+    }
+
+    // 重启自动刷新
+    await restartAutoRefresh();
+
+    return {
+      success: true,
+      message: '设置保存成功'
+    };
+
+  } catch (error) {
+    Logger.error('保存设置失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理手动刷新
+ * 并行刷新所有数据源，单个数据源失败时保留其原有数据
+ */
+async function handleManualRefresh(params = {}) {
+  try {
+    const { full = false } = params;
+    const sources = promptSources.list();
+
+    Logger.info('开始刷新数据', { sources: sources.length, full });
+
+    // 先提交排队中的写入，避免刷新结果覆盖尚未同步的本地修改
+    await replayOutbox();
+
+    const results = await Promise.all(sources.map(source => refreshSource(source, full)));
+
+    // 刷新结果会覆盖本地数据，重新应用尚未同步的本地修改
+    for (const result of results.filter(item => item.success)) {
+      await reapplyOutbox(result.sourceId);
+    }
+
+    // 保存各数据源的同步状态，并清理已移除数据源的本地数据
+    const syncStates = {};
+    results.forEach(result => {
+      if (result.syncState) {
+        syncStates[result.sourceId] = result.syncState;
+      }
+    });
+    await storageManager.saveSyncStates(syncStates);
+    await storageManager.prunePermanentSources(sources.map(source => source.id));
+
+    const succeeded = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+
+    if (succeeded.length === 0) {
+      throw new Error(failed.map(result => `${result.name}: ${result.error}`).join('\n'));
+    }
+
+    const refreshedAt = Date.now();
+    await storageManager.saveLastRefreshTime(refreshedAt);
+    const info = await storageManager.getPermanentPromptsInfo();
+
+    Logger.info('刷新完成', { total: info.count, failed: failed.length });
+
+    return {
+      success: true,
+      data: {
+        mode: succeeded.every(result => result.mode === 'delta') ? 'delta' : 'full',
+        total: info.count,
+        updated: succeeded.reduce((sum, result) => sum + (result.updated || 0), 0),
+        removed: succeeded.reduce((sum, result) => sum + (result.removed || 0), 0),
+        truncated: succeeded.some(result => result.truncated),
+        sources: results.map(({ syncState, ...result }) => result),
+        failed: failed.map(result => ({ sourceId: result.sourceId, name: result.name, error: result.error })),
+        lastRefreshTime: TimeUtils.formatTimestamp(refreshedAt)
+      }
+    };
+
+  } catch (error) {
+    Logger.error('手动刷新失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 刷新单个数据源
+ * 已有同一张表的本地数据时只同步上次刷新后的变更，否则全量下载
+ * 失败时返回原有的同步状态，不抛出异常
+ */
+async function refreshSource(source, full) {
+  const summary = { sourceId: source.id, name: source.name };
+  const syncState = await storageManager.getSyncState(source.id);
+
+  try {
+    const service = promptSources.getService(source.id);
+    const syncStartedAt = Date.now();
+    const table = service.getSyncSource();
+
+    const knownIds = await storageManager.getPermanentPromptIds(source.id);
+    const canDeltaSync = !full && syncState?.syncedAt && syncState.table === table && knownIds.length > 0;
+
+    if (canDeltaSync) {
+      Logger.info('开始增量刷新数据源', { sourceId: source.id, since: syncState.syncedAt });
+
+      const changes = await service.getPromptChanges(syncState.syncedAt, knownIds);
+      if (!changes.success) {
+        throw new Error(changes.error);
+      }
+
+      if (changes.data.supported) {
+        const { prompts, removedIds } = changes.data;
+        const total = prompts.length > 0 || removedIds.length > 0
+          ? await storageManager.applyPromptChanges(prompts, removedIds, source.id)
+          : knownIds.length;
+
+        Logger.info('数据源增量刷新完成', { sourceId: source.id, updated: prompts.length, removed: removedIds.length });
+
+        return {
+          ...summary,
+          success: true,
+          mode: 'delta',
+          total,
+          updated: prompts.length,
+          removed: removedIds.length,
+          syncState: { table, syncedAt: syncStartedAt }
+        };
+      }
+    }
+
+    Logger.info('开始全量刷新数据源', { sourceId: source.id });
+
+    // 逐页获取提示词并写入永久存储，全部成功后再切换到新数据
+    const writer = storageManager.createPermanentPromptsWriter(source.id);
+    const response = await service.getAllPrompts({
+      onPage: async (prompts, progress) => {
+        await writer.write(prompts);
+        notifyRefreshProgress({ ...progress, sourceId: source.id, sourceName: source.name });
+      }
+    });
+
+    if (!response.success) {
+      await writer.abort();
+      throw new Error(response.error);
+    }
+
+    await writer.commit();
+    Logger.info('数据源全量刷新完成', { sourceId: source.id, count: response.data.total });
+
+    return {
+      ...summary,
+      success: true,
+      mode: 'full',
+      total: response.data.total,
+      truncated: response.data.truncated,
+      syncState: { table, syncedAt: syncStartedAt }
+    };
+
+  } catch (error) {
+    Logger.error('刷新数据源失败', { sourceId: source.id, error });
+    return {
+      ...summary,
+      success: false,
+      error: error.message,
+      syncState
+    };
+  }
+}
+
+/**
+ * 向扩展页面广播刷新进度
+ * 没有页面监听时 sendMessage 会失败，直接忽略
+ */
+function notifyRefreshProgress(progress) {
+  chrome.runtime.sendMessage({
+    action: EXTENDED_MESSAGE_TYPES.REFRESH_PROGRESS,
+    ...progress
+  }).catch(() => {});
+}
+
+/**
+ * 保存前检查提示词内容的模板语法，有误时拒绝保存
+ * 只修改其他字段时不检查
+ */
+function assertTemplateSyntax(promptData = {}) {
+  const content = promptData.content ?? promptData.prompt;
+  if (content === undefined) return;
+
+  const errors = checkTemplateSyntax(content);
+  if (errors.length > 0) {
+    const name = promptData.title ? `「${promptData.title}」` : '';
+    throw new Error(`${name}模板语法错误：${errors.join('；')}`);
+  }
+}
+
+/**
+ * 处理创建提示词
+ */
+async function handleCreatePrompt(params) {
+  try {
+    const { promptData, sourceId = DEFAULT_SOURCE_ID } = params;
+    const service = promptSources.getWritableService(sourceId);
+    service.assertPromptData(promptData);
+    assertTemplateSyntax(promptData);
+
+    const response = navigator.onLine ? await service.createRecord(promptData) : null;
+    if (!response || isQueueableFailure(response)) {
+      return await queuePromptWrite({ type: 'create', sourceId, promptData }, response?.error);
+    }
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    await storageManager.upsertPermanentPrompts([response.data.prompt], sourceId);
+
+    return {
+      success: true,
+      data: response.data,
+      message: '提示词创建成功'
+    };
+
+  } catch (error) {
+    Logger.error('创建提示词失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理更新提示词
+ */
+async function handleUpdatePrompt(params) {
+  try {
+    const { id, promptData, sourceId = DEFAULT_SOURCE_ID } = params;
+    const service = promptSources.getWritableService(sourceId);
+    assertTemplateSyntax(promptData);
+    const operation = { type: 'update', sourceId, recordId: id, promptData };
+
+    // 本地新建且尚未同步的记录只能排队，等创建完成后再写入
+    let response = null;
+    if (navigator.onLine && !isLocalRecordId(id)) {
+      const stored = await getStoredPrompt(sourceId, id);
+      response = await commitRecordWrite(service, { ...operation, baseRevision: params.baseRevision ?? stored?.revision });
+    }
+    if (response?.conflict) {
+      return await queuePromptWrite(operation, response.error, response.conflict);
+    }
+    if (!response || isQueueableFailure(response)) {
+      return await queuePromptWrite(operation, response?.error);
+    }
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    await storageManager.upsertPermanentPrompts([response.data.prompt], sourceId);
+
+    return {
+      success: true,
+      data: response.data,
+      message: '提示词更新成功'
+    };
+
+  } catch (error) {
+    Logger.error('更新提示词失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理删除提示词
+ */
+async function handleDeletePrompt(params) {
+  try {
+    const { id, sourceId = DEFAULT_SOURCE_ID } = params;
+    const service = promptSources.getWritableService(sourceId);
+    const operation = { type: 'delete', sourceId, recordId: id };
+
+    let response = null;
+    if (navigator.onLine && !isLocalRecordId(id)) {
+      const stored = await getStoredPrompt(sourceId, id);
+      response = await commitRecordWrite(service, { ...operation, baseRevision: params.baseRevision ?? stored?.revision });
+    }
+    if (response?.conflict) {
+      return await queuePromptWrite(operation, response.error, response.conflict);
+    }
+    if (!response || isQueueableFailure(response)) {
+      return await queuePromptWrite(operation, response?.error);
+    }
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    await storageManager.removePermanentPrompts([id], sourceId);
+
+    return {
+      success: true,
+      data: response.data,
+      message: '提示词删除成功'
+    };
+
+  } catch (error) {
+    Logger.error('删除提示词失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理批量创建提示词
+ * 部分失败时 data 中为已创建的记录，按顺序对应传入的前 total 条
+ */
+async function handleBatchCreatePrompts(params) {
+  try {
+    const { prompts = [], sourceId = DEFAULT_SOURCE_ID } = params;
+    prompts.forEach(promptData => assertTemplateSyntax(promptData));
+
+    const response = await promptSources.getWritableService(sourceId).batchCreateRecords(prompts);
+
+    // 部分批次失败时，已经创建的记录同样保存到本地，避免重试时重复创建
+    if (response.data.prompts.length > 0) {
+      await storageManager.upsertPermanentPrompts(response.data.prompts, sourceId);
+    }
+
+    if (!response.success) {
+      return {
+        success: false,
+        error: response.data.total > 0
+          ? `已创建 ${response.data.total} 条提示词，其余创建失败: ${response.error}`
+          : response.error,
+        data: response.data
+      };
+    }
+
+    return {
+      success: true,
+      data: response.data,
+      message: `已创建 ${response.data.total} 条提示词`
+    };
+
+  } catch (error) {
+    Logger.error('批量创建提示词失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理批量更新提示词
+ */
+async function handleBatchUpdatePrompts(params) {
+  try {
+    const { updates = [], sourceId = DEFAULT_SOURCE_ID } = params;
+    updates.forEach(update => assertTemplateSyntax(update.promptData));
+
+    const operations = updates.map(({ id, promptData }) => ({ type: 'update', sourceId, recordId: id, promptData }));
+    const result = await commitBatchWrite(promptSources.getWritableService(sourceId), operations);
+
+    return {
+      ...result,
+      message: `已更新 ${result.data.total} 条提示词${describeBatchQueue(result.data)}`
+    };
+
+  } catch (error) {
+    Logger.error('批量更新提示词失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理批量删除提示词
+ */
+async function handleBatchDeletePrompts(params) {
+  try {
+    const { ids = [], sourceId = DEFAULT_SOURCE_ID } = params;
+
+    const operations = ids.map(id => ({ type: 'delete', sourceId, recordId: id }));
+    const result = await commitBatchWrite(promptSources.getWritableService(sourceId), operations);
+
+    return {
+      ...result,
+      message: `已删除 ${result.data.total} 条提示词${describeBatchQueue(result.data)}`
+    };
+
+  } catch (error) {
+    Logger.error('批量删除提示词失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 批量提交修改或删除，规则与单条写入相同：
+ * 离线、本地新建或网络故障时加入写入队列；飞书中的记录在本地修改后也被修改过时以冲突状态入队，不覆盖
+ * @param {Array<Object>} operations 同一数据源、同一类型的写入操作
+ */
+async function commitBatchWrite(service, operations) {
+  const [{ type, sourceId } = {}] = operations;
+  const isDelete = type === 'delete';
+  const queued = [];
+  const conflicts = [];
+  let pending = [];
+  let failure = null;
+
+  operations.forEach(operation => {
+    (navigator.onLine && !isLocalRecordId(operation.recordId) ? pending : queued).push(operation);
+  });
+
+  // 一次读取飞书中的当前版本，与本地保存的基础版本比较
+  if (pending.length > 0) {
+    const current = await service.batchGetRecords(pending.map(operation => operation.recordId));
+    if (!current.success) {
+      if (isQueueableFailure(current)) {
+        queued.push(...pending);
+      }
+      pending = [];
+      failure = current;
+    }
+
+    const remotes = new Map(current.data.prompts.map(prompt => [prompt.id, prompt]));
+    const checked = [];
+    for (const operation of pending) {
+      const baseRevision = (await getStoredPrompt(sourceId, operation.recordId))?.revision;
+      const remote = remotes.get(operation.recordId);
+      if (baseRevision && remote?.revision && remote.revision !== baseRevision) {
+        conflicts.push({ operation, remote });
+      } else {
+        checked.push(operation);
+      }
+    }
+    pending = checked;
+  }
+
+  let committed = { prompts: [], recordIds: [], total: 0 };
+  if (pending.length > 0) {
+    const response = isDelete
+      ? await service.batchDeleteRecords(pending.map(operation => operation.recordId))
+      : await service.batchUpdateRecords(pending.map(({ recordId, promptData }) => ({ id: recordId, promptData })));
+    committed = { ...committed, ...response.data };
+
+    // 已经提交的批次先保存到本地，其余的排队或报告失败
+    if (isDelete) {
+      await storageManager.removePermanentPrompts(committed.recordIds, sourceId);
+    } else {
+      await storageManager.upsertPermanentPrompts(committed.prompts, sourceId);
+    }
+
+    if (!response.success) {
+      const done = new Set(isDelete ? committed.recordIds : committed.prompts.map(prompt => prompt.id));
+      const rest = pending.filter(operation => !done.has(operation.recordId));
+      if (isQueueableFailure(response)) {
+        queued.push(...rest);
+      }
+      failure = response;
+    }
+  }
+
+  for (const operation of queued) {
+    await queuePromptWrite(operation, failure?.error);
+  }
+  for (const { operation, remote } of conflicts) {
+    await queuePromptWrite(operation, CONFLICT_MESSAGE, remote);
+  }
+
+  const data = { ...committed, queued: queued.length, conflicts: conflicts.length };
+  if (failure && !isQueueableFailure(failure)) {
+    return {
+      success: false,
+      error: data.total > 0 ? `已提交 ${data.total} 条，其余提交失败: ${failure.error}` : failure.error,
+      data
+    };
+  }
+  return { success: true, data };
+}
+
+/**
+ * 批量写入中排队和冲突的数量说明
+ */
+function describeBatchQueue({ queued, conflicts }) {
+  const parts = [];
+  if (queued > 0) parts.push(`${queued} 条已加入待同步队列`);
+  if (conflicts > 0) parts.push(`${conflicts} 条存在修改冲突，请在同步队列中处理`);
+  return parts.length > 0 ? `，${parts.join('，')}` : '';
+}
+
+/**
+ * 写入失败是否可以排队稍后重放
+ */
+function isQueueableFailure(response) {
+  return !response.success && (QUEUEABLE_ERROR_CODES.includes(response.code) || !navigator.onLine);
+}
+
+/**
+ * 是否为离线新建、尚未同步到飞书的本地记录
+ */
+function isLocalRecordId(id) {
+  return typeof id === 'string' && id.startsWith('local_');
+}
+
+/**
+ * 将写入操作加入队列，并先更新本地数据
+ * 修改和删除会记录本地数据的当前版本，重放时据此判断飞书中的记录是否也被修改；
+ * 传入 remote 时表示已检测到冲突，直接以冲突状态入队
+ */
+async function queuePromptWrite(operation, reason = '', remote = null) {
+  const { type, sourceId, recordId, promptData } = operation;
+  const service = promptSources.getService(sourceId);
+  let prompt = null;
+
+  if (type === 'create') {
+    const localId = `local_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    prompt = buildLocalPrompt(service, localId, promptData);
+    operation = { ...operation, localId };
+  } else {
+    const stored = await getStoredPrompt(sourceId, recordId);
+    if (stored) {
+      const { pendingSync, ...base } = stored;
+      operation = { ...operation, base, baseRevision: base.revision || 0 };
+      prompt = type === 'update' ? applyLocalEdit(stored, promptData) : null;
+    }
+  }
+
+  if (remote) {
+    operation = { ...operation, status: 'conflict', remote, lastError: reason };
+  }
+
+  const item = await storageManager.enqueueOutbox(operation);
+
+  if (type === 'delete') {
+    await storageManager.removePermanentPrompts([recordId], sourceId);
+  } else if (prompt) {
+    await storageManager.upsertPermanentPrompts([prompt], sourceId);
+  }
+
+  Logger.info('写入操作已加入队列', { type, sourceId, reason, conflict: Boolean(remote) });
+  notifyOutboxChanged();
+  scheduleOutboxReplay();
+
+  return {
+    success: true,
+    queued: true,
+    conflict: Boolean(remote),
+    data: { prompt, outboxItem: item },
+    message: remote ? '飞书中的提示词已被修改，请在同步队列中处理冲突' : '当前无法连接飞书，已加入待同步队列'
+  };
+}
+
+/**
+ * 读取本地保存的提示词
+ */
+async function getStoredPrompt(sourceId, id) {
+  return storageManager.getPermanentPrompt(sourceId, id);
+}
+
+/**
+ * 按飞书记录的格式生成离线新建提示词的本地占位数据
+ */
+function buildLocalPrompt(service, localId, promptData) {
+  const now = Date.now();
+  const [prompt] = service.processPromptData([{
+    record_id: localId,
+    fields: service.buildRecordFields(promptData),
+    created_time: now,
+    last_modified_time: now
+  }]);
+  return prompt ? { ...prompt, revision: 0, pendingSync: true } : null;
+}
+
+/**
+ * 将本地修改合并到提示词上
+ */
+function applyLocalEdit(prompt, promptData = {}) {
+  const content = promptData.content ?? promptData.prompt ?? prompt.content;
+  return {
+    ...prompt,
+    ...promptData,
+    content,
+    prompt: content,
+    templateErrors: checkTemplateSyntax(content),
+    updatedAt: Date.now(),
+    pendingSync: true
+  };
+}
+
+/**
+ * 提交修改或删除
+ * 记录了基础版本时先读取飞书中的记录，修改时间不一致说明他人也修改过，返回冲突而不覆盖
+ */
+async function commitRecordWrite(service, item) {
+  if (item.baseRevision) {
+    const current = await service.getRecord(item.recordId);
+    if (!current.success) return current;
+
+    const remote = current.data.prompt;
+    if (remote && remote.revision && remote.revision !== item.baseRevision) {
+      return { success: false, conflict: remote, error: CONFLICT_MESSAGE };
+    }
+  }
+
+  return item.type === 'delete'
+    ? service.deleteRecord(item.recordId)
+    : service.updateRecord(item.recordId, item.promptData);
+}
+
+/**
+ * 刷新后重新应用数据源中尚未同步的本地修改
+ * 刷新得到的记录版本与本地修改的基础版本不一致时标记为冲突
+ */
+async function reapplyOutbox(sourceId) {
+  const items = (await storageManager.getOutbox())
+    .filter(item => item.sourceId === sourceId && item.status !== 'synced');
+  if (items.length === 0) return;
+
+  const service = promptSources.getService(sourceId);
+  const upserts = [];
+  const removals = [];
+  let conflicts = 0;
+
+  for (const item of items) {
+    if (item.type === 'create') {
+      if (!(await getStoredPrompt(sourceId, item.localId))) {
+        upserts.push(buildLocalPrompt(service, item.localId, item.promptData));
+      }
+      continue;
+    }
+
+    // 飞书中已删除或已移出同步范围的记录不再恢复
+    const remote = await getStoredPrompt(sourceId, item.recordId);
+    if (!remote) continue;
+
+    if (item.baseRevision && remote.revision && remote.revision !== item.baseRevision && remote.revision !== item.remote?.revision) {
+      await storageManager.updateOutboxItem(item.id, { status: 'conflict', remote, lastError: CONFLICT_MESSAGE });
+      conflicts++;
+    }
+
+    if (item.type === 'delete') {
+      removals.push(item.recordId);
+    } else {
+      upserts.push(applyLocalEdit(remote, item.promptData));
+    }
+  }
+
+  if (removals.length > 0) {
+    await storageManager.removePermanentPrompts(removals, sourceId);
+  }
+  await storageManager.upsertPermanentPrompts(upserts, sourceId);
+
+  if (conflicts > 0) {
+    Logger.warn('刷新时发现修改冲突', { sourceId, conflicts });
+    notifyOutboxChanged();
+  }
+}
+
+/**
+ * 重放写入队列，同一时间只运行一次
+ * @param {boolean} force 为 true 时忽略退避时间，立即重放所有待同步项
+ */
+function replayOutbox(force = false) {
+  if (!outboxReplayRequest) {
+    outboxReplayRequest = runOutboxReplay(force).finally(() => {
+      outboxReplayRequest = null;
+      scheduleOutboxReplay();
+    });
+  }
+  return outboxReplayRequest;
+}
+
+/**
+ * 按加入顺序重放到期的待同步项；遇到网络错误或尚未到期的项时停止，保证后续操作不会先于前面的操作提交
+ * 同一记录有失败或冲突待处理的项时，之后对该记录的操作也不提交
+ */
+async function runOutboxReplay(force) {
+  const now = Date.now();
+  const replayable = getReplayableOutboxItems(await storageManager.getOutbox());
+
+  if (replayable.length === 0 || !navigator.onLine) return;
+
+  Logger.info('开始重放写入队列', { count: replayable.length });
+
+  const blockedRecords = new Set();
+
+  for (const item of replayable) {
+    const recordKey = getOutboxRecordKey(item);
+    if (blockedRecords.has(recordKey)) continue;
+
+    if (!force && item.nextAttemptAt > now) break;
+
+    let response;
+    try {
+      response = await replayOutboxItem(item);
+    } catch (error) {
+      response = { success: false, error: error.message, code: error.code };
+    }
+
+    if (response.success) {
+      await completeOutboxItem(item, response);
+      continue;
+    }
+
+    if (response.conflict) {
+      await storageManager.updateOutboxItem(item.id, { status: 'conflict', remote: response.conflict, lastError: response.error });
+      notifyOutboxChanged();
+      Logger.warn('写入队列项存在修改冲突', { id: item.id, recordId: item.recordId });
+      blockedRecords.add(recordKey);
+      continue;
+    }
+
+    const attempts = item.attempts + 1;
+    const retryable = isQueueableFailure(response) && attempts < OUTBOX_MAX_ATTEMPTS;
+
+    await storageManager.updateOutboxItem(item.id, {
+      status: retryable ? 'pending' : 'failed',
+      attempts,
+      lastError: response.error || '',
+      nextAttemptAt: Date.now() + Math.min(OUTBOX_RETRY_BASE_DELAY * 2 ** item.attempts, OUTBOX_RETRY_MAX_DELAY)
+    });
+    notifyOutboxChanged();
+
+    if (isQueueableFailure(response)) {
+      Logger.warn('飞书暂时无法连接，停止重放写入队列', { error: response.error });
+      break;
+    }
+    blockedRecords.add(recordKey);
+  }
+}
+
+/**
+ * 队列项对应的记录，未同步的新建记录使用本地 ID
+ */
+function getOutboxRecordKey(item) {
+  return `${item.sourceId}:${item.recordId || item.localId}`;
+}
+
+/**
+ * 按加入顺序列出可以重放的待同步项，跳过排在失败或冲突项之后的同一记录的操作
+ */
+function getReplayableOutboxItems(items) {
+  const blockedRecords = new Set();
+
+  return items.filter(item => {
+    const recordKey = getOutboxRecordKey(item);
+    if (item.status === 'failed' || item.status === 'conflict') {
+      blockedRecords.add(recordKey);
+    }
+    return item.status === 'pending' && !blockedRecords.has(recordKey);
+  });
+}
+
+/**
+ * 提交单个队列项
+ */
+async function replayOutboxItem(item) {
+  const service = promptSources.getWritableService(item.sourceId);
+
+  switch (item.type) {
+    case 'create':
+      return service.createRecord(item.promptData);
+    case 'update':
+    case 'delete':
+      return commitRecordWrite(service, item);
+    default:
+      return { success: false, error: `未知的写入类型: ${item.type}` };
+  }
+}
+
+/**
+ * 队列项提交成功后更新本地数据和队列状态
+ * 重放期间又合并了新的修改时，转为对新记录的更新继续排队
+ */
+async function completeOutboxItem(item, response) {
+  const prompt = response.data?.prompt;
+  const recordId = prompt?.id || item.recordId;
+
+  if (item.type === 'create') {
+    await storageManager.removePermanentPrompts([item.localId], item.sourceId);
+  }
+  if (prompt) {
+    await storageManager.upsertPermanentPrompts([prompt], item.sourceId);
+  }
+
+  await storageManager.updateOutbox(items => items.map(current => {
+    if (current.id !== item.id) return current;
+
+    if (current.updatedAt !== item.updatedAt) {
+      return {
+        ...current,
+        type: current.type === 'create' ? 'update' : current.type,
+        recordId,
+        base: prompt || current.base,
+        baseRevision: prompt?.revision || 0
+      };
+    }
+
+    return { ...current, status: 'synced', recordId, lastError: '', updatedAt: Date.now() };
+  }));
+
+  notifyOutboxChanged();
+  Logger.info('写入队列项同步成功', { type: item.type, recordId });
+}
+
+/**
+ * 重放按顺序进行，按排在最前的待同步项的到期时间安排下一次重放
+ */
+async function scheduleOutboxReplay() {
+  clearTimeout(outboxTimer);
+  outboxTimer = null;
+
+  try {
+    const [next] = getReplayableOutboxItems(await storageManager.getOutbox());
+    if (!next) return;
+
+    const { nextAttemptAt } = next;
+    outboxTimer = setTimeout(() => {
+      replayOutbox().catch(error => {
+        Logger.error('重放写入队列失败', { error });
+      });
+    }, Math.max(nextAttemptAt - Date.now(), 1000));
+  } catch (error) {
+    Logger.error('安排写入队列重放失败', { error });
+  }
+}
+
+/**
+ * 通知弹窗写入队列已变化
+ */
+function notifyOutboxChanged() {
+  chrome.runtime.sendMessage({
+    action: EXTENDED_MESSAGE_TYPES.OUTBOX_CHANGED
+  }).catch(() => {});
+}
+
+/**
+ * 处理获取写入队列
+ */
+async function handleGetOutbox() {
+  try {
+    const items = await storageManager.getOutbox();
+    const counts = { pending: 0, failed: 0, conflict: 0, synced: 0 };
+    items.forEach(item => {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    });
+
+    return {
+      success: true,
+      data: {
+        items: items.map(item => ({
+          ...item,
+          title: item.promptData?.title || item.promptData?.content?.substring(0, 50) || item.recordId || ''
+        })).reverse(),
+        counts
+      }
+    };
+
+  } catch (error) {
+    Logger.error('获取写入队列失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理重试写入队列
+ * 指定 id 时只重试该项，否则重试所有失败和待同步的项
+ */
+async function handleRetryOutbox(params = {}) {
+  try {
+    const { id = null } = params;
+
+    await storageManager.updateOutbox(items => items.map(item => {
+      // 冲突需要先选择处理方式，重试只会再次检测到冲突
+      if (['synced', 'conflict'].includes(item.status) || (id && item.id !== id)) return item;
+      return { ...item, status: 'pending', attempts: 0, nextAttemptAt: Date.now(), updatedAt: Date.now() };
+    }));
+
+    await replayOutbox(true);
+    return await handleGetOutbox();
+
+  } catch (error) {
+    Logger.error('重试写入队列失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理放弃写入队列项
+ * 放弃尚未同步的新建项时一并移除本地占位数据，放弃修改或删除时恢复飞书中的版本
+ */
+async function handleDiscardOutboxItem(params) {
+  try {
+    const { id } = params;
+    const item = (await storageManager.getOutbox()).find(current => current.id === id);
+
+    if (item) {
+      await storageManager.removeOutboxItems([id]);
+      if (item.type === 'create' && item.status !== 'synced') {
+        await storageManager.removePermanentPrompts([item.localId], item.sourceId);
+      } else if (item.status !== 'synced' && (item.remote || item.base)) {
+        await storageManager.upsertPermanentPrompts([item.remote || item.base], item.sourceId);
+      }
+    }
+
+    return await handleGetOutbox();
+
+  } catch (error) {
+    Logger.error('放弃写入队列项失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理获取冲突详情
+ * 返回基础版本、本地版本和飞书版本，内容的逐行差异，以及三方合并的建议结果
+ */
+async function handleGetConflict(params) {
+  try {
+    const item = (await storageManager.getOutbox()).find(current => current.id === params.id);
+    if (!item || item.status !== 'conflict') {
+      throw new Error('冲突不存在或已处理');
+    }
+
+    const base = item.base || {};
+    const theirs = item.remote || {};
+    const mine = item.type === 'delete' ? null : applyLocalEdit(base, item.promptData);
+    const merged = mine ? mergePromptFields(base, item.promptData, theirs) : null;
+
+    return {
+      success: true,
+      data: {
+        id: item.id,
+        type: item.type,
+        base,
+        mine,
+        theirs,
+        diff: diffLines(theirs.content || '', mine?.content || ''),
+        merged: merged?.promptData || null,
+        conflictFields: merged?.conflictFields || []
+      }
+    };
+
+  } catch (error) {
+    Logger.error('获取冲突详情失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 三方合并本地修改过的字段
+ * 只有一方修改的字段直接采用，双方都修改的内容按行合并，其他字段以本地修改为准
+ */
+function mergePromptFields(base, localChanges = {}, theirs) {
+  const same = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+  const promptData = {};
+  const conflictFields = [];
+
+  MERGE_FIELDS.filter(field => field in localChanges).forEach(field => {
+    const mine = localChanges[field];
+
+    if (same(mine, base[field]) || same(mine, theirs[field])) {
+      promptData[field] = theirs[field];
+    } else if (same(theirs[field], base[field])) {
+      promptData[field] = mine;
+    } else if (field === 'content') {
+      const result = mergeText(base.content, mine, theirs.content);
+      promptData.content = result.text;
+      if (result.conflicts > 0) conflictFields.push(field);
+    } else {
+      promptData[field] = mine;
+      conflictFields.push(field);
+    }
+  });
+
+  return { promptData, conflictFields };
+}
+
+/**
+ * 处理解决冲突
+ * resolution 为 theirs 时放弃本地修改；mine 和 merge 以飞书中的当前版本为新的基础版本重新提交
  */
-async function handleIncomingMessage(request, sender) {
-  const { action, ...params } = request;
-
-  Logger.debug('接收到消息', { action, params });
-
-  switch (action) {
-    // 搜索相关
-    case MESSAGE_TYPES.SEARCH_PROMPTS:
-      return await handleSearchPrompts(params);
-
-    // 连接测试
-    case MESSAGE_TYPES.CHECK_CONNECTION:
-      return await handleCheckConnection();
+async function handleResolveConflict(params) {
+  try {
+    const { id, resolution, promptData } = params;
+    const item = (await storageManager.getOutbox()).find(current => current.id === id);
+    if (!item || item.status !== 'conflict') {
+      throw new Error('冲突不存在或已处理');
+    }
 
-    // 设置管理
-    case MESSAGE_TYPES.SAVE_SETTINGS:
-      return await handleSaveSettings(params);
+    if (resolution === 'theirs') {
+      await storageManager.removeOutboxItems([id]);
+      await storageManager.upsertPermanentPrompts([item.remote], item.sourceId);
+    } else if (resolution === 'mine' || resolution === 'merge') {
+      if (resolution === 'merge' && item.type !== 'update') {
+        throw new Error('只有修改操作可以合并');
+      }
 
-    // 数据刷新
-    case MESSAGE_TYPES.MANUAL_REFRESH:
-      return await handleManualRefresh();
+      const resolvedData = resolution === 'merge' ? promptData : item.promptData;
+      await storageManager.updateOutboxItem(id, {
+        status: 'pending',
+        promptData: resolvedData,
+        base: item.remote,
+        baseRevision: item.remote?.revision || 0,
+        remote: null,
+        attempts: 0,
+        lastError: '',
+        nextAttemptAt: Date.now()
+      });
 
-    // 缓存管理
-    case MESSAGE_TYPES.CLEAR_CACHE:
-      return await handleClearCache();
+      if (item.type === 'update') {
+        await storageManager.upsertPermanentPrompts([applyLocalEdit(item.remote, resolvedData)], item.sourceId);
+      }
 
-    // 永久数据管理
-    case MESSAGE_TYPES.GET_PERMANENT_PROMPTS_INFO:
-      return await handleGetPermanentPromptsInfo();
+      await replayOutbox(true);
+    } else {
+      throw new Error(`未知的处理方式: ${resolution}`);
+    }
 
-    case MESSAGE_TYPES.CLEAR_PERMANENT_PROMPTS:
-      return await handleClearPermanentPrompts();
+    Logger.info('修改冲突已处理', { id, resolution });
+    return await handleGetOutbox();
 
-    // 自动刷新设置
-    case MESSAGE_TYPES.SET_AUTO_REFRESH_SETTINGS:
-      return await handleSetAutoRefreshSettings(params);
+  } catch (error) {
+    Logger.error('处理修改冲突失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-    // 捕获相关
-    case MESSAGE_TYPES.CAPTURE_PROMPT:
-      return await handleCapturePrompt(params);
+/**
+ * 处理获取数据表字段
+ */
+async function handleGetTableFields() {
+  try {
+    await reloadFeishuConfig();
 
-    case MESSAGE_TYPES.COPY_TO_CLIPBOARD:
-      return await handleCopyToClipboard(params);
+    const response = await feishuApiService.listFields();
+    if (!response.success) {
+      throw new Error(response.error);
+    }
 
-    // 选择器相关
-    case MESSAGE_TYPES.SHOW_SELECTOR:
-      return await handleShowSelector(params);
+    const fieldNames = response.data.fields.map(field => field.name);
 
-    // UI相关
-    case MESSAGE_TYPES.TOGGLE_POPUP:
-      return await handleTogglePopup(params);
+    return {
+      success: true,
+      data: {
+        fields: response.data.fields,
+        mapping: FieldMapping.resolve(feishuApiService.getFieldMapping()),
+        suggested: FieldMapping.autoDetect(fieldNames),
+        logicalFields: PROMPT_FIELDS.map(({ key, label, required }) => ({ key, label, required: !!required }))
+      }
+    };
 
-    default:
-      Logger.warn('未知的消息类型', { action });
-      return {
-        success: false,
-        error: '未知的消息类型',
-        code: ERROR_CODES.UNKNOWN_ERROR
-      };
+  } catch (error) {
+    Logger.error('获取数据表字段失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
   }
 }
 
 /**
- * 处理搜索提示词
+ * 处理保存字段映射
  */
-async function handleSearchPrompts(params) {
+async function handleSaveFieldMapping(params) {
   try {
-    const { keyword, filter = {} } = params;
-    const settings = storageManager.getSettings();
-
-    // 限制搜索结果数量
-    const maxResults = Math.min(
-      params.pageSize || 50,
-      settings.maxRecentItems || 10
-    );
+    const { fieldMapping = {}, fieldNames = null } = params;
 
-    // 先搜索缓存和永久数据
-    const cachedResults = await searchInCache(keyword, filter, maxResults);
-    if (cachedResults.length > 0) {
+    const validation = FieldMapping.validate(fieldMapping, fieldNames);
+    if (!validation.isValid) {
       return {
-        success: true,
-        data: {
-          prompts: cachedResults,
-          total: cachedResults.length,
-          hasMore: false,
-          pageToken: null,
-          source: 'cache'
-        }
+        success: false,
+        error: validation.errors.join('\n')
       };
     }
 
-    // 如果没有缓存结果，搜索飞书API
-    const apiResponse = await feishuApiService.searchPrompts(keyword, {
-      pageSize: maxResults,
-      filter
+    const feishuConfig = await storageManager.loadFeishuConfig();
+    await storageManager.saveFeishuConfig({
+      ...feishuConfig,
+      fieldMapping
     });
+    await reloadFeishuConfig();
 
-    if (apiResponse.success) {
-      // 添加到最近使用
-      if (apiResponse.data.prompts.length > 0) {
-        await storageManager.addRecentPrompt(apiResponse.data.prompts[0]);
-      }
+    return {
+      success: true,
+      message: '字段映射保存成功'
+    };
+
+  } catch (error) {
+    Logger.error('保存字段映射失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 处理检查表格结构
+ */
+async function handleInspectTableSchema() {
+  try {
+    await reloadFeishuConfig();
+
+    const response = await feishuApiService.inspectSchema();
+    if (!response.success) {
+      throw new Error(response.error);
     }
 
-    return apiResponse;
+    return {
+      success: true,
+      data: response.data
+    };
 
   } catch (error) {
-    Logger.error('搜索提示词失败', { params, error });
+    Logger.error('检查表格结构失败', { error });
     return {
       success: false,
-      error: error.message,
-      data: { prompts: [], total: 0, hasMore: false, pageToken: null }
+      error: error.message
     };
   }
 }
 
 /**
- * 在缓存中搜索提示词
+ * 处理创建提示词数据表
+ * 创建成功后切换到自定义模式并保存新表格及字段映射
  */
-async function searchInCache(keyword, filter, maxResults) {
-  const results = [];
+async function handleCreatePromptTable(params) {
+  try {
+    const { appToken, tableName } = params;
 
-  // 搜索永久数据
-  const permanentPrompts = await storageManager.getPermanentPrompts();
-  if (permanentPrompts.prompts) {
-    const filtered = permanentPrompts.prompts.filter(prompt => {
-      if (keyword && !prompt.prompt.toLowerCase().includes(keyword.toLowerCase())) {
-        return false;
-      }
-      if (filter.category && prompt.category !== filter.category) {
-        return false;
-      }
-      return true;
-    });
+    await reloadFeishuConfig();
 
-    results.push(...filtered.slice(0, maxResults));
-  }
+    const response = await feishuApiService.createPromptTable(appToken, tableName);
+    if (!response.success) {
+      throw new Error(response.error);
+    }
 
-  // 搜索最近使用
-  const recentPrompts = await storageManager.getRecentPrompts();
-  if (recentPrompts.length > 0) {
-    const filtered = recentPrompts.filter(item => {
-      if (keyword && !item.prompt.toLowerCase().includes(keyword.toLowerCase())) {
-        return false;
-      }
-      return true;
+    const feishuConfig = await storageManager.loadFeishuConfig();
+    await storageManager.saveFeishuConfig({
+      ...feishuConfig,
+      configMode: 'custom',
+      bitableAppToken: response.data.appToken,
+      bitableTableId: response.data.tableId,
+      fieldMapping: response.data.fieldMapping
     });
+    await reloadFeishuConfig();
 
-    results.push(...filtered.slice(0, maxResults - results.length));
-  }
+    return {
+      success: true,
+      data: response.data,
+      message: '提示词数据表创建成功'
+    };
 
-  return results;
+  } catch (error) {
+    Logger.error('创建提示词数据表失败', { params, error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
 }
 
 /**
- * 处理连接测试
+ * 处理获取飞书配置
+ * App Secret 不返回给页面，只告知是否已保存
  */
-async function handleCheckConnection() {
+async function handleGetFeishuConfig() {
   try {
-    const result = await feishuApiService.testConnection();
+    const { appSecret, sources = [], ...feishuConfig } = await storageManager.loadFeishuConfig();
     return {
       success: true,
-      data: result
+      data: {
+        ...feishuConfig,
+        hasAppSecret: Boolean(appSecret),
+        sources: sources.map(({ appSecret: sourceSecret, ...source }) => ({
+          ...source,
+          hasAppSecret: Boolean(sourceSecret)
+        }))
+      }
     };
   } catch (error) {
-    Logger.error('连接测试失败', { error });
+    Logger.error('获取飞书配置失败', { error });
     return {
       success: false,
       error: error.message,
-      data: { connected: false, message: error.message }
+      data: {}
     };
   }
 }
 
 /**
- * 处理保存设置
+ * 处理保存飞书配置
  */
-async function handleSaveSettings(params) {
+async function handleSaveFeishuConfig(params) {
   try {
-    const { settings, feishuConfig } = params;
-
-    // 保存设置
-    if (settings) {
-      await storageManager.saveSettings(settings);
-    }
+    await storageManager.saveFeishuConfig(params.feishuConfig || {});
+    await reloadFeishuConfig();
 
-    // 保存飞书配置
-    if (feishuConfig) {
-      await storageManager.saveFeishuConfig(feishuConfig);
-      await feishuApiService.initConfig(feishuConfig);
-    }
+    return {
+      success: true,
+      message: '飞书配置保存成功'
+    };
+  } catch (error) {
+    Logger.error('保存飞书配置失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-    // 重启自动刷新
-    await restartAutoRefresh();
+/**
+ * 处理清除飞书凭据
+ */
+async function handleClearCredentials() {
+  try {
+    await storageManager.clearCredentials();
+    await reloadFeishuConfig();
 
     return {
       success: true,
-      message: '设置保存成功'
+      message: '飞书凭据已清除'
     };
+  } catch (error) {
+    Logger.error('清除飞书凭据失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
+/**
+ * 处理获取凭据保险库状态
+ */
+async function handleGetVaultStatus() {
+  try {
+    const { credentialsMissing = false } = await storageManager.loadFeishuConfig();
+    return {
+      success: true,
+      data: { ...(await credentialVault.getStatus()), credentialsMissing }
+    };
   } catch (error) {
-    Logger.error('保存设置失败', { params, error });
+    Logger.error('获取凭据保险库状态失败', { error });
     return {
       success: false,
       error: error.message
@@ -280,35 +2310,72 @@ async function handleSaveSettings(params) {
 }
 
 /**
- * 处理手动刷新
+ * 处理设置凭据保护口令
  */
-async function handleManualRefresh() {
+async function handleSetVaultPassphrase(params) {
   try {
-    Logger.info('开始手动刷新数据');
+    await credentialVault.setPassphrase(params.passphrase || null);
 
-    // 获取所有提示词
-    const response = await feishuApiService.getAllPrompts();
+    return {
+      success: true,
+      data: await credentialVault.getStatus(),
+      message: params.passphrase ? '保护口令已设置' : '保护口令已移除'
+    };
+  } catch (error) {
+    Logger.error('设置凭据保护口令失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-    if (response.success) {
-      // 保存到永久存储
-      await storageManager.savePermanentPrompts(response.data.prompts);
-      await storageManager.saveLastRefreshTime();
+/**
+ * 处理解锁凭据
+ */
+async function handleUnlockVault(params) {
+  try {
+    await credentialVault.unlock(params.passphrase || '');
+    await reloadFeishuConfig();
 
-      Logger.info('手动刷新完成', { count: response.data.total });
+    return {
+      success: true,
+      data: await credentialVault.getStatus(),
+      message: '凭据已解锁'
+    };
+  } catch (error) {
+    Logger.error('解锁凭据失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
-      return {
-        success: true,
-        data: {
-          ...response.data,
-          lastRefreshTime: TimeUtils.formatTimestamp(Date.now())
-        }
-      };
-    } else {
-      throw new Error(response.error);
-    }
+/**
+ * 处理飞书账号登录
+ */
+async function handleSignInFeishu(params) {
+  try {
+    const feishuConfig = params.feishuConfig || await storageManager.loadFeishuConfig();
+    return await feishuAuthService.signIn(feishuConfig);
+  } catch (error) {
+    Logger.error('飞书账号登录失败', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
 
+/**
+ * 处理退出飞书账号登录
+ */
+async function handleSignOutFeishu() {
+  try {
+    return await feishuAuthService.signOut();
   } catch (error) {
-    Logger.error('手动刷新失败', { error });
+    Logger.error('退出飞书账号登录失败', { error });
     return {
       success: false,
       error: error.message
@@ -316,13 +2383,30 @@ async function handleManualRefresh() {
   }
 }
 
+/**
+ * 处理获取登录状态
+ */
+async function handleGetAuthStatus(params) {
+  try {
+    const feishuConfig = params.feishuConfig || await storageManager.loadFeishuConfig();
+    return await feishuAuthService.getStatus(feishuConfig);
+  } catch (error) {
+    Logger.error('获取登录状态失败', { error });
+    return {
+      success: false,
+      error: error.message,
+      data: { signedIn: false, user: null }
+    };
+  }
+}
+
 /**
  * 处理清除缓存
  */
 async function handleClearCache() {
   try {
     await storageManager.clearCache();
-    feishuApiService.clearCache();
+    promptSources.clearCache();
 
     return {
       success: true,
@@ -417,11 +2501,23 @@ async function handleCapturePrompt(params) {
       capturedAt: Date.now()
     });
 
-    Logger.info('提示词捕获成功', { source, length: prompt.length });
+    // 写入第一个可写入的数据源，无法连接飞书时进入写入队列
+    const target = promptSources.list().find(item => item.writable);
+    let saved = null;
+    if (target && promptSources.getService(target.id).config?.bitableTableId) {
+      saved = await handleCreatePrompt({
+        promptData: { content: prompt, category: '捕获' },
+        sourceId: target.id
+      });
+    }
+
+    Logger.info('提示词捕获成功', { source, length: prompt.length, queued: Boolean(saved?.queued) });
 
     return {
       success: true,
-      message: '提示词捕获成功'
+      data: saved?.data || null,
+      queued: Boolean(saved?.queued),
+      message: saved?.queued ? '提示词已捕获，将在连接飞书后同步' : '提示词捕获成功'
     };
 
   } catch (error) {
@@ -653,7 +2749,7 @@ chrome.runtime.onInstalled.addListener((details) => {
       Logger.info('PromptMaster 扩展已更新', { previousVersion: details.previousVersion });
     }
 
-    // 初始化扩展
+    // 初始化扩展，已保存的数据在存储管理器初始化时迁移到当前结构
     initialize();
   } catch (error) {
     Logger.error('扩展安装/更新事件处理失败', { details, error });
@@ -683,6 +2779,16 @@ chrome.runtime.onActivated.addListener(() => {
   }
 });
 
+/**
+ * 网络恢复时立即重放写入队列
+ */
+self.addEventListener('online', () => {
+  Logger.info('网络已恢复，重放写入队列');
+  replayOutbox(true).catch(error => {
+    Logger.error('重放写入队列失败', { error });
+  });
+});
+
 /**
  * 在扩展启动时初始化
  */
@@ -695,6 +2801,7 @@ chrome.runtime.onSuspend.addListener(() => {
   try {
     stopKeepAlive();
     stopAutoRefresh();
+    clearTimeout(outboxTimer);
     Logger.info('Service Worker 已暂停');
   } catch (error) {
     Logger.error('Service Worker 暂停失败', { error });
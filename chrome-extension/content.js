@@ -18,6 +18,17 @@ const CONFIG = {
   RESULT_ITEM_CLASS: 'promptmaster-result-item',
   SELECTED_CLASS: 'selected',
 
+  // 数据源筛选，与弹窗共用同一个存储键
+  SOURCE_FILTER_KEY: 'promptmaster_source_filter',
+
+  // 上下文变量 {{page.text}} 读取的正文最大长度，预览中每项显示的长度
+  PAGE_TEXT_LIMIT: 8000,
+  CONTEXT_PREVIEW_LENGTH: 80,
+
+  // 插入后发送时等待发送按钮可用的时间，对话网站通常在输入框状态更新后才启用按钮
+  SUBMIT_TIMEOUT: 1500,
+  SUBMIT_POLL_INTERVAL: 100,
+
   // 键盘导航
   KEYS: {
     ESCAPE: 'Escape',
@@ -94,6 +105,18 @@ let state = {
   selector: null,
   searchTimeout: null,
   lastTriggerChar: null,
+  sources: [],
+  sourceFilter: '',
+  // 查询末尾筛选前缀的补全候选，start/end 为在查询中被替换的范围
+  suggestions: { start: 0, end: 0, suggestions: [] },
+  // 正在填写模板变量的提示词，以及打开表单前 contentEditable 中的光标位置
+  templatePrompt: null,
+  savedRange: null,
+  templateContext: {},
+  // 页面中最近一次选中的文字，点击输入框后选区会消失
+  lastSelection: '',
+  // 当前网站的适配器，首次使用时查找，没有匹配的适配器时为 null
+  siteAdapter: undefined,
   clipboard: {
     lastContent: '',
     lastCheckTime: 0,
@@ -104,6 +127,188 @@ let state = {
   }
 };
 
+// ==================== 站点适配 ====================
+
+/**
+ * AI 对话网站的适配器
+ * 对话网站的输入框多由 React、ProseMirror、Lexical、Quill 等框架管理，直接改 value 或插入文本节点
+ * 会被忽略或立即还原。每个适配器说明如何找到输入框、用框架接受的方式插入文本、发送消息，
+ * 以及读取最新一条 AI 回复；没有提供的方法使用 DEFAULT_SITE_ADAPTER 中的通用实现
+ */
+const SITE_ADAPTERS = [];
+
+const DEFAULT_SITE_ADAPTER = {
+  id: '',
+  name: '',
+  hosts: [],
+  composerSelectors: [],
+  submitSelectors: [],
+  responseSelectors: [],
+
+  matches(hostname) {
+    return this.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  },
+
+  /**
+   * 页面中可见的输入框
+   */
+  findComposer() {
+    return queryVisible(this.composerSelectors);
+  },
+
+  /**
+   * 元素所在的输入框，不在输入框中时返回 null
+   */
+  resolveComposer(element) {
+    if (!element?.closest || this.composerSelectors.length === 0) return null;
+    return element.closest(this.composerSelectors.join(','));
+  },
+
+  insertText(element, text) {
+    return insertTextIntoEditor(element, text);
+  },
+
+  /**
+   * 发送输入框中的内容
+   * 等待发送按钮可用后点击，超时仍找不到按钮时在输入框中模拟 Enter
+   */
+  async submit(composer = this.findComposer()) {
+    const deadline = Date.now() + CONFIG.SUBMIT_TIMEOUT;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.SUBMIT_POLL_INTERVAL));
+      const button = queryVisible(this.submitSelectors, element =>
+        !element.disabled && element.getAttribute('aria-disabled') !== 'true');
+      if (button) {
+        button.click();
+        return true;
+      }
+    }
+
+    if (!composer) return false;
+    const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+    composer.dispatchEvent(new KeyboardEvent('keydown', init));
+    composer.dispatchEvent(new KeyboardEvent('keyup', init));
+    return true;
+  },
+
+  /**
+   * 最新一条 AI 回复的文字，没有回复时返回空字符串
+   */
+  readLatestResponse() {
+    if (this.responseSelectors.length === 0) return '';
+    const responses = document.querySelectorAll(this.responseSelectors.join(','));
+    const latest = responses[responses.length - 1];
+    return latest ? latest.innerText.trim() : '';
+  }
+};
+
+/**
+ * 注册网站适配器，只需提供与通用实现不同的部分
+ */
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push({ ...DEFAULT_SITE_ADAPTER, ...adapter });
+}
+
+/**
+ * 当前网站的适配器
+ */
+function getSiteAdapter() {
+  if (state.siteAdapter === undefined) {
+    state.siteAdapter = SITE_ADAPTERS.find(adapter => adapter.matches(window.location.hostname)) || null;
+  }
+  return state.siteAdapter;
+}
+
+/**
+ * 第一个匹配且可见的元素
+ */
+function queryVisible(selectors, filter = () => true) {
+  for (const selector of selectors) {
+    for (const element of document.querySelectorAll(selector)) {
+      if (element.getClientRects().length > 0 && filter(element)) {
+        return element;
+      }
+    }
+  }
+  return null;
+}
+
+registerSiteAdapter({
+  id: 'chatgpt',
+  name: 'ChatGPT',
+  hosts: ['chatgpt.com', 'chat.openai.com'],
+  composerSelectors: ['#prompt-textarea', 'form textarea'],
+  submitSelectors: ['button[data-testid="send-button"]', '#composer-submit-button'],
+  responseSelectors: ['[data-message-author-role="assistant"]']
+});
+
+registerSiteAdapter({
+  id: 'claude',
+  name: 'Claude',
+  hosts: ['claude.ai'],
+  composerSelectors: ['div.ProseMirror[contenteditable="true"]', '[data-testid="chat-input"]'],
+  submitSelectors: ['button[aria-label="Send message"]', 'button[aria-label="Send Message"]', 'button[aria-label="发送消息"]'],
+  responseSelectors: ['.font-claude-response', '.font-claude-message'],
+
+  // ProseMirror 会把 execCommand 插入的多行文本合并或还原，粘贴时才按段落处理
+  insertText(element, text) {
+    return pasteIntoEditor(element, text);
+  }
+});
+
+registerSiteAdapter({
+  id: 'gemini',
+  name: 'Gemini',
+  hosts: ['gemini.google.com'],
+  composerSelectors: ['rich-textarea .ql-editor[contenteditable="true"]', '.ql-editor[contenteditable="true"]'],
+  submitSelectors: ['button.send-button', 'button[aria-label="Send message"]', 'button[aria-label="发送"]'],
+  responseSelectors: ['model-response message-content', '.model-response-text']
+});
+
+registerSiteAdapter({
+  id: 'kimi',
+  name: 'Kimi',
+  hosts: ['kimi.com', 'kimi.moonshot.cn'],
+  composerSelectors: ['.chat-input-editor[contenteditable="true"]', '[data-lexical-editor="true"]', 'textarea'],
+  submitSelectors: ['.send-button-container:not(.disabled) .send-button', '.send-button', '[data-testid="msh-chatinput-send-button"]'],
+  responseSelectors: ['.segment-assistant .markdown', '.chat-content-item-assistant .markdown'],
+
+  // Lexical 编辑器会还原 execCommand 插入的内容，输入框是 textarea 时仍按通用方式插入
+  insertText(element, text) {
+    const tagName = element?.tagName.toLowerCase();
+    return tagName === 'textarea' ? insertTextIntoEditor(element, text) : pasteIntoEditor(element, text);
+  }
+});
+
+registerSiteAdapter({
+  id: 'doubao',
+  name: '豆包',
+  hosts: ['doubao.com'],
+  composerSelectors: ['textarea[data-testid="chat_input_input"]', '[data-testid="chat_input"] textarea', '[data-testid="chat_input"] [contenteditable="true"]'],
+  submitSelectors: ['button[data-testid="chat_input_send_button"]', '#flow-end-msg-send'],
+  responseSelectors: ['[data-testid="receive_message"] [data-testid="message_text_content"]', '[data-testid="receive_message"]']
+});
+
+registerSiteAdapter({
+  id: 'deepseek',
+  name: 'DeepSeek',
+  hosts: ['chat.deepseek.com'],
+  composerSelectors: ['#chat-input', 'textarea'],
+  // 发送按钮是没有文字的 div，找不到时按 Enter 发送
+  submitSelectors: ['div[role="button"].ds-button--primary'],
+  responseSelectors: ['.ds-markdown']
+});
+
+registerSiteAdapter({
+  id: 'tongyi',
+  name: '通义',
+  hosts: ['tongyi.aliyun.com', 'tongyi.com', 'qianwen.aliyun.com'],
+  composerSelectors: ['textarea[class*="textarea"]', 'textarea'],
+  submitSelectors: ['[class*="operateBtn"]:not([class*="disabled"])', '[class*="sendBtn"]:not([class*="disabled"])'],
+  responseSelectors: ['[class*="answerItem"] .markdown-body', '.tongyi-markdown']
+});
+
 // ==================== 工具函数 ====================
 
 /**
@@ -112,6 +317,11 @@ let state = {
 function isEditableElement(element) {
   if (!element) return false;
   
+  // 对话网站的输入框由适配器识别
+  if (getSiteAdapter()?.resolveComposer(element)) {
+    return true;
+  }
+  
   const tagName = element.tagName.toLowerCase();
   
   // 输入框和文本域
@@ -177,7 +387,7 @@ function getCursorPosition(element) {
       };
     }
     
-    if (element.contentEditable === 'true') {
+    if (element.isContentEditable) {
       const selection = window.getSelection();
       if (selection.rangeCount > 0) {
         const range = selection.getRangeAt(0);
@@ -279,11 +489,12 @@ async function performSearch(query) {
     const response = await chrome.runtime.sendMessage({
       action: 'searchPrompts',
       keyword: query,
-      params: { pageSize: CONFIG.MAX_RESULTS }
+      filter: state.sourceFilter ? { sourceId: state.sourceFilter } : {},
+      pageSize: CONFIG.MAX_RESULTS
     });
     
     if (response && response.success) {
-      state.results = response.data?.items || [];
+      state.results = response.data?.prompts || [];
       state.selectedIndex = state.results.length > 0 ? 0 : -1;
     } else {
       state.results = [];
@@ -323,18 +534,22 @@ function createSelector() {
   
   selector.innerHTML = `
     <div class="promptmaster-selector-header">
-      <span class="promptmaster-trigger-hint">输入关键词搜索提示词</span>
-      <span class="promptmaster-keyboard-hint">↑↓ 选择 • Enter 确认 • Esc 取消</span>
+      <span class="promptmaster-trigger-hint">输入关键词搜索，支持 cat: tag: src: is:fav</span>
+      <span class="promptmaster-keyboard-hint">↑↓ 选择 • Enter 确认${getSiteAdapter() ? ' • Alt+Enter 发送' : ''} • Esc 取消</span>
     </div>
+    <div class="promptmaster-source-filter" style="display: none;"></div>
+    <div class="promptmaster-suggestions" style="display: none;"></div>
     <div class="promptmaster-results"></div>
     <div class="promptmaster-selector-footer">
       <span class="promptmaster-results-count">0 个结果</span>
     </div>
   `;
   
-  // 防止选择器内的事件冒泡
+  // 防止选择器内的事件冒泡；模板变量表单中的输入控件需要获得焦点
   selector.addEventListener('mousedown', (e) => {
-    e.preventDefault();
+    if (!e.target.closest('input, textarea, select')) {
+      e.preventDefault();
+    }
     e.stopPropagation();
   });
   
@@ -435,9 +650,10 @@ function updateSelector() {
     item.className = `${CONFIG.RESULT_ITEM_CLASS} ${index === state.selectedIndex ? CONFIG.SELECTED_CLASS : ''}`;
     item.dataset.index = index;
     
-    // 高亮搜索关键词
-    const highlightedTitle = highlightSearchTerm(result.title, state.searchQuery);
-    const highlightedAlias = result.alias ? highlightSearchTerm(result.alias, state.searchQuery) : '';
+    // 高亮搜索索引返回的匹配位置
+    const highlights = result.highlights || {};
+    const highlightedTitle = highlightRanges(result.title, highlights.title);
+    const highlightedAlias = result.alias ? highlightRanges(result.alias, highlights.alias) : '';
     
     // 构建小方块展示内容
     const blocks = [];
@@ -452,15 +668,26 @@ function updateSelector() {
       blocks.push(`<span class="promptmaster-block promptmaster-block-alias">${highlightedAlias}</span>`);
     }
     
+    // 收藏块
+    if (result.favorite) {
+      blocks.push('<span class="promptmaster-block promptmaster-block-favorite">★</span>');
+    }
+    
+    // 数据源块，只有多个数据源时显示
+    const sourceName = getSourceName(result);
+    if (sourceName) {
+      blocks.push(`<span class="promptmaster-block promptmaster-block-source">${escapeHtml(sourceName)}</span>`);
+    }
+    
     // 分类块
     if (result.category) {
-      blocks.push(`<span class="promptmaster-block promptmaster-block-category">${result.category}</span>`);
+      blocks.push(`<span class="promptmaster-block promptmaster-block-category">${escapeHtml(result.category)}</span>`);
     }
     
     // 标签块
     if (result.tags && result.tags.length > 0) {
       result.tags.forEach(tag => {
-        blocks.push(`<span class="promptmaster-block promptmaster-block-tag">${tag}</span>`);
+        blocks.push(`<span class="promptmaster-block promptmaster-block-tag">${escapeHtml(tag)}</span>`);
       });
     }
     
@@ -520,20 +747,29 @@ function updateSelector() {
 }
 
 /**
- * 高亮搜索关键词
+ * 按匹配位置高亮文本，其余部分转义
  */
-function highlightSearchTerm(text, searchTerm) {
-  if (!text || !searchTerm) return text;
-  
-  const regex = new RegExp(`(${escapeRegExp(searchTerm)})`, 'gi');
-  return text.replace(regex, '<mark>$1</mark>');
+function highlightRanges(text, ranges) {
+  if (!text) return '';
+  if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+  let html = '';
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(last, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  });
+
+  return html + escapeHtml(text.slice(last));
 }
 
 /**
- * 转义正则表达式特殊字符
+ * 转义 HTML 特殊字符
  */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
 }
 
 /**
@@ -578,10 +814,135 @@ function showSelector() {
   
   // 初始搜索（空查询显示提示）
   updateSelector();
+  loadSourceFilter();
   
   state.isActive = true;
 }
 
+/**
+ * 加载数据源筛选
+ */
+async function loadSourceFilter() {
+  try {
+    const [response, stored] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getPromptSources' }),
+      chrome.storage.local.get([CONFIG.SOURCE_FILTER_KEY])
+    ]);
+    
+    state.sources = response && response.success ? response.data : [];
+    const savedFilter = stored[CONFIG.SOURCE_FILTER_KEY] || '';
+    state.sourceFilter = state.sources.some(source => source.id === savedFilter) ? savedFilter : '';
+    
+    renderSourceFilter();
+  } catch (error) {
+    console.warn('加载数据源失败:', error);
+  }
+}
+
+/**
+ * 渲染数据源筛选，只有多个数据源时显示
+ */
+function renderSourceFilter() {
+  const container = state.selector?.querySelector('.promptmaster-source-filter');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  if (state.sources.length <= 1) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  [{ id: '', name: '全部' }, ...state.sources].forEach(source => {
+    const chip = document.createElement('span');
+    chip.className = `promptmaster-source-chip ${source.id === state.sourceFilter ? CONFIG.SELECTED_CLASS : ''}`;
+    chip.textContent = source.name;
+    
+    chip.addEventListener('click', () => {
+      state.sourceFilter = source.id;
+      chrome.storage.local.set({ [CONFIG.SOURCE_FILTER_KEY]: source.id });
+      renderSourceFilter();
+      
+      if (state.searchQuery) {
+        performSearch(state.searchQuery);
+      }
+    });
+    
+    container.appendChild(chip);
+  });
+  
+  container.style.display = 'flex';
+}
+
+/**
+ * 加载筛选前缀补全
+ * @param {string} rawQuery 触发序列之后到光标为止的原始文本
+ */
+async function loadSuggestions(rawQuery) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSearchSuggestions', query: rawQuery });
+    // 等待期间选择器已关闭
+    if (!state.isActive) return;
+    state.suggestions = response && response.success ? response.data : { start: 0, end: 0, suggestions: [] };
+  } catch (error) {
+    state.suggestions = { start: 0, end: 0, suggestions: [] };
+  }
+  renderSuggestions();
+}
+
+/**
+ * 渲染筛选前缀补全
+ */
+function renderSuggestions() {
+  const container = state.selector?.querySelector('.promptmaster-suggestions');
+  if (!container) return;
+  
+  container.innerHTML = '';
+  state.suggestions.suggestions.forEach(suggestion => {
+    const chip = document.createElement('span');
+    chip.className = 'promptmaster-suggestion';
+    chip.textContent = suggestion.count ? `${suggestion.label} (${suggestion.count})` : suggestion.label;
+    chip.title = suggestion.text;
+    chip.addEventListener('click', () => applySuggestion(suggestion));
+    container.appendChild(chip);
+  });
+  
+  container.style.display = state.suggestions.suggestions.length > 0 ? 'flex' : 'none';
+}
+
+/**
+ * 用补全候选替换输入框中正在输入的筛选前缀
+ * 被替换的部分一定在光标之前，替换后触发 input 事件重新搜索
+ */
+function applySuggestion(suggestion) {
+  if (!state.currentElement || !state.triggerPosition || !suggestion) return;
+  
+  const { start, end } = state.suggestions;
+  const replaceLength = end - start;
+  const insertText = `${suggestion.text} `;
+  state.suggestions = { start: 0, end: 0, suggestions: [] };
+  
+  try {
+    const element = state.currentElement;
+    const cursorInfo = getCursorPosition(element);
+    if (!cursorInfo) return;
+    
+    if (selectTextBeforeCursor(element, cursorInfo.start - replaceLength, replaceLength)) {
+      insertTextAtCursor(element, insertText);
+    }
+  } catch (error) {
+    console.error('补全筛选条件失败:', error);
+  }
+}
+
+/**
+ * 获取提示词所属数据源名称
+ */
+function getSourceName(prompt) {
+  if (state.sources.length <= 1) return '';
+  const source = state.sources.find(item => item.id === (prompt.sourceId || 'default'));
+  return source ? source.name : (prompt.sourceName || '');
+}
+
 /**
  * 隐藏选择器
  */
@@ -599,6 +960,10 @@ function hideSelector() {
   state.results = [];
   state.selectedIndex = -1;
   state.lastTriggerChar = null;
+  state.suggestions = { start: 0, end: 0, suggestions: [] };
+  state.templatePrompt = null;
+  state.savedRange = null;
+  state.templateContext = {};
   
   // 清理定时器
   if (state.searchTimeout) {
@@ -609,72 +974,329 @@ function hideSelector() {
 
 /**
  * 选择结果
+ * 包含模板变量的提示词先显示填写表单，使用上下文变量时在表单中预览读取到的值；
+ * 引用了其他提示词时插入展开后的内容，引用的提示词不存在时提示错误，不插入
+ * options.submit 为 true 时插入后直接发送
  */
-function selectResult(index) {
+async function selectResult(index, options = {}) {
   if (index < 0 || index >= state.results.length) return;
   
   const result = state.results[index];
-  insertPrompt(result);
+  let text = result.content;
+  
+  if (/\{\{/.test(result.content || '')) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'prepareTemplate',
+        prompt: getTemplateRef(result)
+      });
+      if (response && !response.success) {
+        showNotification(response.error, 'error');
+        return;
+      }
+      
+      const template = response?.data;
+      if (template && (template.fields.length > 0 || template.context.length > 0)) {
+        const context = await collectPageContext(template.context.map(variable => variable.name));
+        showTemplateForm(result, template, context);
+        return;
+      }
+      if (template) text = template.content;
+    } catch (error) {
+      console.warn('读取模板变量失败:', error);
+    }
+  }
+  
+  insertPrompt(result, text, options);
   hideSelector();
 }
 
 /**
- * 插入提示词
+ * 渲染模板时发送给后台的提示词信息
  */
-function insertPrompt(prompt) {
-  if (!state.currentElement || !state.triggerPosition) return;
+function getTemplateRef(prompt) {
+  return {
+    id: prompt.id,
+    sourceId: prompt.sourceId,
+    alias: prompt.alias,
+    content: prompt.content,
+    variables: prompt.variables
+  };
+}
+
+/**
+ * 显示模板变量表单，替换结果列表
+ */
+function showTemplateForm(prompt, template, context = {}) {
+  const resultsList = state.selector?.querySelector('.promptmaster-results');
+  if (!resultsList) return;
+  
+  state.templatePrompt = prompt;
+  state.templateContext = context;
+  
+  // 表单获得焦点后页面中的光标会丢失，先保存下来
+  const selection = window.getSelection();
+  state.savedRange = state.currentElement?.isContentEditable && selection.rangeCount > 0
+    ? selection.getRangeAt(0).cloneRange()
+    : null;
+  
+  const suggestions = state.selector.querySelector('.promptmaster-suggestions');
+  if (suggestions) suggestions.style.display = 'none';
   
+  resultsList.innerHTML = `
+    <div class="promptmaster-template-form">
+      <div class="promptmaster-template-title">${escapeHtml(prompt.title || '填写变量')}</div>
+      ${template.fields.map(field => createTemplateFieldHTML(field, template.values[field.name])).join('')}
+      ${createContextPreviewHTML(template.context, context)}
+      <div class="promptmaster-template-error" style="display: none;"></div>
+      <div class="promptmaster-template-actions">
+        <span class="promptmaster-template-hint">Enter 插入${getSiteAdapter() ? ' • Alt+Enter 插入并发送' : ''} • Esc 取消</span>
+        <button type="button" class="promptmaster-template-cancel">取消</button>
+        <button type="button" class="promptmaster-template-submit">插入</button>
+      </div>
+    </div>
+  `;
+  
+  const form = resultsList.querySelector('.promptmaster-template-form');
+  form.querySelector('.promptmaster-template-submit').addEventListener('click', () => submitTemplateForm(form));
+  form.querySelector('.promptmaster-template-cancel').addEventListener('click', cancelTemplateForm);
+  form.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === CONFIG.KEYS.ESCAPE) {
+      e.preventDefault();
+      cancelTemplateForm();
+    } else if (e.key === CONFIG.KEYS.ENTER && (e.target.tagName.toLowerCase() !== 'textarea' || e.ctrlKey || e.metaKey || e.altKey)) {
+      // 多行文本中 Enter 换行，Ctrl+Enter 插入，Alt+Enter 插入并发送
+      e.preventDefault();
+      submitTemplateForm(form, { submit: e.altKey });
+    }
+  });
+  
+  const resultsCount = state.selector.querySelector('.promptmaster-results-count');
+  if (resultsCount) resultsCount.textContent = `${template.fields.length + template.context.length} 个变量`;
+  
+  setTimeout(() => {
+    positionSelector();
+    (form.querySelector('[data-name]') || form.querySelector('.promptmaster-template-submit')).focus();
+  }, 0);
+}
+
+/**
+ * 生成上下文变量的预览，读取不到时显示默认值
+ */
+function createContextPreviewHTML(variables, context) {
+  if (!variables || variables.length === 0) return '';
+  
+  return `
+    <div class="promptmaster-template-context">
+      ${variables.map(variable => {
+        const value = context[variable.name] || variable.default;
+        return `
+          <div class="promptmaster-template-context-item" title="${escapeHtml(value)}">
+            <span class="promptmaster-template-label">${escapeHtml(variable.label)}</span>
+            <span class="promptmaster-template-context-value ${value ? '' : 'empty'}">${value ? escapeHtml(truncateText(value, CONFIG.CONTEXT_PREVIEW_LENGTH)) : '（空）'}</span>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * 读取上下文变量的值，读取失败的变量为空字符串
+ */
+async function collectPageContext(names = []) {
+  const context = {};
+  
+  for (const name of names) {
+    try {
+      context[name] = await readContextVariable(name);
+    } catch (error) {
+      console.warn(`读取上下文变量 ${name} 失败:`, error);
+      context[name] = '';
+    }
+  }
+  
+  return context;
+}
+
+async function readContextVariable(name) {
+  switch (name) {
+    case 'selection':
+      return getSelectedText() || state.lastSelection;
+    case 'page.title':
+      return document.title;
+    case 'page.url':
+      return window.location.href;
+    case 'page.text':
+      return getReadableText();
+    case 'clipboard':
+      return await navigator.clipboard.readText();
+    case 'date':
+      return formatLocalDate(new Date());
+    case 'lang':
+      return document.documentElement.lang || navigator.language;
+    case 'response':
+      return getSiteAdapter()?.readLatestResponse() || '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * 当前选中的文字，包括输入框中的选区；选择器内的选区不算
+ */
+function getSelectedText() {
+  const element = document.activeElement;
+  if (element && (element.tagName.toLowerCase() === 'input' || element.tagName.toLowerCase() === 'textarea') &&
+      !state.selector?.contains(element)) {
+    try {
+      return element.value.substring(element.selectionStart, element.selectionEnd).trim();
+    } catch (error) {
+      // email、number 等输入框不支持选区
+      return '';
+    }
+  }
+  
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || state.selector?.contains(selection.anchorNode)) return '';
+  return selection.toString().trim();
+}
+
+/**
+ * 页面正文：优先取 article、main 区域，去掉导航、页眉页脚等内容
+ */
+function getReadableText() {
+  const root = ['article', 'main', '[role="main"]']
+    .map(selector => document.querySelector(selector))
+    .find(element => element && element.innerText.trim().length > 200) || document.body;
+  if (!root) return '';
+  
+  const clone = root.cloneNode(true);
+  clone.querySelectorAll(`script, style, noscript, template, nav, header, footer, aside, form, iframe, svg, .${CONFIG.SELECTOR_CLASS}`)
+    .forEach(element => element.remove());
+  
+  const text = clone.textContent
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+  return text.length > CONFIG.PAGE_TEXT_LIMIT ? text.substring(0, CONFIG.PAGE_TEXT_LIMIT) + '…' : text;
+}
+
+function formatLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 生成单个变量的输入控件
+ */
+function createTemplateFieldHTML(field, value = '') {
+  const name = escapeHtml(field.name);
+  let control;
+  
+  if (field.type === 'multiline') {
+    control = `<textarea class="promptmaster-template-input" data-name="${name}" rows="3">${escapeHtml(value)}</textarea>`;
+  } else if (field.type === 'select') {
+    control = `
+      <select class="promptmaster-template-input" data-name="${name}">
+        ${field.options.map(option => `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+      </select>
+    `;
+  } else {
+    const type = field.type === 'number' ? 'number' : 'text';
+    control = `<input class="promptmaster-template-input" type="${type}" data-name="${name}" value="${escapeHtml(value)}">`;
+  }
+  
+  return `
+    <label class="promptmaster-template-field">
+      <span class="promptmaster-template-label">${escapeHtml(field.label)}</span>
+      ${control}
+    </label>
+  `;
+}
+
+/**
+ * 提交模板变量表单，渲染后插入
+ */
+async function submitTemplateForm(form, options = {}) {
+  const prompt = state.templatePrompt;
+  if (!prompt) return;
+  
+  const values = { ...state.templateContext };
+  form.querySelectorAll('[data-name]').forEach(input => {
+    values[input.dataset.name] = input.value;
+  });
+  
+  const errorBox = form.querySelector('.promptmaster-template-error');
   try {
-    const cursorInfo = getCursorPosition(state.currentElement);
-    if (!cursorInfo) return;
+    const response = await chrome.runtime.sendMessage({
+      action: 'renderTemplate',
+      prompt: getTemplateRef(prompt),
+      values
+    });
     
-    const { text } = cursorInfo;
-    const triggerStart = state.triggerPosition.position;
-    const triggerEnd = triggerStart + state.triggerPosition.sequence.length + state.searchQuery.length;
+    if (!response || !response.success) {
+      errorBox.textContent = response?.error || '渲染失败';
+      errorBox.style.display = 'block';
+      return;
+    }
     
-    // 构建新文本
-    const beforeTrigger = text.substring(0, triggerStart);
-    const afterTrigger = text.substring(triggerEnd);
-    const newText = beforeTrigger + prompt.content + afterTrigger;
+    restoreEditorFocus();
+    insertPrompt(prompt, response.data.text, options);
+    hideSelector();
+  } catch (error) {
+    console.error('渲染模板失败:', error);
+    errorBox.textContent = '渲染失败，请重试';
+    errorBox.style.display = 'block';
+  }
+}
+
+/**
+ * 取消填写，回到编辑框
+ */
+function cancelTemplateForm() {
+  restoreEditorFocus();
+  hideSelector();
+}
+
+/**
+ * 让编辑框重新获得焦点，并恢复 contentEditable 中的光标
+ */
+function restoreEditorFocus() {
+  const element = state.currentElement;
+  if (!element) return;
+  
+  element.focus();
+  if (state.savedRange) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(state.savedRange);
+  }
+}
+
+/**
+ * 插入提示词，替换触发序列和搜索词
+ * text 为渲染模板变量后的内容，默认使用提示词原文；options.submit 为 true 时插入后由网站适配器发送
+ */
+function insertPrompt(prompt, text = prompt.content, options = {}) {
+  if (!state.currentElement || !state.triggerPosition) return;
+  
+  try {
+    const element = state.currentElement;
+    const { position, sequence } = state.triggerPosition;
+    // 搜索词去掉了首尾空白，按光标位置计算要替换的长度
+    const cursorInfo = getCursorPosition(element);
+    const triggerLength = cursorInfo && cursorInfo.start > position
+      ? cursorInfo.start - position
+      : sequence.length + state.searchQuery.length;
+    if (!selectTextBeforeCursor(element, position, triggerLength)) return;
     
-    // 插入文本
-    if (state.currentElement.tagName.toLowerCase() === 'input' || 
-        state.currentElement.tagName.toLowerCase() === 'textarea') {
-      // 对于input和textarea
-      state.currentElement.value = newText;
-      const newCursorPos = triggerStart + prompt.content.length;
-      state.currentElement.setSelectionRange(newCursorPos, newCursorPos);
-      
-      // 触发input事件
-      state.currentElement.dispatchEvent(new Event('input', { bubbles: true }));
-    } else if (state.currentElement.contentEditable === 'true') {
-      // 对于contentEditable元素
-      const selection = window.getSelection();
-      if (selection.rangeCount > 0) {
-        const range = selection.getRangeAt(0);
-        
-        // 创建新的文本节点
-        const textNode = document.createTextNode(prompt.content);
-        
-        // 删除触发序列和搜索查询
-        const deleteRange = document.createRange();
-        deleteRange.setStart(range.startContainer, Math.max(0, range.startOffset - state.triggerPosition.sequence.length - state.searchQuery.length));
-        deleteRange.setEnd(range.startContainer, range.startOffset);
-        deleteRange.deleteContents();
-        
-        // 插入新文本
-        deleteRange.insertNode(textNode);
-        
-        // 设置光标位置
-        const newRange = document.createRange();
-        newRange.setStartAfter(textNode);
-        newRange.collapse(true);
-        selection.removeAllRanges();
-        selection.addRange(newRange);
-        
-        // 触发input事件
-        state.currentElement.dispatchEvent(new Event('input', { bubbles: true }));
-      }
+    const adapter = getSiteAdapter();
+    const inserted = adapter ? adapter.insertText(element, text) : insertTextIntoEditor(element, text);
+    if (inserted && options.submit && adapter) {
+      adapter.submit(element);
     }
     
     // 记录使用
@@ -685,6 +1307,159 @@ function insertPrompt(prompt) {
   }
 }
 
+/**
+ * 选中光标前的触发序列和搜索词，插入时一并替换
+ * 输入框按触发位置选中；contentEditable 从光标向前扩展选区
+ * @returns {boolean} 是否已选中
+ */
+function selectTextBeforeCursor(element, position, length) {
+  const tagName = element.tagName.toLowerCase();
+  if (tagName === 'input' || tagName === 'textarea') {
+    element.setSelectionRange(position, position + length);
+    return true;
+  }
+  
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0) return false;
+  
+  const range = selection.getRangeAt(0);
+  if (range.startContainer.nodeType === Node.TEXT_NODE && range.startOffset >= length) {
+    const triggerRange = document.createRange();
+    triggerRange.setStart(range.startContainer, range.startOffset - length);
+    triggerRange.setEnd(range.startContainer, range.startOffset);
+    selection.removeAllRanges();
+    selection.addRange(triggerRange);
+    return true;
+  }
+  
+  // 触发序列跨越了多个节点
+  selection.collapseToStart();
+  for (let i = 0; i < length; i++) {
+    selection.modify('extend', 'backward', 'character');
+  }
+  return true;
+}
+
+/**
+ * 在编辑框的光标处插入文本，替换选中的内容
+ * 当前网站有适配器时由适配器插入
+ * @returns {boolean} 是否已插入
+ */
+function insertTextAtCursor(element, text) {
+  if (!isEditableElement(element) || !text) return false;
+  
+  const adapter = getSiteAdapter();
+  return adapter ? adapter.insertText(element, text) : insertTextIntoEditor(element, text);
+}
+
+/**
+ * 用编辑器能够识别的方式插入文本，替换选中的内容
+ * 输入框通过原生的 value setter 赋值并派发 input 事件，React 受控组件才会更新状态；
+ * contentEditable 先用 execCommand('insertText')，多数编辑器会把它当作用户输入处理，
+ * 不被接受时模拟粘贴，最后才直接插入文本节点；会还原 execCommand 插入内容的编辑器由适配器改用 pasteIntoEditor
+ * @returns {boolean} 是否已插入
+ */
+function insertTextIntoEditor(element, text) {
+  if (!element || !text) return false;
+  
+  try {
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'input' || tagName === 'textarea') {
+      const start = element.selectionStart ?? element.value.length;
+      const end = element.selectionEnd ?? start;
+      setNativeValue(element, element.value.slice(0, start) + text + element.value.slice(end));
+      element.setSelectionRange(start + text.length, start + text.length);
+      element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+      return true;
+    }
+    
+    const selection = focusEditor(element);
+    
+    if (document.execCommand('insertText', false, text)) {
+      return true;
+    }
+    
+    if (dispatchPaste(element, text)) {
+      return true;
+    }
+    
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const textNode = document.createTextNode(text);
+    range.insertNode(textNode);
+    
+    const newRange = document.createRange();
+    newRange.setStartAfter(textNode);
+    newRange.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(newRange);
+    
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
+  } catch (error) {
+    console.error('插入文本失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 先模拟粘贴，编辑器没有处理时使用通用的插入方式
+ * 用于会还原 execCommand 插入内容的编辑器
+ */
+function pasteIntoEditor(element, text) {
+  if (!element || !text) return false;
+  
+  try {
+    focusEditor(element);
+    if (dispatchPaste(element, text)) {
+      return true;
+    }
+  } catch (error) {
+    console.error('模拟粘贴失败:', error);
+  }
+  return insertTextIntoEditor(element, text);
+}
+
+/**
+ * 聚焦 contentEditable 输入框，没有焦点时（例如从弹窗插入）把光标放到末尾
+ */
+function focusEditor(element) {
+  element.focus();
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0 || !element.contains(selection.anchorNode)) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+  return selection;
+}
+
+/**
+ * 派发携带文本的粘贴事件，返回编辑器是否已处理
+ */
+function dispatchPaste(element, text) {
+  const clipboardData = new DataTransfer();
+  clipboardData.setData('text/plain', text);
+  const paste = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+  element.dispatchEvent(paste);
+  return paste.defaultPrevented;
+}
+
+/**
+ * 绕过框架在元素上定义的 value 属性，直接调用原生 setter
+ */
+function setNativeValue(element, value) {
+  const prototype = element.tagName.toLowerCase() === 'textarea' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+  if (setter) {
+    setter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
 /**
  * 记录提示词使用
  */
@@ -1062,7 +1837,8 @@ function showNotification(message, type = 'info') {
  * 输入事件处理
  */
 function handleInput(event) {
-  const element = event.target;
+  // 对话网站中事件可能来自输入框内部的节点，以适配器找到的输入框为准
+  const element = getSiteAdapter()?.resolveComposer(event.target) || event.target;
   
   // 调试信息
   console.log('📝 输入事件触发:', {
@@ -1078,6 +1854,11 @@ function handleInput(event) {
     return;
   }
   
+  // 模板变量表单中的输入不触发搜索
+  if (state.selector?.contains(element)) {
+    return;
+  }
+  
   console.log('✅ 元素可编辑，继续处理');
   
   const cursorInfo = getCursorPosition(element);
@@ -1116,6 +1897,9 @@ function handleInput(event) {
       state.searchQuery = query;
       debounceSearch(query);
     }
+    
+    // 光标前正在输入筛选前缀时给出补全
+    loadSuggestions(text.substring(triggerPos.position + triggerPos.sequence.length, cursorPos));
   } else if (state.isActive) {
     console.log('❌ 未找到触发序列，隐藏选择器');
     // 没有找到触发序列，隐藏选择器
@@ -1129,6 +1913,9 @@ function handleInput(event) {
 function handleKeyDown(event) {
   if (!state.isActive) return;
   
+  // 正在填写模板变量时由表单处理按键
+  if (state.templatePrompt) return;
+  
   const { key } = event;
   
   switch (key) {
@@ -1142,7 +1929,8 @@ function handleKeyDown(event) {
       if (state.selectedIndex >= 0 && state.selectedIndex < state.results.length) {
         event.preventDefault();
         event.stopPropagation();
-        selectResult(state.selectedIndex);
+        // Alt+Enter 插入后直接发送
+        selectResult(state.selectedIndex, { submit: event.altKey });
       }
       break;
       
@@ -1167,6 +1955,13 @@ function handleKeyDown(event) {
       break;
       
     case CONFIG.KEYS.TAB:
+      // 有筛选前缀补全时，Tab 采用第一个候选
+      if (state.suggestions.suggestions.length > 0) {
+        event.preventDefault();
+        event.stopPropagation();
+        applySuggestion(state.suggestions.suggestions[0]);
+        break;
+      }
       // Tab键可以用来选择当前项
       if (state.selectedIndex >= 0 && state.selectedIndex < state.results.length) {
         event.preventDefault();
@@ -1222,6 +2017,16 @@ function handleResize() {
   }
 }
 
+/**
+ * 记住页面中最近选中的文字，供 {{selection}} 使用
+ */
+function handleSelectionChange() {
+  const text = getSelectedText();
+  if (text) {
+    state.lastSelection = text;
+  }
+}
+
 /**
  * 消息事件处理
  */
@@ -1277,6 +2082,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
       
+    case 'insertPrompt': {
+      // 弹窗中使用提示词，插入到页面当前的编辑框；对话网站的输入框没有焦点时插入到适配器找到的输入框
+      const adapter = getSiteAdapter();
+      const element = isEditableElement(document.activeElement) ? document.activeElement : adapter?.findComposer();
+      const inserted = insertTextAtCursor(element, message.text);
+      if (inserted && message.submit && adapter) {
+        adapter.submit(element);
+      }
+      sendResponse({ success: inserted });
+      break;
+    }
+      
+    case 'getPageContext':
+      // 弹窗中使用含上下文变量的提示词，读取当前页面的值
+      collectPageContext(message.names).then(data => sendResponse({ success: true, data }));
+      break;
+      
     default:
       console.log('未知消息类型:', message.action);
       sendResponse({ success: false, error: '未知消息类型' });
@@ -1507,6 +2329,7 @@ function initialize() {
   document.addEventListener('click', handleClick, true);
   window.addEventListener('scroll', handleScroll, true);
   window.addEventListener('resize', handleResize, true);
+  document.addEventListener('selectionchange', handleSelectionChange);
 
   // 注意：消息监听器已在上方定义，这里不需要重复添加
 
@@ -0,0 +1,213 @@
+// PromptMaster 凭据保险库模块
+// 使用 WebCrypto AES-GCM 加密保存飞书应用凭据，密文只保存在本机
+
+import { ERROR_CODES } from './config.js';
+import { Logger, ErrorHandler } from './utils.js';
+
+// 加密后的凭据
+const VAULT_KEY = 'promptmaster_credential_vault';
+
+// 未设置口令时使用的本机随机密钥
+const DEVICE_KEY = 'promptmaster_vault_key';
+
+// 口令派生的密钥只缓存在会话存储中，浏览器关闭后需要重新解锁
+const SESSION_KEY = 'promptmaster_vault_session_key';
+
+const PBKDF2_ITERATIONS = 250000;
+
+/**
+ * 凭据保险库类
+ */
+export class CredentialVault {
+  /**
+   * 加密保存凭据
+   * @param {Object} secrets 需要加密的字段，如 { appId, appSecret }
+   */
+  async seal(secrets) {
+    const record = await this.readRecord();
+    const mode = record?.mode || 'device';
+    const key = mode === 'passphrase'
+      ? await this.getSessionKey()
+      : await this.getDeviceKey();
+
+    if (!key) {
+      throw ErrorHandler.createError('凭据已锁定，请先输入口令解锁', ERROR_CODES.AUTH_ERROR, 'CredentialVault.seal');
+    }
+
+    await this.writeRecord(mode, key, secrets, record?.salt);
+    Logger.debug('凭据加密保存成功', { mode });
+  }
+
+  /**
+   * 解密读取凭据
+   * 没有保存凭据时返回 {}，口令模式未解锁时返回 null
+   */
+  async open() {
+    const record = await this.readRecord();
+    if (!record) return {};
+
+    const key = record.mode === 'passphrase'
+      ? await this.getSessionKey()
+      : await this.getDeviceKey();
+
+    if (!key) return null;
+
+    return this.decrypt(key, record);
+  }
+
+  /**
+   * 获取保险库状态
+   */
+  async getStatus() {
+    const record = await this.readRecord();
+    const mode = record?.mode || 'device';
+
+    return {
+      hasSecrets: Boolean(record),
+      mode,
+      locked: mode === 'passphrase' && !(await this.getSessionKey())
+    };
+  }
+
+  /**
+   * 设置或移除保护口令，并用新的密钥重新加密已有凭据
+   * @param {string|null} passphrase 为空时改回使用本机密钥
+   */
+  async setPassphrase(passphrase) {
+    const secrets = await this.open();
+    if (secrets === null) {
+      throw ErrorHandler.createError('凭据已锁定，请先输入口令解锁', ERROR_CODES.AUTH_ERROR, 'CredentialVault.setPassphrase');
+    }
+
+    if (passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const key = await this.deriveKey(passphrase, salt);
+
+      await this.writeRecord('passphrase', key, secrets, this.toBase64(salt));
+      await this.cacheSessionKey(key);
+      Logger.info('凭据保护口令已设置');
+    } else {
+      await this.writeRecord('device', await this.getDeviceKey(), secrets);
+      await chrome.storage.session.remove([SESSION_KEY]);
+      Logger.info('凭据保护口令已移除');
+    }
+  }
+
+  /**
+   * 使用口令解锁
+   */
+  async unlock(passphrase) {
+    const record = await this.readRecord();
+    if (!record || record.mode !== 'passphrase') return true;
+
+    const key = await this.deriveKey(passphrase, this.fromBase64(record.salt));
+
+    try {
+      await this.decrypt(key, record);
+    } catch {
+      throw ErrorHandler.createError('口令不正确', ERROR_CODES.AUTH_ERROR, 'CredentialVault.unlock');
+    }
+
+    await this.cacheSessionKey(key);
+    Logger.info('凭据已解锁');
+    return true;
+  }
+
+  /**
+   * 清除所有凭据和密钥
+   */
+  async clear() {
+    await chrome.storage.local.remove([VAULT_KEY, DEVICE_KEY]);
+    await chrome.storage.session.remove([SESSION_KEY]);
+    Logger.info('凭据已清除');
+  }
+
+  async readRecord() {
+    const result = await chrome.storage.local.get([VAULT_KEY]);
+    return result[VAULT_KEY] || null;
+  }
+
+  async writeRecord(mode, key, secrets, salt = null) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(secrets));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    await chrome.storage.local.set({
+      [VAULT_KEY]: {
+        version: 1,
+        mode,
+        salt,
+        iv: this.toBase64(iv),
+        data: this.toBase64(new Uint8Array(ciphertext))
+      }
+    });
+  }
+
+  async decrypt(key, record) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(record.iv) },
+      key,
+      this.fromBase64(record.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * 获取本机密钥，首次使用时生成
+   */
+  async getDeviceKey() {
+    const result = await chrome.storage.local.get([DEVICE_KEY]);
+    if (result[DEVICE_KEY]) {
+      return crypto.subtle.importKey('jwk', result[DEVICE_KEY], 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    await chrome.storage.local.set({ [DEVICE_KEY]: await crypto.subtle.exportKey('jwk', key) });
+    return key;
+  }
+
+  async getSessionKey() {
+    const result = await chrome.storage.session.get([SESSION_KEY]);
+    if (!result[SESSION_KEY]) return null;
+    return crypto.subtle.importKey('jwk', result[SESSION_KEY], 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  async cacheSessionKey(key) {
+    await chrome.storage.session.set({ [SESSION_KEY]: await crypto.subtle.exportKey('jwk', key) });
+  }
+
+  /**
+   * 由口令派生 AES-GCM 密钥
+   */
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
+
+// 创建单例实例
+export const credentialVault = new CredentialVault();
+
+// 默认导出
+export default CredentialVault;
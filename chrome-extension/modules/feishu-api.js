@@ -3,6 +3,93 @@
 
 import { CONFIG, BENEFIT_CONFIG, MESSAGE_TYPES, ERROR_CODES } from './config.js';
 import { Logger, ErrorHandler, Validator, TimeUtils, CacheUtils } from './utils.js';
+import { FieldMapping, BITABLE_FIELD_TYPES } from './field-mapping.js';
+import { storageManager, DEFAULT_SOURCE_ID } from './storage.js';
+import { feishuAuthService } from './feishu-auth.js';
+import { resolveFeishuEndpoints } from './feishu-endpoints.js';
+import { checkTemplateSyntax } from './prompt-template.js';
+
+// 飞书批量记录接口单次最多处理 500 条
+const BATCH_RECORD_LIMIT = 500;
+
+// 批量读取记录接口单次最多 100 条
+const BATCH_GET_LIMIT = 100;
+
+// 多维表格日期筛选按天比较，增量同步时向前多取一天，避免漏掉同一天内的修改
+const DELTA_SYNC_OVERLAP = 24 * 60 * 60 * 1000;
+
+// 请求调度：最大并发数与重试策略
+const MAX_CONCURRENT_REQUESTS = 2;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+// 飞书返回的频率限制和访问令牌失效错误码
+const RATE_LIMIT_CODES = [99991400, 99991661];
+const INVALID_TOKEN_CODES = [99991663, 99991668];
+
+// 请求中的列名在表格中不存在（FieldNameNotFound），通常是表格的列被改名或删除
+const FIELD_NAME_NOT_FOUND_CODE = 1254045;
+
+// 访问令牌在过期前 5 分钟主动刷新
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * 请求调度器
+ * 限制同时进行的请求数量，遇到频率限制时暂停整个队列
+ */
+class RequestScheduler {
+  constructor(concurrency = MAX_CONCURRENT_REQUESTS) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * 将任务加入队列，返回任务结果
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * 暂停派发新请求
+   */
+  pause(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+      return;
+    }
+
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+}
 
 /**
  * 飞书API服务类
@@ -12,6 +99,10 @@ export class FeishuApiService {
     this.config = null;
     this.accessToken = null;
     this.tokenExpiry = 0;
+    this.tokenRequest = null;
+    this.syncQueryRequest = null;
+    this.tableFieldsRequests = new Map();
+    this.scheduler = new RequestScheduler();
   }
 
   /**
@@ -46,18 +137,77 @@ export class FeishuApiService {
     return this.config;
   }
 
+  /**
+   * 重置配置，下次调用 initConfig 时重新加载
+   */
+  resetConfig() {
+    this.config = null;
+    this.accessToken = null;
+    this.tokenExpiry = 0;
+    this.syncQueryRequest = null;
+    this.tableFieldsRequests.clear();
+  }
+
+  /**
+   * 获取当前区域的开放平台接口地址
+   */
+  getBaseUrl() {
+    return resolveFeishuEndpoints(this.config || {}).apiBaseUrl;
+  }
+
   /**
    * 获取访问令牌
+   * 优先使用内存和本地存储中未临近过期的令牌，并发调用共享同一个令牌请求
    */
   async getAccessToken() {
-    // 检查token是否有效
-    if (this.accessToken && !TimeUtils.isExpired(this.tokenExpiry, CONFIG.TOKEN_CACHE_DURATION)) {
+    // 飞书账号登录模式使用用户令牌，以登录用户身份读写记录
+    if (this.config?.authMode === 'user') {
+      return feishuAuthService.getUserAccessToken(this.config);
+    }
+
+    if (this.accessToken && Date.now() < this.tokenExpiry - TOKEN_REFRESH_MARGIN) {
       Logger.debug('使用缓存的访问令牌');
       return this.accessToken;
     }
 
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.loadAccessToken().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+
+    return this.tokenRequest;
+  }
+
+  /**
+   * 从本地存储恢复令牌，不可用时向飞书申请新令牌
+   */
+  async loadAccessToken() {
+    const stored = await storageManager.getAccessToken(this.config.appId);
+    if (stored && Date.now() < stored.expiresAt - TOKEN_REFRESH_MARGIN) {
+      this.accessToken = stored.token;
+      this.tokenExpiry = stored.expiresAt;
+      Logger.debug('使用本地存储的访问令牌');
+      return this.accessToken;
+    }
+
+    return this.requestAccessToken();
+  }
+
+  /**
+   * 向飞书申请 tenant_access_token，按返回的 expire 秒数记录过期时间
+   */
+  async requestAccessToken() {
+    if (this.config.credentialsLocked) {
+      throw ErrorHandler.createError(
+        '飞书凭据已加密锁定，请在设置页输入口令解锁',
+        ERROR_CODES.AUTH_ERROR,
+        'FeishuApiService.requestAccessToken'
+      );
+    }
+
     try {
-      const response = await fetch(`${CONFIG.FEISHU_BASE_URL}/auth/v3/tenant_access_token/internal`, {
+      const response = await fetch(`${this.getBaseUrl()}/auth/v3/tenant_access_token/internal`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json; charset=utf-8'
@@ -69,86 +219,181 @@ export class FeishuApiService {
       });
 
       const data = await response.json();
+      const token = data.tenant_access_token || data.data?.tenant_access_token;
+
+      if (data.code === 0 && token) {
+        const expire = data.expire || data.data?.expire || 0;
+
+        this.accessToken = token;
+        this.tokenExpiry = Date.now() + expire * 1000;
 
-      if (data.code === 0 && data.data.tenant_access_token) {
-        this.accessToken = data.data.tenant_access_token;
-        this.tokenExpiry = Date.now();
-        Logger.info('成功获取访问令牌');
+        await storageManager.saveAccessToken(token, this.tokenExpiry, this.config.appId).catch(() => {});
+
+        Logger.info('成功获取访问令牌', { expire });
         return this.accessToken;
       } else {
         throw ErrorHandler.createError(
           `获取访问令牌失败: ${data.msg}`,
           ERROR_CODES.AUTH_ERROR,
-          'FeishuApiService.getAccessToken'
+          'FeishuApiService.requestAccessToken'
         );
       }
     } catch (error) {
-      throw ErrorHandler.handleError(error, 'FeishuApiService', 'getAccessToken');
+      throw ErrorHandler.handleError(error, 'FeishuApiService', 'requestAccessToken');
+    }
+  }
+
+  /**
+   * 作废当前令牌，下次请求时重新申请
+   */
+  async invalidateAccessToken() {
+    if (this.config?.authMode === 'user') {
+      await feishuAuthService.invalidate();
+      return;
     }
+
+    this.accessToken = null;
+    this.tokenExpiry = 0;
+    await storageManager.clearAccessToken(this.config?.appId).catch(() => {});
   }
 
   /**
    * 发送API请求
+   * 请求经调度器排队执行，频率限制和临时故障按指数退避重试，
+   * 访问令牌失效时重新获取令牌后重放一次
+   * @param {Object} options fetch 参数，idempotent 指定请求能否在网络故障后安全重试
    */
   async apiRequest(endpoint, options = {}) {
-    const accessToken = await this.getAccessToken();
+    const { idempotent, ...requestOptions } = options;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const canRetryTransient = idempotent ?? ['GET', 'PUT', 'DELETE'].includes(method);
+    let tokenRefreshed = false;
+    let attempt = 0;
 
-    const url = `${CONFIG.FEISHU_BASE_URL}${endpoint}`;
-    const defaultOptions = {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json; charset=utf-8'
+    while (true) {
+      try {
+        return await this.scheduler.schedule(() => this.sendRequest(endpoint, requestOptions));
+      } catch (error) {
+        if (error.tokenInvalid && !tokenRefreshed) {
+          // token无效，清除缓存后重新获取并重放请求
+          tokenRefreshed = true;
+          await this.invalidateAccessToken();
+          Logger.warn('访问令牌已失效，重新获取后重试', { endpoint });
+          continue;
+        }
+
+        const isRateLimited = error.code === ERROR_CODES.RATE_LIMIT_ERROR;
+        const retryable = isRateLimited || (error.transient && canRetryTransient);
+
+        if (!retryable || attempt >= MAX_RETRIES) {
+          throw ErrorHandler.handleError(error, 'FeishuApiService', 'apiRequest');
+        }
+
+        const delay = this.getRetryDelay(attempt, error.retryAfter);
+        if (isRateLimited) {
+          this.scheduler.pause(delay);
+        }
+
+        attempt++;
+        Logger.warn(`请求失败，${delay}ms 后第 ${attempt} 次重试`, { endpoint, error: error.message });
+        await TimeUtils.sleep(delay);
       }
-    };
+    }
+  }
+
+  /**
+   * 执行单次API请求
+   * 抛出的错误带有 transient / tokenInvalid / retryAfter 标记供重试判断
+   */
+  async sendRequest(endpoint, options) {
+    const accessToken = await this.getAccessToken();
 
+    const url = `${this.getBaseUrl()}${endpoint}`;
     const requestOptions = {
-      ...defaultOptions,
       ...options,
       headers: {
-        ...defaultOptions.headers,
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json; charset=utf-8',
         ...(options.headers || {})
       }
     };
 
-    try {
-      Logger.debug(`发送API请求: ${endpoint}`, requestOptions);
-      const response = await fetch(url, requestOptions);
-      const data = await response.json();
+    Logger.debug(`发送API请求: ${endpoint}`, requestOptions);
 
-      if (data.code === 0) {
-        return data;
-      } else {
-        // 处理特定的错误代码
-        if (data.code === 99991663 || data.code === 99991668) {
-          // token无效，清除缓存
-          this.accessToken = null;
-          this.tokenExpiry = 0;
-          throw ErrorHandler.createError(
-            `访问令牌无效: ${data.msg}`,
-            ERROR_CODES.AUTH_ERROR,
-            'FeishuApiService.apiRequest'
-          );
-        } else if (data.code === 99991661) {
-          throw ErrorHandler.createError(
-            `请求频率过高: ${data.msg}`,
-            ERROR_CODES.RATE_LIMIT_ERROR,
-            'FeishuApiService.apiRequest'
-          );
-        } else {
-          throw ErrorHandler.createError(
-            `API请求失败: ${data.msg}`,
-            ERROR_CODES.UNKNOWN_ERROR,
-            'FeishuApiService.apiRequest'
-          );
-        }
-      }
+    let response;
+    try {
+      response = await fetch(url, requestOptions);
     } catch (error) {
-      throw ErrorHandler.handleError(error, 'FeishuApiService', 'apiRequest');
+      const networkError = ErrorHandler.createError(
+        `网络请求失败: ${error.message}`,
+        ERROR_CODES.NETWORK_ERROR,
+        'FeishuApiService.sendRequest'
+      );
+      networkError.transient = true;
+      throw networkError;
     }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch {
+      data = { code: response.status, msg: response.statusText };
+    }
+
+    if (response.ok && data.code === 0) {
+      return data;
+    }
+
+    let error;
+    if (response.status === 429 || RATE_LIMIT_CODES.includes(data.code)) {
+      error = ErrorHandler.createError(
+        `请求频率过高: ${data.msg}`,
+        ERROR_CODES.RATE_LIMIT_ERROR,
+        'FeishuApiService.sendRequest'
+      );
+      const reset = parseInt(response.headers.get('x-ogw-ratelimit-reset'), 10);
+      error.retryAfter = reset > 0 ? reset * 1000 : null;
+    } else if (INVALID_TOKEN_CODES.includes(data.code)) {
+      error = ErrorHandler.createError(
+        `访问令牌无效: ${data.msg}`,
+        ERROR_CODES.AUTH_ERROR,
+        'FeishuApiService.sendRequest'
+      );
+      error.tokenInvalid = true;
+    } else {
+      error = ErrorHandler.createError(
+        `API请求失败: ${data.msg}`,
+        ERROR_CODES.UNKNOWN_ERROR,
+        'FeishuApiService.sendRequest'
+      );
+      error.transient = response.status >= 500;
+    }
+
+    // 表格结构已变化，丢弃缓存的字段列表，下次写入时按新的列名解析
+    if (data.code === FIELD_NAME_NOT_FOUND_CODE) {
+      this.tableFieldsRequests.clear();
+      Logger.warn('表格中没有请求使用的列，已清除字段缓存', { endpoint });
+    }
+
+    error.feishuCode = data.code;
+    throw error;
+  }
+
+  /**
+   * 计算重试等待时间：指数退避加随机抖动，优先使用服务端给出的重置时间
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    if (retryAfter) {
+      return Math.min(retryAfter, RETRY_MAX_DELAY);
+    }
+
+    const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
   }
 
   /**
    * 搜索提示词
+   * filter 支持 categories（满足任意一个）、tags（全部包含）和 phrases（内容包含每个短语），兼容单个 category
    */
   async searchPrompts(keyword, options = {}) {
     const { pageSize = 50, filter = {} } = options;
@@ -156,39 +401,62 @@ export class FeishuApiService {
     try {
       // 构建过滤条件
       const filterConditions = [];
+      const filterChildren = [];
+      const columns = await this.getTableColumns();
+      const contentColumn = columns.content;
 
-      if (keyword) {
+      [keyword, ...(filter.phrases || [])].filter(Boolean).forEach(text => {
         filterConditions.push({
-          field_name: 'prompt',
+          field_name: contentColumn,
           operator: 'contains',
-          value: keyword
+          value: [text]
         });
-      }
+      });
 
-      if (filter.category) {
+      const categories = filter.categories || (filter.category ? [filter.category] : []);
+      if (categories.length === 1) {
         filterConditions.push({
-          field_name: 'category',
+          field_name: columns.category,
           operator: 'is',
-          value: filter.category
+          value: [categories[0]]
+        });
+      } else if (categories.length > 1) {
+        filterChildren.push({
+          conjunction: 'or',
+          conditions: categories.map(category => ({
+            field_name: columns.category,
+            operator: 'is',
+            value: [category]
+          }))
         });
       }
 
-      if (filter.tags && filter.tags.length > 0) {
+      (filter.tags || []).forEach(tag => {
         filterConditions.push({
-          field_name: 'tags',
+          field_name: columns.tags,
           operator: 'contains',
-          value: filter.tags.join(',')
+          value: [tag]
         });
-      }
+      });
+
+      // 只在同步范围内搜索
+      const syncQuery = await this.getSyncQuery();
+      filterConditions.push(...(syncQuery?.filter?.conditions || []));
+      filterChildren.push(...(syncQuery?.filter?.children || []));
 
       const requestBody = {
         page_size: Math.min(pageSize, CONFIG.MAX_PAGE_SIZE)
       };
 
-      if (filterConditions.length > 0) {
+      if (syncQuery?.view_id) {
+        requestBody.view_id = syncQuery.view_id;
+      }
+
+      if (filterConditions.length > 0 || filterChildren.length > 0) {
         requestBody.filter = {
-          conjunction: 'AND',
-          conditions: filterConditions
+          conjunction: 'and',
+          conditions: filterConditions,
+          ...(filterChildren.length > 0 ? { children: filterChildren } : {})
         };
       }
 
@@ -196,7 +464,8 @@ export class FeishuApiService {
         `/bitable/v1/apps/${this.config.bitableAppToken}/tables/${this.config.bitableTableId}/records/search`,
         {
           method: 'POST',
-          body: JSON.stringify(requestBody)
+          body: JSON.stringify(requestBody),
+          idempotent: true
         }
       );
 
@@ -226,59 +495,63 @@ export class FeishuApiService {
 
   /**
    * 获取所有提示词
+   * 传入 onPage 时逐页回调且不在内存中累积结果，适合大表格边读取边写入存储
+   * @param {Object} options
+   * @param {Function} [options.onPage] 每页回调 (prompts, progress) => Promise
    */
   async getAllPrompts(options = {}) {
-    const { pageSize = CONFIG.MAX_PAGE_SIZE, maxRecords = CONFIG.MAX_RECORDS_LIMIT } = options;
+    const { pageSize = CONFIG.MAX_PAGE_SIZE, maxRecords = CONFIG.MAX_RECORDS_LIMIT, onPage = null } = options;
 
     try {
-      let allPrompts = [];
-      let pageToken = null;
+      const allPrompts = [];
+      const params = { page_size: String(Math.min(pageSize, CONFIG.MAX_PAGE_SIZE)), automatic_fields: 'true' };
       let totalFetched = 0;
+      let promptCount = 0;
+      let truncated = false;
 
-      do {
-        const requestBody = {
-          page_size: Math.min(pageSize, CONFIG.MAX_PAGE_SIZE)
-        };
-
-        if (pageToken) {
-          requestBody.page_token = pageToken;
-        }
+      // 配置了视图或筛选条件时改用搜索接口，由服务端过滤记录
+      const syncQuery = await this.getSyncQuery();
+      const requestOptions = syncQuery
+        ? { suffix: '/search', options: { method: 'POST', idempotent: true, body: JSON.stringify({ ...syncQuery, automatic_fields: true }) } }
+        : { suffix: '', options: { method: 'GET' } };
 
-        const response = await this.apiRequest(
-          `/bitable/v1/apps/${this.config.bitableAppToken}/tables/${this.config.bitableTableId}/records`,
-          {
-            method: 'GET'
-          }
-        );
+      await this.forEachRecordPage(requestOptions.suffix, requestOptions.options, params, async (items, page) => {
+        const prompts = this.processPromptData(items);
+        const previousFetched = totalFetched;
+        totalFetched += items.length;
+        promptCount += prompts.length;
 
-        const prompts = this.processPromptData(response.data.items || []);
-        allPrompts = allPrompts.concat(prompts);
-        totalFetched += prompts.length;
+        if (onPage) {
+          await onPage(prompts, { fetched: totalFetched, total: page.total, hasMore: page.hasMore });
+        } else {
+          allPrompts.push(...prompts);
+        }
 
-        pageToken = response.data.page_token;
+        Logger.debug(`获取提示词进度: ${totalFetched}/${page.total} 条`);
 
-        Logger.debug(`获取提示词进度: ${totalFetched} 条`);
+        // 检查警告阈值
+        if (previousFetched < CONFIG.MAX_RECORDS_WARNING && totalFetched >= CONFIG.MAX_RECORDS_WARNING) {
+          Logger.warn(`数据量已接近警告阈值: ${CONFIG.MAX_RECORDS_WARNING}`);
+        }
 
         // 检查数据量限制
-        if (totalFetched >= maxRecords) {
+        if (totalFetched >= maxRecords && page.hasMore) {
           Logger.warn(`已达到最大数据量限制: ${maxRecords}`);
-          break;
-        }
-
-        // 检查警告阈值
-        if (totalFetched >= CONFIG.MAX_RECORDS_WARNING && totalFetched === CONFIG.MAX_RECORDS_WARNING) {
-          Logger.warn(`数据量已接近警告阈值: ${CONFIG.MAX_RECORDS_WARNING}`);
+          truncated = true;
+          return false;
         }
 
-      } while (pageToken);
+        return true;
+      });
 
-      Logger.info(`获取所有提示词完成，共 ${allPrompts.length} 条`);
+      Logger.info(`获取所有提示词完成，共读取 ${totalFetched} 条记录`);
 
       return {
         success: true,
         data: {
-          prompts: allPrompts,
-          total: allPrompts.length,
+          ...(onPage ? {} : { prompts: allPrompts }),
+          total: promptCount,
+          truncated,
           lastRefreshTime: new Date().toISOString()
         }
       };
@@ -294,120 +567,926 @@ export class FeishuApiService {
   }
 
   /**
-   * 处理提示词数据
+   * 获取自指定时间以来的变更
+   * 通过更新时间列筛选修改过的记录，并对比记录 ID 找出已删除的提示词
+   * 表格没有可用的更新时间列时返回 supported: false，由调用方回退到全量同步
+   * @param {number} since 上次同步的时间戳
+   * @param {Array<string>} knownIds 本地已有的提示词 ID
    */
-  processPromptData(items) {
-    return items.map(item => {
-      const fields = item.fields;
+  async getPromptChanges(since, knownIds = []) {
+    try {
+      const updatedColumn = await this.getUpdatedTimeColumn();
+      if (!updatedColumn) {
+        Logger.info('数据表没有可用的更新时间列，无法增量同步');
+        return {
+          success: true,
+          data: { supported: false, prompts: [], removedIds: [] }
+        };
+      }
+
+      const syncQuery = await this.getSyncQuery();
+      const syncFilter = syncQuery?.filter || { conjunction: 'and', conditions: [] };
+
+      const modifiedItems = await this.collectRecordPages('/search', {
+        method: 'POST',
+        idempotent: true,
+        body: JSON.stringify({
+          ...syncQuery,
+          automatic_fields: true,
+          filter: {
+            ...syncFilter,
+            conditions: [...syncFilter.conditions, {
+              field_name: updatedColumn,
+              operator: 'isGreater',
+              value: ['ExactDate', String(since - DELTA_SYNC_OVERLAP)]
+            }]
+          }
+        })
+      });
+
+      // 只取更新时间列，减少记录 ID 列表的传输量；
+      // 有同步范围时只列出范围内的记录，移出范围的提示词按删除处理
+      const remoteItems = syncQuery
+        ? await this.collectRecordPages('/search', {
+          method: 'POST',
+          idempotent: true,
+          body: JSON.stringify({ ...syncQuery, field_names: [updatedColumn] })
+        })
+        : await this.collectRecordPages('', {
+          method: 'GET'
+        }, { field_names: JSON.stringify([updatedColumn]) });
+
+      const prompts = this.processPromptData(modifiedItems);
+      const remoteIds = new Set(remoteItems.map(item => item.record_id));
+      const validIds = new Set(prompts.map(prompt => prompt.id));
+      const modifiedIds = new Set(modifiedItems.map(item => item.record_id));
+
+      // 远端已删除，或修改后不再有提示词内容的记录
+      const removedIds = knownIds.filter(id =>
+        !remoteIds.has(id) || (modifiedIds.has(id) && !validIds.has(id))
+      );
+
+      Logger.info('获取增量变更完成', { modified: prompts.length, removed: removedIds.length });
 
       return {
-        id: item.record_id,
-        prompt: fields.prompt || '',
-        category: fields.category || '其他',
-        tags: this.parseTags(fields.tags),
-        description: fields.description || '',
-        usage: fields.usage || '',
-        variables: this.parseVariables(fields.variables),
-        examples: this.parseExamples(fields.examples),
-        priority: parseInt(fields.priority) || 0,
-        isActive: fields.is_active !== false,
-        createdAt: fields.created_time || '',
-        updatedAt: fields.updated_time || ''
+        success: true,
+        data: {
+          supported: true,
+          prompts,
+          removedIds,
+          total: remoteIds.size
+        }
       };
-    }).filter(prompt => prompt.prompt); // 过滤掉没有提示词内容的记录
-  }
 
-  /**
-   * 解析标签
-   */
-  parseTags(tags) {
-    if (!tags) return [];
-    if (Array.isArray(tags)) return tags;
-    if (typeof tags === 'string') {
-      return tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+    } catch (error) {
+      Logger.error('获取增量变更失败', { since, error });
+      return {
+        success: false,
+        error: error.message,
+        data: { supported: false, prompts: [], removedIds: [] }
+      };
     }
-    return [];
   }
 
   /**
-   * 解析变量
+   * 获取用于增量同步的更新时间列名
    */
-  parseVariables(variables) {
-    if (!variables) return [];
-    if (Array.isArray(variables)) return variables;
-    if (typeof variables === 'string') {
-      try {
-        return JSON.parse(variables);
-      } catch {
-        return variables.split(',').map(v => v.trim()).filter(v => v);
-      }
+  async getUpdatedTimeColumn() {
+    const fields = await this.getTableFields();
+    const { columns } = FieldMapping.inspect(fields, this.getFieldMapping());
+    const field = fields.find(item => item.name === columns.updatedAt);
+
+    if (field && [BITABLE_FIELD_TYPES.MODIFIED_TIME, BITABLE_FIELD_TYPES.DATE].includes(field.type)) {
+      return field.name;
     }
-    return [];
+    return null;
   }
 
   /**
-   * 解析示例
+   * 按页读取记录接口的全部结果
    */
-  parseExamples(examples) {
-    if (!examples) return [];
-    if (Array.isArray(examples)) return examples;
-    if (typeof examples === 'string') {
-      try {
-        return JSON.parse(examples);
-      } catch {
-        return examples.split('\n').map(e => e.trim()).filter(e => e);
-      }
-    }
-    return [];
+  async collectRecordPages(suffix, options, params = {}) {
+    const items = [];
+
+    await this.forEachRecordPage(suffix, options, params, async (pageItems) => {
+      items.push(...pageItems);
+    });
+
+    return items;
   }
 
   /**
-   * 测试连接
+   * 逐页遍历记录接口
+   * 分页参数通过查询字符串传递，回调返回 false 时停止翻页
    */
-  async testConnection() {
-    try {
-      const validation = Validator.validateFeishuConfig(this.config);
-      if (!validation.isValid) {
-        return {
-          connected: false,
-          message: `配置验证失败: ${validation.errors.join(', ')}`,
-          error: 'CONFIG_ERROR'
-        };
+  async forEachRecordPage(suffix, options, params, handler) {
+    let pageToken = null;
+
+    do {
+      const query = new URLSearchParams({ page_size: String(CONFIG.MAX_PAGE_SIZE), ...params });
+      if (pageToken) {
+        query.set('page_token', pageToken);
       }
 
-      // 尝试获取访问令牌
-      await this.getAccessToken();
+      const response = await this.apiRequest(`${this.getRecordsEndpoint(suffix)}?${query}`, options);
+      const hasMore = Boolean(response.data.has_more && response.data.page_token);
 
-      // 尝试获取一条记录来验证连接
-      const testResponse = await this.apiRequest(
-        `/bitable/v1/apps/${this.config.bitableAppToken}/tables/${this.config.bitableTableId}/records`,
-        {
-          method: 'GET'
-        }
-      );
+      const shouldContinue = await handler(response.data.items || [], {
+        total: response.data.total || 0,
+        hasMore
+      });
 
-      return {
-        connected: true,
-        message: '连接成功',
-        total: testResponse.data?.total || 0
-      };
+      pageToken = hasMore && shouldContinue !== false ? response.data.page_token : null;
+    } while (pageToken);
+  }
 
-    } catch (error) {
-      Logger.error('连接测试失败', { error });
-      return {
-        connected: false,
-        message: error.message,
-        error: error.code
-      };
+  /**
+   * 获取当前数据源标识，用于判断本地数据是否来自同一张表及同一同步范围
+   */
+  getSyncSource() {
+    const table = `${this.config?.bitableAppToken || ''}/${this.config?.bitableTableId || ''}`;
+    const { viewId = '', activeOnly = false, categories = [] } = this.config?.syncFilter || {};
+
+    if (!viewId && !activeOnly && categories.length === 0) {
+      return table;
     }
+    return `${table}?${JSON.stringify({ viewId, activeOnly, categories })}`;
   }
 
   /**
-   * 清除缓存
+   * 获取同步范围对应的视图和筛选条件
+   * 筛选列需要读取表格字段后确定，结果在配置变化前复用
+   * @returns {Promise<{view_id?: string, filter?: Object}|null>}
    */
-  clearCache() {
-    this.accessToken = null;
-    this.tokenExpiry = 0;
+  getSyncQuery() {
+    if (!this.syncQueryRequest) {
+      this.syncQueryRequest = this.buildSyncQuery().catch(error => {
+        this.syncQueryRequest = null;
+        throw error;
+      });
+    }
+    return this.syncQueryRequest;
+  }
+
+  /**
+   * 构建同步范围，未配置时返回 null，按原方式读取整张表
+   */
+  async buildSyncQuery() {
+    const { viewId = '', activeOnly = false, categories = [] } = this.config?.syncFilter || {};
+    const categoryList = categories.filter(Boolean);
+
+    if (!viewId && !activeOnly && categoryList.length === 0) {
+      return null;
+    }
+
+    const query = viewId ? { view_id: viewId } : {};
+    if (!activeOnly && categoryList.length === 0) {
+      return query;
+    }
+
+    // 按表格实际列名确定筛选列，与读取时的映射规则一致
+    const fields = await this.getTableFields();
+    const { columns } = FieldMapping.inspect(fields, this.getFieldMapping());
+
+    const requireColumn = (key, label) => {
+      if (!columns[key] || !fields.some(field => field.name === columns[key])) {
+        throw ErrorHandler.createError(`同步范围使用的「${label}」列不存在，请检查字段映射`, ERROR_CODES.CONFIG_ERROR, 'FeishuApiService.getSyncQuery');
+      }
+      return columns[key];
+    };
+
+    const filter = { conjunction: 'and', conditions: [] };
+
+    if (activeOnly) {
+      filter.conditions.push({
+        field_name: requireColumn('isActive', '是否启用'),
+        operator: 'is',
+        value: ['true']
+      });
+    }
+
+    // 分类满足其中任意一个即可
+    if (categoryList.length > 0) {
+      const column = requireColumn('category', '分类');
+      filter.children = [{
+        conjunction: 'or',
+        conditions: categoryList.map(category => ({
+          field_name: column,
+          operator: 'is',
+          value: [category]
+        }))
+      }];
+    }
+
+    return { ...query, filter };
+  }
+
+  /**
+   * 获取记录接口路径
+   */
+  getRecordsEndpoint(suffix = '') {
+    return `/bitable/v1/apps/${this.config.bitableAppToken}/tables/${this.config.bitableTableId}/records${suffix}`;
+  }
+
+  /**
+   * 创建提示词记录
+   */
+  async createRecord(promptData) {
+    try {
+      this.assertPromptData(promptData);
+
+      const layout = await this.getTableLayout();
+      const response = await this.apiRequest(this.getRecordsEndpoint(), {
+        method: 'POST',
+        body: JSON.stringify({ fields: this.buildRecordFields(promptData, layout) })
+      });
+
+      const [prompt] = this.processPromptData([await this.withRevision(response.data.record)]);
+
+      Logger.info('创建提示词记录成功', { recordId: response.data.record.record_id });
+
+      return {
+        success: true,
+        data: { prompt }
+      };
+
+    } catch (error) {
+      Logger.error('创建提示词记录失败', { error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { prompt: null }
+      };
+    }
+  }
+
+  /**
+   * 更新提示词记录
+   */
+  async updateRecord(recordId, promptData) {
+    try {
+      if (!recordId) {
+        throw ErrorHandler.createError('记录 ID 不能为空', ERROR_CODES.CONFIG_ERROR, 'FeishuApiService.updateRecord');
+      }
+
+      const layout = await this.getTableLayout();
+      const response = await this.apiRequest(this.getRecordsEndpoint(`/${recordId}`), {
+        method: 'PUT',
+        body: JSON.stringify({ fields: this.buildRecordFields(promptData, layout) })
+      });
+
+      const [prompt] = this.processPromptData([await this.withRevision(response.data.record)]);
+
+      Logger.info('更新提示词记录成功', { recordId });
+
+      return {
+        success: true,
+        data: { prompt }
+      };
+
+    } catch (error) {
+      Logger.error('更新提示词记录失败', { recordId, error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { prompt: null }
+      };
+    }
+  }
+
+  /**
+   * 获取单条记录，包含修改时间等系统字段
+   */
+  async getRecord(recordId) {
+    try {
+      const response = await this.apiRequest(`${this.getRecordsEndpoint(`/${recordId}`)}?automatic_fields=true`, {
+        method: 'GET'
+      });
+
+      const [prompt] = this.processPromptData([response.data.record]);
+
+      return {
+        success: true,
+        data: { prompt: prompt || null, record: response.data.record }
+      };
+
+    } catch (error) {
+      Logger.error('获取提示词记录失败', { recordId, error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { prompt: null, record: null }
+      };
+    }
+  }
+
+  /**
+   * 写入接口返回的记录不含修改时间，重新读取完整记录作为本地的基础版本；
+   * 读取失败时沿用写入返回的记录，下次刷新后再补齐
+   */
+  async withRevision(record) {
+    if (record.last_modified_time) return record;
+
+    const response = await this.getRecord(record.record_id);
+    return response.success ? response.data.record : record;
+  }
+
+  /**
+   * 批量写入后补齐修改时间，规则与 withRevision 相同
+   */
+  async withRevisions(records) {
+    const missing = records.filter(record => !record.last_modified_time).map(record => record.record_id);
+    if (missing.length === 0) return records;
+
+    const response = await this.batchGetRecords(missing);
+    const current = new Map(response.data.records.map(record => [record.record_id, record]));
+    return records.map(record => current.get(record.record_id) || record);
+  }
+
+  /**
+   * 批量读取记录，包含修改时间等系统字段；已删除的记录不在结果中
+   */
+  async batchGetRecords(recordIds = []) {
+    try {
+      const records = await this.runInBatches(recordIds.filter(id => id), async (chunk) => {
+        const response = await this.apiRequest(this.getRecordsEndpoint('/batch_get'), {
+          method: 'POST',
+          body: JSON.stringify({ record_ids: chunk, automatic_fields: true }),
+          idempotent: true
+        });
+        return response.data.records || [];
+      }, BATCH_GET_LIMIT);
+
+      return {
+        success: true,
+        data: { prompts: this.processPromptData(records), records }
+      };
+
+    } catch (error) {
+      Logger.error('批量读取提示词记录失败', { error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { prompts: [], records: [] }
+      };
+    }
+  }
+
+  /**
+   * 删除提示词记录
+   */
+  async deleteRecord(recordId) {
+    try {
+      if (!recordId) {
+        throw ErrorHandler.createError('记录 ID 不能为空', ERROR_CODES.CONFIG_ERROR, 'FeishuApiService.deleteRecord');
+      }
+
+      await this.apiRequest(this.getRecordsEndpoint(`/${recordId}`), {
+        method: 'DELETE'
+      });
+
+      Logger.info('删除提示词记录成功', { recordId });
+
+      return {
+        success: true,
+        data: { recordId }
+      };
+
+    } catch (error) {
+      Logger.error('删除提示词记录失败', { recordId, error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { recordId: null }
+      };
+    }
+  }
+
+  /**
+   * 批量创建提示词记录
+   */
+  async batchCreateRecords(promptDataList = []) {
+    try {
+      promptDataList.forEach(promptData => this.assertPromptData(promptData));
+
+      const layout = await this.getTableLayout();
+      const records = promptDataList.map(promptData => ({
+        fields: this.buildRecordFields(promptData, layout)
+      }));
+
+      // 每批使用固定的 client_token，网络故障后重试同一批不会重复创建
+      const createdRecords = await this.runInBatches(records, async (chunk) => {
+        const query = new URLSearchParams({ client_token: crypto.randomUUID() });
+        const response = await this.apiRequest(`${this.getRecordsEndpoint('/batch_create')}?${query}`, {
+          method: 'POST',
+          body: JSON.stringify({ records: chunk }),
+          idempotent: true
+        });
+        return response.data.records || [];
+      });
+
+      const prompts = this.processPromptData(await this.withRevisions(createdRecords));
+
+      Logger.info(`批量创建提示词记录完成，共 ${prompts.length} 条`);
+
+      return {
+        success: true,
+        data: { prompts, total: prompts.length }
+      };
+
+    } catch (error) {
+      // 之前的批次已经写入飞书，随失败结果一并返回，由调用方保存到本地
+      const prompts = this.processPromptData(await this.withRevisions(error.partialResults || []));
+      Logger.error('批量创建提示词记录失败', { created: prompts.length, error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { prompts, total: prompts.length }
+      };
+    }
+  }
+
+  /**
+   * 批量更新提示词记录
+   * 网络故障后重试可能覆盖他人在此期间的修改，因此不自动重试，由调用方检查版本后重新提交
+   * @param {Array<{id: string, promptData: Object}>} updates
+   */
+  async batchUpdateRecords(updates = []) {
+    try {
+      const layout = await this.getTableLayout();
+      const records = updates.map(({ id, promptData }) => {
+        if (!id) {
+          throw ErrorHandler.createError('记录 ID 不能为空', ERROR_CODES.CONFIG_ERROR, 'FeishuApiService.batchUpdateRecords');
+        }
+        return {
+          record_id: id,
+          fields: this.buildRecordFields(promptData, layout)
+        };
+      });
+
+      const updatedRecords = await this.runInBatches(records, async (chunk) => {
+        const response = await this.apiRequest(this.getRecordsEndpoint('/batch_update'), {
+          method: 'POST',
+          body: JSON.stringify({ records: chunk })
+        });
+        return response.data.records || [];
+      });
+
+      const prompts = this.processPromptData(await this.withRevisions(updatedRecords));
+
+      Logger.info(`批量更新提示词记录完成，共 ${prompts.length} 条`);
+
+      return {
+        success: true,
+        data: { prompts, total: prompts.length }
+      };
+
+    } catch (error) {
+      const prompts = this.processPromptData(await this.withRevisions(error.partialResults || []));
+      Logger.error('批量更新提示词记录失败', { updated: prompts.length, error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { prompts, total: prompts.length }
+      };
+    }
+  }
+
+  /**
+   * 批量删除提示词记录
+   */
+  async batchDeleteRecords(recordIds = []) {
+    try {
+      const deletedRecords = await this.runInBatches(recordIds.filter(id => id), async (chunk) => {
+        const response = await this.apiRequest(this.getRecordsEndpoint('/batch_delete'), {
+          method: 'POST',
+          body: JSON.stringify({ records: chunk })
+        });
+        return response.data.records || [];
+      });
+
+      const deletedIds = this.getDeletedIds(deletedRecords);
+
+      Logger.info(`批量删除提示词记录完成，共 ${deletedIds.length} 条`);
+
+      return {
+        success: true,
+        data: { recordIds: deletedIds, total: deletedIds.length }
+      };
+
+    } catch (error) {
+      const deletedIds = this.getDeletedIds(error.partialResults || []);
+      Logger.error('批量删除提示词记录失败', { deleted: deletedIds.length, error });
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        data: { recordIds: deletedIds, total: deletedIds.length }
+      };
+    }
+  }
+
+  /**
+   * 批量删除结果中已删除的记录 ID
+   */
+  getDeletedIds(records) {
+    return records.filter(record => record.deleted).map(record => record.record_id);
+  }
+
+  /**
+   * 按批量接口上限分批执行
+   * 某一批失败时停止，抛出的错误通过 partialResults 带回已经提交的批次的结果
+   */
+  async runInBatches(items, handler, limit = BATCH_RECORD_LIMIT) {
+    let results = [];
+
+    for (let i = 0; i < items.length; i += limit) {
+      const chunk = items.slice(i, i + limit);
+      try {
+        results = results.concat(await handler(chunk));
+      } catch (error) {
+        error.partialResults = results;
+        throw error;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 校验待写入的提示词数据
+   */
+  assertPromptData(promptData) {
+    const validation = Validator.validatePromptData(promptData);
+    if (!validation.isValid) {
+      throw ErrorHandler.createError(
+        `提示词数据验证失败: ${validation.errors.join(', ')}`,
+        ERROR_CODES.CONFIG_ERROR,
+        'FeishuApiService.assertPromptData'
+      );
+    }
+  }
+
+  /**
+   * 将提示词数据转换为多维表格字段
+   * 只写入调用方提供且已映射到列的字段，避免更新时清空其他列
+   * @param {{columns: Object, fieldTypes: Object}} [layout] 表格实际的列名和类型，未提供时（如离线占位）使用默认列名
+   */
+  buildRecordFields(promptData = {}, layout = null) {
+    const mapping = this.getFieldMapping();
+    const content = promptData.content !== undefined ? promptData.content : promptData.prompt;
+
+    const values = {
+      title: promptData.title,
+      content,
+      alias: promptData.alias,
+      category: promptData.category,
+      tags: promptData.tags !== undefined ? this.parseTags(promptData.tags) : undefined,
+      description: promptData.description,
+      usage: promptData.usage,
+      variables: promptData.variables !== undefined ? JSON.stringify(promptData.variables) : undefined,
+      examples: promptData.examples !== undefined ? JSON.stringify(promptData.examples) : undefined,
+      priority: promptData.priority !== undefined ? Number(promptData.priority) || 0 : undefined,
+      isActive: promptData.isActive !== undefined ? promptData.isActive !== false : undefined
+    };
+
+    const fields = {};
+    Object.entries(values).forEach(([key, value]) => {
+      const column = layout ? layout.columns[key] : FieldMapping.getColumn(key, mapping);
+      if (!column || value === undefined) return;
+
+      // 标签列是文本类型时写入逗号分隔的字符串
+      fields[column] = key === 'tags' && layout?.fieldTypes[column] === BITABLE_FIELD_TYPES.TEXT
+        ? value.join(', ')
+        : value;
+    });
+
+    return fields;
+  }
+
+  /**
+   * 获取当前数据表的字段列表
+   * 按表格缓存，配置重置或写入时列名不存在后重新读取；读取失败时不缓存
+   */
+  getTableFields() {
+    const table = `${this.config?.bitableAppToken || ''}/${this.config?.bitableTableId || ''}`;
+
+    if (!this.tableFieldsRequests.has(table)) {
+      const request = this.listFields().then(response => {
+        if (!response.success) {
+          throw new Error(response.error);
+        }
+        return response.data.fields;
+      });
+      request.catch(() => this.tableFieldsRequests.delete(table));
+      this.tableFieldsRequests.set(table, request);
+    }
+    return this.tableFieldsRequests.get(table);
+  }
+
+  /**
+   * 按表格实际列名解析写入和搜索使用的列，与 readField 的回退规则一致
+   */
+  async getTableColumns() {
+    return (await this.getTableLayout()).columns;
+  }
+
+  /**
+   * 写入使用的列名及各列的字段类型，写入值需要按列的类型转换
+   * @returns {Promise<{columns: Object, fieldTypes: Object}>}
+   */
+  async getTableLayout() {
+    const fields = await this.getTableFields();
+    return {
+      columns: FieldMapping.resolveColumns(this.getFieldMapping(), fields.map(field => field.name)),
+      fieldTypes: Object.fromEntries(fields.map(field => [field.name, field.type]))
+    };
+  }
+
+  /**
+   * 获取当前生效的字段映射
+   */
+  getFieldMapping() {
+    return FieldMapping.normalize(this.config?.fieldMapping);
+  }
+
+  /**
+   * 处理提示词数据
+   */
+  processPromptData(items) {
+    const mapping = this.getFieldMapping();
+
+    return items.map(item => {
+      const fields = item.fields || {};
+      const read = key => this.normalizeFieldValue(FieldMapping.readField(fields, key, mapping));
+
+      const content = this.extractText(read('content'));
+      const title = this.extractText(read('title')) || content.split('\n')[0].substring(0, 50);
+
+      return {
+        id: item.record_id,
+        title,
+        content,
+        prompt: content, // 兼容按 prompt 字段读取的缓存数据
+        alias: this.extractText(read('alias')),
+        category: this.extractText(read('category')) || '其他',
+        tags: this.parseTags(read('tags')),
+        description: this.extractText(read('description')),
+        usage: this.extractText(read('usage')),
+        variables: this.parseVariables(read('variables')),
+        examples: this.parseExamples(read('examples')),
+        templateErrors: checkTemplateSyntax(content), // 飞书中直接编辑的内容可能有模板语法错误，同步时标记出来
+        priority: parseInt(this.extractText(read('priority'))) || 0,
+        isActive: read('isActive') !== false,
+        createdAt: read('createdAt') || item.created_time || '',
+        updatedAt: read('updatedAt') || item.last_modified_time || '',
+        revision: item.last_modified_time || 0, // 记录的修改时间，作为本地修改的基础版本
+        sourceId: this.config?.sourceId || DEFAULT_SOURCE_ID,
+        sourceName: this.config?.sourceName || ''
+      };
+    }).filter(prompt => prompt.content); // 过滤掉没有提示词内容的记录
+  }
+
+  /**
+   * 将多行文本字段返回的富文本片段合并为字符串
+   */
+  normalizeFieldValue(value) {
+    if (Array.isArray(value) && value.length > 0 && value.every(segment => segment && typeof segment === 'object' && 'text' in segment)) {
+      return value.map(segment => segment.text).join('');
+    }
+    return value;
+  }
+
+  /**
+   * 提取文本值
+   */
+  extractText(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return value.map(item => this.extractText(item)).join(',');
+    if (typeof value === 'object') return value.text || value.name || '';
+    return '';
+  }
+
+  /**
+   * 解析标签
+   */
+  parseTags(tags) {
+    if (!tags) return [];
+    if (Array.isArray(tags)) return tags;
+    if (typeof tags === 'string') {
+      return tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+    }
+    return [];
+  }
+
+  /**
+   * 解析变量
+   */
+  parseVariables(variables) {
+    if (!variables) return [];
+    if (Array.isArray(variables)) return variables;
+    if (typeof variables === 'string') {
+      try {
+        return JSON.parse(variables);
+      } catch {
+        return variables.split(',').map(v => v.trim()).filter(v => v);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * 解析示例
+   */
+  parseExamples(examples) {
+    if (!examples) return [];
+    if (Array.isArray(examples)) return examples;
+    if (typeof examples === 'string') {
+      try {
+        return JSON.parse(examples);
+      } catch {
+        return examples.split('\n').map(e => e.trim()).filter(e => e);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * 获取数据表字段列表
+   */
+  async listFields() {
+    try {
+      let fields = [];
+      let pageToken = null;
+
+      do {
+        const query = new URLSearchParams({ page_size: String(CONFIG.MAX_PAGE_SIZE) });
+        if (pageToken) {
+          query.set('page_token', pageToken);
+        }
+
+        const response = await this.apiRequest(
+          `/bitable/v1/apps/${this.config.bitableAppToken}/tables/${this.config.bitableTableId}/fields?${query}`,
+          {
+            method: 'GET'
+          }
+        );
+
+        fields = fields.concat((response.data.items || []).map(field => ({
+          id: field.field_id,
+          name: field.field_name,
+          type: field.type,
+          property: field.property || null
+        })));
+
+        pageToken = response.data.has_more ? response.data.page_token : null;
+      } while (pageToken);
+
+      Logger.info(`获取数据表字段完成，共 ${fields.length} 个`);
+
+      return {
+        success: true,
+        data: { fields }
+      };
+
+    } catch (error) {
+      Logger.error('获取数据表字段失败', { error });
+      return {
+        success: false,
+        error: error.message,
+        data: { fields: [] }
+      };
+    }
+  }
+
+  /**
+   * 检查数据表结构是否满足提示词字段要求
+   */
+  async inspectSchema() {
+    const response = await this.listFields();
+    if (!response.success) {
+      return {
+        success: false,
+        error: response.error,
+        data: { fields: [], compatible: false, columns: {}, issues: [] }
+      };
+    }
+
+    const report = FieldMapping.inspect(response.data.fields, this.getFieldMapping());
+
+    Logger.info('数据表结构检查完成', { compatible: report.compatible, issues: report.issues.length });
+
+    return {
+      success: true,
+      data: {
+        fields: response.data.fields,
+        ...report
+      }
+    };
+  }
+
+  /**
+   * 在指定多维表格中创建提示词数据表
+   */
+  async createPromptTable(appToken, tableName = '提示词库') {
+    try {
+      if (!appToken) {
+        throw ErrorHandler.createError('多维表格 App Token 不能为空', ERROR_CODES.CONFIG_ERROR, 'FeishuApiService.createPromptTable');
+      }
+
+      const { fields, mapping } = FieldMapping.buildTableSchema();
+
+      const response = await this.apiRequest(`/bitable/v1/apps/${appToken}/tables`, {
+        method: 'POST',
+        body: JSON.stringify({
+          table: {
+            name: tableName,
+            default_view_name: '全部提示词',
+            fields
+          }
+        })
+      });
+
+      Logger.info('创建提示词数据表成功', { tableId: response.data.table_id });
+
+      return {
+        success: true,
+        data: {
+          appToken,
+          tableId: response.data.table_id,
+          fieldMapping: mapping
+        }
+      };
+
+    } catch (error) {
+      Logger.error('创建提示词数据表失败', { error });
+      return {
+        success: false,
+        error: error.message,
+        data: { appToken, tableId: null, fieldMapping: null }
+      };
+    }
+  }
+
+  /**
+   * 测试连接
+   */
+  async testConnection() {
+    try {
+      const validation = Validator.validateFeishuConfig(this.config);
+      if (!validation.isValid) {
+        return {
+          connected: false,
+          message: `配置验证失败: ${validation.errors.join(', ')}`,
+          error: 'CONFIG_ERROR'
+        };
+      }
+
+      // 尝试获取访问令牌
+      await this.getAccessToken();
+
+      // 尝试获取一条记录来验证连接
+      const testResponse = await this.apiRequest(
+        `/bitable/v1/apps/${this.config.bitableAppToken}/tables/${this.config.bitableTableId}/records`,
+        {
+          method: 'GET'
+        }
+      );
+
+      // 检查表格结构，缺失必需字段时给出提示
+      const schema = await this.inspectSchema();
+
+      return {
+        connected: true,
+        message: schema.success && !schema.data.compatible ? '连接成功，但表格缺少必需字段' : '连接成功',
+        total: testResponse.data?.total || 0,
+        schema: schema.success ? { compatible: schema.data.compatible, issues: schema.data.issues } : null
+      };
+
+    } catch (error) {
+      Logger.error('连接测试失败', { error });
+      return {
+        connected: false,
+        message: error.message,
+        error: error.code
+      };
+    }
+  }
+
+  /**
+   * 清除缓存
+   */
+  clearCache() {
+    this.invalidateAccessToken();
     CacheUtils.clearCache('feishu_');
     Logger.info('已清除飞书API缓存');
   }
@@ -0,0 +1,316 @@
+// PromptMaster 飞书账号登录模块
+// 通过 OAuth 授权码流程获取 user_access_token，插件内不保存 App Secret
+
+import { ERROR_CODES } from './config.js';
+import { Logger, ErrorHandler } from './utils.js';
+import { storageManager } from './storage.js';
+import { resolveFeishuEndpoints } from './feishu-endpoints.js';
+
+// 读写多维表格，并申请 refresh_token 以便离线续期
+const OAUTH_SCOPES = ['bitable:app', 'offline_access'];
+
+// 用户令牌在过期前 5 分钟主动刷新
+const USER_TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * 飞书账号登录服务类
+ * 授权码换取令牌需要 App Secret，因此交给用户配置的令牌交换服务完成，
+ * 插件只向该服务发送授权码、PKCE 校验码和刷新令牌
+ */
+export class FeishuAuthService {
+  constructor() {
+    this.refreshRequest = null;
+  }
+
+  /**
+   * 获取 OAuth 回调地址，需要添加到飞书应用的重定向 URL 列表中
+   */
+  getRedirectUrl() {
+    return chrome.identity.getRedirectURL('feishu');
+  }
+
+  /**
+   * 打开飞书授权页完成登录
+   */
+  async signIn(config) {
+    try {
+      this.assertConfig(config);
+
+      const state = this.randomString(16);
+      const codeVerifier = this.randomString(48);
+      const codeChallenge = await this.createCodeChallenge(codeVerifier);
+      const redirectUri = this.getRedirectUrl();
+
+      const query = new URLSearchParams({
+        client_id: config.appId,
+        response_type: 'code',
+        redirect_uri: redirectUri,
+        scope: OAUTH_SCOPES.join(' '),
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+
+      const callbackUrl = await chrome.identity.launchWebAuthFlow({
+        url: `${resolveFeishuEndpoints(config).authorizeUrl}?${query}`,
+        interactive: true
+      });
+
+      const params = new URL(callbackUrl).searchParams;
+      if (params.get('error')) {
+        throw ErrorHandler.createError(`飞书授权失败: ${params.get('error')}`, ERROR_CODES.AUTH_ERROR, 'FeishuAuthService.signIn');
+      }
+      if (params.get('state') !== state || !params.get('code')) {
+        throw ErrorHandler.createError('飞书授权回调无效', ERROR_CODES.AUTH_ERROR, 'FeishuAuthService.signIn');
+      }
+
+      const tokenData = await this.exchangeToken(config, {
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        code_verifier: codeVerifier,
+        redirect_uri: redirectUri
+      });
+
+      const user = await this.fetchUserInfo(config, tokenData.accessToken);
+      await storageManager.saveUserToken({ ...tokenData, appId: config.appId, user });
+
+      Logger.info('飞书账号登录成功', { user: user?.name });
+
+      return {
+        success: true,
+        data: { signedIn: true, user }
+      };
+
+    } catch (error) {
+      Logger.error('飞书账号登录失败', { error });
+      return {
+        success: false,
+        error: error.message,
+        data: { signedIn: false, user: null }
+      };
+    }
+  }
+
+  /**
+   * 退出登录
+   */
+  async signOut() {
+    await storageManager.clearUserToken();
+    Logger.info('已退出飞书账号登录');
+    return { success: true };
+  }
+
+  /**
+   * 获取登录状态
+   */
+  async getStatus(config) {
+    const tokenData = await storageManager.getUserToken();
+    const signedIn = Boolean(tokenData && tokenData.appId === config?.appId && this.isRefreshable(tokenData));
+
+    return {
+      success: true,
+      data: {
+        signedIn,
+        user: signedIn ? tokenData.user : null,
+        redirectUrl: this.getRedirectUrl()
+      }
+    };
+  }
+
+  /**
+   * 获取有效的 user_access_token，临近过期时使用 refresh_token 续期
+   * 并发调用共享同一个刷新请求
+   */
+  async getUserAccessToken(config) {
+    const tokenData = await storageManager.getUserToken();
+
+    if (!tokenData || tokenData.appId !== config.appId) {
+      throw ErrorHandler.createError('尚未登录飞书账号，请在设置页登录', ERROR_CODES.AUTH_ERROR, 'FeishuAuthService.getUserAccessToken');
+    }
+
+    if (Date.now() < tokenData.expiresAt - USER_TOKEN_REFRESH_MARGIN) {
+      return tokenData.accessToken;
+    }
+
+    if (!this.refreshRequest) {
+      this.refreshRequest = this.refreshUserToken(config, tokenData).finally(() => {
+        this.refreshRequest = null;
+      });
+    }
+
+    return this.refreshRequest;
+  }
+
+  /**
+   * 使用 refresh_token 续期用户令牌
+   */
+  async refreshUserToken(config, tokenData) {
+    if (!this.isRefreshable(tokenData)) {
+      await storageManager.clearUserToken();
+      throw ErrorHandler.createError('飞书登录已过期，请重新登录', ERROR_CODES.AUTH_ERROR, 'FeishuAuthService.refreshUserToken');
+    }
+
+    try {
+      const refreshed = await this.exchangeToken(config, {
+        grant_type: 'refresh_token',
+        refresh_token: tokenData.refreshToken
+      });
+
+      await storageManager.saveUserToken({ ...tokenData, ...refreshed });
+      Logger.info('飞书用户令牌已刷新');
+
+      return refreshed.accessToken;
+    } catch (error) {
+      if (error.grantInvalid) {
+        // refresh_token 已失效或被撤销，需要重新登录；服务暂时不可用时保留令牌稍后重试
+        await storageManager.clearUserToken();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 标记当前用户令牌失效，下次调用时强制刷新
+   */
+  async invalidate() {
+    const tokenData = await storageManager.getUserToken();
+    if (tokenData) {
+      await storageManager.saveUserToken({ ...tokenData, expiresAt: 0 });
+    }
+  }
+
+  /**
+   * 通过令牌交换服务换取或刷新令牌
+   * 服务端补充 client_secret 后转发到飞书 /authen/v2/oauth/token，并原样返回响应
+   * 抛出的错误带有 grantInvalid 标记，只有飞书明确拒绝授权码或 refresh_token 时才为 true
+   */
+  async exchangeToken(config, body) {
+    let response;
+    try {
+      response = await fetch(config.oauthTokenEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8'
+        },
+        body: JSON.stringify({
+          client_id: config.appId,
+          ...body
+        })
+      });
+    } catch (error) {
+      const networkError = ErrorHandler.createError(`令牌交换服务请求失败: ${error.message}`, ERROR_CODES.NETWORK_ERROR, 'FeishuAuthService.exchangeToken');
+      networkError.transient = true;
+      throw networkError;
+    }
+
+    const data = await response.json().catch(() => null);
+
+    // 服务端错误、限流或无法解析的响应通常来自代理或网关，按网络错误处理
+    if (!data || response.status >= 500 || response.status === 429) {
+      const error = ErrorHandler.createError(
+        `令牌交换服务暂时不可用: ${response.status} ${response.statusText}`,
+        ERROR_CODES.NETWORK_ERROR,
+        'FeishuAuthService.exchangeToken'
+      );
+      error.transient = true;
+      throw error;
+    }
+
+    if (!response.ok || data.code !== 0 || !data.access_token) {
+      const error = ErrorHandler.createError(
+        `获取用户令牌失败: ${data.error_description || data.msg || response.statusText}`,
+        ERROR_CODES.AUTH_ERROR,
+        'FeishuAuthService.exchangeToken'
+      );
+      error.grantInvalid = data.error === 'invalid_grant';
+      throw error;
+    }
+
+    const now = Date.now();
+    return {
+      accessToken: data.access_token,
+      expiresAt: now + (data.expires_in || 0) * 1000,
+      refreshToken: data.refresh_token || '',
+      refreshExpiresAt: data.refresh_token_expires_in ? now + data.refresh_token_expires_in * 1000 : 0
+    };
+  }
+
+  /**
+   * 获取登录用户信息
+   */
+  async fetchUserInfo(config, accessToken) {
+    try {
+      const response = await fetch(`${resolveFeishuEndpoints(config).apiBaseUrl}/authen/v1/user_info`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      const data = await response.json();
+
+      if (data.code !== 0) {
+        Logger.warn('获取飞书用户信息失败', { msg: data.msg });
+        return null;
+      }
+
+      return {
+        name: data.data.name || '',
+        avatarUrl: data.data.avatar_url || '',
+        openId: data.data.open_id || ''
+      };
+    } catch (error) {
+      Logger.warn('获取飞书用户信息失败', { error });
+      return null;
+    }
+  }
+
+  /**
+   * refresh_token 是否仍可用于续期
+   */
+  isRefreshable(tokenData) {
+    if (!tokenData.refreshToken) {
+      return Date.now() < tokenData.expiresAt;
+    }
+    return !tokenData.refreshExpiresAt || Date.now() < tokenData.refreshExpiresAt;
+  }
+
+  /**
+   * 校验登录所需配置
+   */
+  assertConfig(config = {}) {
+    if (!config.appId) {
+      throw ErrorHandler.createError('App ID 不能为空', ERROR_CODES.CONFIG_ERROR, 'FeishuAuthService.assertConfig');
+    }
+    if (!config.oauthTokenEndpoint) {
+      throw ErrorHandler.createError('令牌交换服务地址不能为空', ERROR_CODES.CONFIG_ERROR, 'FeishuAuthService.assertConfig');
+    }
+  }
+
+  /**
+   * 生成 URL 安全的随机字符串
+   */
+  randomString(byteLength) {
+    const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+    return this.base64UrlEncode(bytes);
+  }
+
+  /**
+   * 生成 PKCE S256 校验码
+   */
+  async createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return this.base64UrlEncode(new Uint8Array(digest));
+  }
+
+  base64UrlEncode(bytes) {
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+}
+
+// 创建单例实例
+export const feishuAuthService = new FeishuAuthService();
+
+// 默认导出
+export default FeishuAuthService;
@@ -0,0 +1,54 @@
+// PromptMaster 飞书服务地址模块
+// 根据配置的区域解析开放平台接口地址，支持飞书、Lark 和私有化部署
+
+import { CONFIG } from './config.js';
+
+/**
+ * 可选的服务区域
+ */
+export const FEISHU_REGIONS = {
+  feishu: {
+    label: '飞书',
+    openBaseUrl: 'https://open.feishu.cn',
+    accountsBaseUrl: 'https://accounts.feishu.cn'
+  },
+  lark: {
+    label: 'Lark（国际版）',
+    openBaseUrl: 'https://open.larksuite.com',
+    accountsBaseUrl: 'https://accounts.larksuite.com'
+  }
+};
+
+/**
+ * 解析配置对应的服务地址
+ * 私有化部署只配置开放平台域名，授权页同样使用该域名
+ * @returns {{apiBaseUrl: string, authorizeUrl: string, origin: string}}
+ */
+export function resolveFeishuEndpoints(config = {}) {
+  const region = FEISHU_REGIONS[config.region];
+  let openBaseUrl;
+  let authorizeUrl;
+
+  if (config.region === 'custom' && config.customBaseUrl) {
+    openBaseUrl = config.customBaseUrl.trim().replace(/\/+$/, '').replace(/\/open-apis$/, '');
+    authorizeUrl = `${openBaseUrl}/open-apis/authen/v1/authorize`;
+  } else if (region) {
+    openBaseUrl = region.openBaseUrl;
+    authorizeUrl = `${region.accountsBaseUrl}/open-apis/authen/v1/authorize`;
+  } else {
+    // 未配置区域时保持原有的飞书地址
+    return {
+      apiBaseUrl: CONFIG.FEISHU_BASE_URL,
+      authorizeUrl: `${FEISHU_REGIONS.feishu.accountsBaseUrl}/open-apis/authen/v1/authorize`,
+      origin: new URL(CONFIG.FEISHU_BASE_URL).origin
+    };
+  }
+
+  return {
+    apiBaseUrl: `${openBaseUrl}/open-apis`,
+    authorizeUrl,
+    origin: new URL(openBaseUrl).origin
+  };
+}
+
+export default resolveFeishuEndpoints;
@@ -0,0 +1,237 @@
+// PromptMaster 字段映射模块
+// 处理多维表格列名与提示词数据模型之间的映射
+
+/**
+ * 多维表格字段类型
+ */
+export const BITABLE_FIELD_TYPES = {
+  TEXT: 1,
+  NUMBER: 2,
+  SINGLE_SELECT: 3,
+  MULTI_SELECT: 4,
+  DATE: 5,
+  CHECKBOX: 7,
+  CREATED_TIME: 1001,
+  MODIFIED_TIME: 1002
+};
+
+const { TEXT, NUMBER, SINGLE_SELECT, MULTI_SELECT, DATE, CHECKBOX, CREATED_TIME, MODIFIED_TIME } = BITABLE_FIELD_TYPES;
+
+/**
+ * 提示词数据模型中的逻辑字段
+ * candidates 用于在未显式配置时按列名自动识别（包括中文列名）
+ * types 为兼容的列类型，第一个类型用于自动建表
+ */
+export const PROMPT_FIELDS = [
+  { key: 'title', label: '标题', types: [TEXT], candidates: ['title', '标题', '名称', '提示词名称'] },
+  { key: 'content', label: '提示词内容', required: true, types: [TEXT], candidates: ['prompt', 'content', '提示词', '内容', '提示词内容'] },
+  { key: 'alias', label: '别名', types: [TEXT], candidates: ['alias', '别名', '快捷指令', '简称'] },
+  { key: 'category', label: '分类', types: [SINGLE_SELECT, TEXT], candidates: ['category', '分类', '类别'] },
+  { key: 'tags', label: '标签', types: [MULTI_SELECT, TEXT], candidates: ['tags', '标签'] },
+  { key: 'description', label: '描述', types: [TEXT], candidates: ['description', '描述', '说明', '简介'] },
+  { key: 'usage', label: '使用说明', types: [TEXT], candidates: ['usage', '用法', '使用说明', '使用方法'] },
+  { key: 'variables', label: '变量', types: [TEXT], candidates: ['variables', '变量'] },
+  { key: 'examples', label: '示例', types: [TEXT], candidates: ['examples', '示例', '例子'] },
+  { key: 'priority', label: '优先级', types: [NUMBER], candidates: ['priority', '优先级', '排序'] },
+  { key: 'isActive', label: '是否启用', types: [CHECKBOX], candidates: ['is_active', '启用', '是否启用', '有效'] },
+  { key: 'createdAt', label: '创建时间', types: [CREATED_TIME, DATE], candidates: ['created_time', '创建时间'] },
+  { key: 'updatedAt', label: '更新时间', types: [MODIFIED_TIME, DATE], candidates: ['updated_time', '更新时间', '修改时间', '最后更新时间'] }
+];
+
+/**
+ * 默认映射，与最初的英文列名表格保持兼容
+ * 空字符串表示该字段不映射到任何列
+ */
+export const DEFAULT_FIELD_MAPPING = {
+  title: '',
+  content: 'prompt',
+  alias: '',
+  category: 'category',
+  tags: 'tags',
+  description: 'description',
+  usage: 'usage',
+  variables: 'variables',
+  examples: 'examples',
+  priority: 'priority',
+  isActive: 'is_active',
+  createdAt: 'created_time',
+  updatedAt: 'updated_time'
+};
+
+/**
+ * 字段映射工具类
+ */
+export class FieldMapping {
+  /**
+   * 规范化用户保存的映射，只保留已知字段
+   */
+  static normalize(mapping = {}) {
+    const normalized = {};
+
+    PROMPT_FIELDS.forEach(({ key }) => {
+      if (typeof mapping[key] === 'string') {
+        normalized[key] = mapping[key].trim();
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * 合并用户映射与默认映射
+   */
+  static resolve(mapping = {}) {
+    return {
+      ...DEFAULT_FIELD_MAPPING,
+      ...this.normalize(mapping)
+    };
+  }
+
+  /**
+   * 根据表格实际列名推荐映射
+   */
+  static autoDetect(fieldNames = []) {
+    const available = new Set(fieldNames);
+    const lowerNames = new Map(fieldNames.map(name => [name.toLowerCase(), name]));
+    const suggested = {};
+
+    PROMPT_FIELDS.forEach(({ key, candidates }) => {
+      const match = candidates.find(candidate => available.has(candidate))
+        || candidates.map(candidate => lowerNames.get(candidate.toLowerCase())).find(Boolean);
+      suggested[key] = match || '';
+    });
+
+    return suggested;
+  }
+
+  /**
+   * 从记录字段中读取逻辑字段的原始值
+   * mapping 为用户保存的映射，未显式配置的字段按默认列名和候选列名回退查找
+   */
+  static readField(fields, key, mapping = {}) {
+    if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+      return mapping[key] ? fields[mapping[key]] : undefined;
+    }
+
+    const definition = PROMPT_FIELDS.find(field => field.key === key);
+    const names = [DEFAULT_FIELD_MAPPING[key], ...(definition?.candidates || [])].filter(Boolean);
+    const name = names.find(candidate => fields[candidate] !== undefined);
+    return name ? fields[name] : undefined;
+  }
+
+  /**
+   * 获取逻辑字段写入时使用的列名
+   */
+  static getColumn(key, mapping = {}) {
+    return this.resolve(mapping)[key] || '';
+  }
+
+  /**
+   * 根据表格实际列名确定每个逻辑字段对应的列
+   * 与 readField 的回退规则保持一致
+   */
+  static resolveColumns(mapping = {}, fieldNames = []) {
+    const normalized = this.normalize(mapping);
+    const columns = {};
+
+    PROMPT_FIELDS.forEach(({ key, candidates }) => {
+      if (Object.prototype.hasOwnProperty.call(normalized, key)) {
+        columns[key] = normalized[key];
+        return;
+      }
+
+      const names = [DEFAULT_FIELD_MAPPING[key], ...candidates].filter(Boolean);
+      columns[key] = names.find(name => fieldNames.includes(name)) || '';
+    });
+
+    return columns;
+  }
+
+  /**
+   * 检查表格结构，返回缺失或类型不兼容的字段
+   * @param {Array<{name: string, type: number}>} fields 表格字段列表
+   */
+  static inspect(fields = [], mapping = {}) {
+    const fieldNames = fields.map(field => field.name);
+    const columns = this.resolveColumns(mapping, fieldNames);
+    const issues = [];
+
+    PROMPT_FIELDS.forEach(({ key, label, required, types }) => {
+      const column = columns[key];
+      const field = fields.find(item => item.name === column);
+
+      if (!field) {
+        issues.push({
+          key,
+          label,
+          column,
+          problem: 'missing',
+          severity: required ? 'error' : 'warning'
+        });
+      } else if (!types.includes(field.type)) {
+        issues.push({
+          key,
+          label,
+          column,
+          problem: 'incompatible',
+          severity: required ? 'error' : 'warning',
+          actualType: field.type,
+          expectedTypes: types
+        });
+      }
+    });
+
+    return {
+      compatible: !issues.some(issue => issue.severity === 'error'),
+      columns,
+      issues
+    };
+  }
+
+  /**
+   * 生成自动建表使用的字段定义及对应映射
+   * 列名使用中文标签，主字段为标题
+   */
+  static buildTableSchema() {
+    const fields = PROMPT_FIELDS.map(({ label, types }) => {
+      const field = { field_name: label, type: types[0] };
+      if (types[0] === NUMBER) {
+        field.property = { formatter: '0' };
+      }
+      return field;
+    });
+
+    const mapping = {};
+    PROMPT_FIELDS.forEach(({ key, label }) => {
+      mapping[key] = label;
+    });
+
+    return { fields, mapping };
+  }
+
+  /**
+   * 校验映射是否可用
+   */
+  static validate(mapping = {}, fieldNames = null) {
+    const resolved = this.resolve(mapping);
+    const errors = [];
+
+    PROMPT_FIELDS.forEach(({ key, label, required }) => {
+      const column = resolved[key];
+
+      if (required && !column) {
+        errors.push(`${label} 必须映射到表格列`);
+      } else if (column && fieldNames && !fieldNames.includes(column)) {
+        errors.push(`${label} 映射的列 "${column}" 在表格中不存在`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+// 默认导出
+export default FieldMapping;
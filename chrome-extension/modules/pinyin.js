@@ -0,0 +1,151 @@
+// PromptMaster 拼音匹配模块
+// 用拉丁字母输入匹配中文标题，支持全拼、首字母和两者混合，例如 xiezuo、xzs 匹配“写作助手”
+
+import { PINYIN_GROUPS } from './pinyin-table.js';
+
+// 两个匹配的字之间最多跳过的字数
+const MAX_SKIPPED_CHARS = 2;
+
+// 每跳过一个字扣除的分数
+const SKIP_PENALTY = 0.3;
+
+// 只用开头几个字母匹配一个字时的得分，完整拼音为 1
+const PARTIAL_SCORE = 0.8;
+const INITIAL_SCORE = 0.6;
+
+const HAN_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+
+let charTable = null;
+
+/**
+ * 由拼音表建立汉字到读音的映射，首次使用时建立
+ */
+function getCharTable() {
+  if (!charTable) {
+    charTable = new Map();
+    Object.entries(PINYIN_GROUPS).forEach(([syllable, chars]) => {
+      // ü 同时接受 v 和 u 两种输入
+      const variants = syllable.includes('v') ? [syllable, syllable.replace(/v/g, 'u')] : [syllable];
+      for (const char of chars) {
+        const syllables = charTable.get(char) || [];
+        variants.forEach(variant => {
+          if (!syllables.includes(variant)) syllables.push(variant);
+        });
+        charTable.set(char, syllables);
+      }
+    });
+  }
+  return charTable;
+}
+
+/**
+ * 汉字的全部读音，不在拼音表中时返回空数组
+ */
+export function getPinyin(char) {
+  return getCharTable().get(char) || [];
+}
+
+/**
+ * 预处理要匹配的文本，包含汉字时才返回结果
+ * 汉字使用拼音匹配，字母和数字按原样匹配，其余字符跳过时不扣分
+ * @returns {{units: Array<{start: number, end: number, syllables: string[], han: boolean}>, initials: string}|null}
+ */
+export function preparePinyin(text) {
+  if (!text || !HAN_PATTERN.test(text)) return null;
+
+  const units = [];
+  let index = 0;
+
+  for (const char of String(text)) {
+    const han = HAN_PATTERN.test(char);
+    let syllables = [];
+    if (han) {
+      syllables = getPinyin(char);
+    } else if (/[\p{L}\p{N}]/u.test(char)) {
+      syllables = [char.toLowerCase()];
+    }
+
+    units.push({ start: index, end: index + char.length, syllables, han });
+    index += char.length;
+  }
+
+  const initials = new Set(units.flatMap(unit => unit.syllables.map(syllable => syllable[0])));
+  return { units, initials: [...initials].join('') };
+}
+
+/**
+ * 用拼音匹配预处理后的文本
+ * 每个字用一个读音的开头若干字母匹配，相邻匹配的字之间可以跳过少量字；至少要匹配一个汉字
+ * @param {string} query 小写字母
+ * @returns {{quality: number, ranges: Array<[number, number]>}|null}
+ */
+export function matchPinyin(query, prepared) {
+  if (!prepared || !query || !prepared.initials.includes(query[0])) return null;
+
+  const { units } = prepared;
+  const memo = new Map();
+
+  const matchFrom = (queryIndex, unitIndex) => {
+    const key = queryIndex * units.length + unitIndex;
+    if (memo.has(key)) return memo.get(key);
+
+    let best = null;
+    const remaining = query.length - queryIndex;
+
+    units[unitIndex].syllables.forEach(syllable => {
+      for (let length = Math.min(syllable.length, remaining); length >= 1; length--) {
+        if (!query.startsWith(syllable.slice(0, length), queryIndex)) continue;
+
+        let charScore = 1;
+        if (length < syllable.length) {
+          charScore = length === 1 ? INITIAL_SCORE : PARTIAL_SCORE;
+        }
+
+        if (length === remaining) {
+          if (!best || charScore > best.score) {
+            best = { score: charScore, units: [unitIndex] };
+          }
+          continue;
+        }
+
+        let skipped = 0;
+        for (let next = unitIndex + 1; next < units.length && skipped <= MAX_SKIPPED_CHARS; next++) {
+          const rest = matchFrom(queryIndex + length, next);
+          if (rest) {
+            const score = charScore + rest.score - skipped * SKIP_PENALTY;
+            if (!best || score > best.score) {
+              best = { score, units: [unitIndex, ...rest.units] };
+            }
+          }
+          if (units[next].syllables.length > 0) skipped++;
+        }
+      }
+    });
+
+    memo.set(key, best);
+    return best;
+  };
+
+  let result = null;
+  units.forEach((unit, unitIndex) => {
+    if (unit.syllables.length === 0) return;
+
+    const match = matchFrom(0, unitIndex);
+    if (!match || !match.units.some(index => units[index].han)) return;
+
+    // 从开头匹配的排在前面
+    const quality = Math.max(0.1, match.score / match.units.length) * (unitIndex === 0 ? 1 : 0.9);
+    if (!result || quality > result.quality) {
+      result = { quality, units: match.units };
+    }
+  });
+
+  if (!result) return null;
+
+  return {
+    quality: result.quality,
+    ranges: result.units.map(index => [units[index].start, units[index].end])
+  };
+}
+
+export default { getPinyin, preparePinyin, matchPinyin };
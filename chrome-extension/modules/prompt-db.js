@@ -0,0 +1,365 @@
+// PromptMaster 本地数据库模块
+// 使用 IndexedDB 保存提示词库、使用记录和同步元数据，查询通过索引和游标完成
+
+import { ERROR_CODES } from './config.js';
+import { Logger, ErrorHandler } from './utils.js';
+
+const DB_NAME = 'promptmaster';
+const DB_VERSION = 1;
+
+/**
+ * 对象仓库
+ * prompts 以 [sourceId, id] 为主键；staging 暂存全量同步中尚未提交的提示词；
+ * usage 保存使用记录；meta 保存各数据源的统计和同步状态
+ */
+export const DB_STORES = {
+  PROMPTS: 'prompts',
+  STAGING: 'staging',
+  USAGE: 'usage',
+  META: 'meta'
+};
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 复合主键中某个前缀下的全部记录；数组类型的键排在所有字符串之后
+ */
+function prefixRange(prefix) {
+  return IDBKeyRange.bound([prefix], [prefix, []]);
+}
+
+/**
+ * 本地数据库类
+ */
+export class PromptDatabase {
+  constructor() {
+    this.dbRequest = null;
+    // 提示词仓库每次写入后递增，用于判断内存中的搜索索引是否过期
+    this.promptsVersion = 0;
+  }
+
+  /**
+   * 打开数据库，连接在 Service Worker 生命周期内复用
+   */
+  open() {
+    if (!this.dbRequest) {
+      this.dbRequest = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => this.upgrade(request.result, event.oldVersion);
+        request.onsuccess = () => {
+          const db = request.result;
+          // 其他页面升级数据库时关闭当前连接，下次使用时重新打开
+          db.onversionchange = () => {
+            db.close();
+            this.dbRequest = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          reject(ErrorHandler.createError(`打开本地数据库失败: ${request.error?.message}`, ERROR_CODES.UNKNOWN_ERROR, 'PromptDatabase.open'));
+        };
+      }).catch(error => {
+        this.dbRequest = null;
+        throw error;
+      });
+    }
+
+    return this.dbRequest;
+  }
+
+  /**
+   * 创建或升级对象仓库和索引
+   */
+  upgrade(db, oldVersion) {
+    if (oldVersion < 1) {
+      const prompts = db.createObjectStore(DB_STORES.PROMPTS, { keyPath: ['sourceId', 'id'] });
+      prompts.createIndex('sourceId', 'sourceId');
+      prompts.createIndex('category', 'category');
+      prompts.createIndex('tags', 'tags', { multiEntry: true });
+      prompts.createIndex('updatedAt', 'updatedAt');
+
+      db.createObjectStore(DB_STORES.STAGING, { keyPath: ['stageId', 'id'] });
+
+      const usage = db.createObjectStore(DB_STORES.USAGE, { keyPath: 'id', autoIncrement: true });
+      usage.createIndex('promptId', 'promptId');
+      usage.createIndex('usedAt', 'usedAt');
+
+      db.createObjectStore(DB_STORES.META, { keyPath: 'key' });
+    }
+
+    Logger.info('本地数据库结构已升级', { from: oldVersion, to: DB_VERSION });
+  }
+
+  /**
+   * 在一个事务中执行操作，事务提交后返回 callback 的结果
+   * callback 中只能等待本事务内的请求，否则事务会提前提交
+   */
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => {
+        if (mode === 'readwrite' && storeNames.includes(DB_STORES.PROMPTS)) {
+          this.promptsVersion++;
+        }
+        resolve(result);
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || ErrorHandler.createError('数据库事务已中止', ERROR_CODES.UNKNOWN_ERROR, 'PromptDatabase.transaction'));
+
+      Promise.resolve()
+        .then(() => callback(tx))
+        .then(value => {
+          result = value;
+        }, error => {
+          reject(error);
+          try {
+            tx.abort();
+          } catch {
+            // 事务已经结束
+          }
+        });
+    });
+  }
+
+  /**
+   * 逐条遍历游标，visitor 返回 false 时停止
+   */
+  iterate(source, query, direction, visitor) {
+    return new Promise((resolve, reject) => {
+      const request = source.openCursor(query, direction);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || visitor(cursor) === false) {
+          resolve();
+          return;
+        }
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * 提示词
+   */
+  async getPrompts(sourceId = null) {
+    return this.transaction([DB_STORES.PROMPTS], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.PROMPTS).getAll(sourceId ? prefixRange(sourceId) : undefined))
+    );
+  }
+
+  async getPrompt(sourceId, id) {
+    return this.transaction([DB_STORES.PROMPTS], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.PROMPTS).get([sourceId, id]))
+    );
+  }
+
+  async getPromptIds(sourceId) {
+    const keys = await this.transaction([DB_STORES.PROMPTS], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.PROMPTS).getAllKeys(prefixRange(sourceId)))
+    );
+    return keys.map(([, id]) => id);
+  }
+
+  async countPrompts(sourceId = null) {
+    return this.transaction([DB_STORES.PROMPTS], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.PROMPTS).count(sourceId ? prefixRange(sourceId) : undefined))
+    );
+  }
+
+  /**
+   * 写入并删除同一数据源的提示词
+   */
+  async writePrompts(sourceId, puts = [], deleteIds = []) {
+    return this.transaction([DB_STORES.PROMPTS], 'readwrite', tx => {
+      const store = tx.objectStore(DB_STORES.PROMPTS);
+      deleteIds.forEach(id => store.delete([sourceId, id]));
+      puts.forEach(prompt => store.put({ ...prompt, sourceId }));
+    });
+  }
+
+  async deleteSource(sourceId) {
+    return this.transaction([DB_STORES.PROMPTS, DB_STORES.META], 'readwrite', tx => {
+      tx.objectStore(DB_STORES.PROMPTS).delete(prefixRange(sourceId));
+      tx.objectStore(DB_STORES.META).delete(`source:${sourceId}`);
+    });
+  }
+
+  /**
+   * 列出已保存提示词的数据源
+   */
+  async listSourceIds() {
+    return this.transaction([DB_STORES.PROMPTS], 'readonly', async tx => {
+      const ids = [];
+      const index = tx.objectStore(DB_STORES.PROMPTS).index('sourceId');
+      await this.iterate(index, null, 'nextunique', cursor => {
+        ids.push(cursor.key);
+      });
+      return ids;
+    });
+  }
+
+  /**
+   * 按条件查询提示词
+   * 指定分类或标签时使用对应索引，否则按数据源范围遍历；遍历到足够数量后即停止
+   * @param {Object} options { sourceId, category, tag, match, offset, limit }
+   * @returns {Promise<{items: Array, hasMore: boolean}>}
+   */
+  async queryPrompts(options = {}) {
+    const { sourceId = null, category = null, tag = null, match = null, offset = 0, limit = Infinity } = options;
+
+    return this.transaction([DB_STORES.PROMPTS], 'readonly', async tx => {
+      const store = tx.objectStore(DB_STORES.PROMPTS);
+      let source = store;
+      let query = sourceId ? prefixRange(sourceId) : null;
+
+      if (category) {
+        source = store.index('category');
+        query = IDBKeyRange.only(category);
+      } else if (tag) {
+        source = store.index('tags');
+        query = IDBKeyRange.only(tag);
+      }
+
+      const items = [];
+      let skipped = 0;
+      let hasMore = false;
+
+      await this.iterate(source, query, 'next', cursor => {
+        const prompt = cursor.value;
+        if (sourceId && prompt.sourceId !== sourceId) return true;
+        if (match && !match(prompt)) return true;
+
+        if (skipped < offset) {
+          skipped++;
+          return true;
+        }
+        if (items.length >= limit) {
+          hasMore = true;
+          return false;
+        }
+
+        items.push(prompt);
+        return true;
+      });
+
+      return { items, hasMore };
+    });
+  }
+
+  /**
+   * 暂存全量同步中的提示词
+   */
+  async stagePrompts(stageId, prompts) {
+    return this.transaction([DB_STORES.STAGING], 'readwrite', tx => {
+      const store = tx.objectStore(DB_STORES.STAGING);
+      prompts.forEach(prompt => store.put({ ...prompt, stageId }));
+    });
+  }
+
+  /**
+   * 用暂存的提示词替换数据源的全部提示词，在同一事务中完成
+   * @returns {Promise<number>} 提交的提示词数量
+   */
+  async commitStage(stageId, sourceId) {
+    return this.transaction([DB_STORES.PROMPTS, DB_STORES.STAGING], 'readwrite', async tx => {
+      const prompts = tx.objectStore(DB_STORES.PROMPTS);
+      const staging = tx.objectStore(DB_STORES.STAGING);
+      let count = 0;
+
+      prompts.delete(prefixRange(sourceId));
+
+      await this.iterate(staging, prefixRange(stageId), 'next', cursor => {
+        const { stageId: _stageId, ...prompt } = cursor.value;
+        prompts.put({ ...prompt, sourceId });
+        cursor.delete();
+        count++;
+      });
+
+      return count;
+    });
+  }
+
+  async discardStage(stageId) {
+    return this.transaction([DB_STORES.STAGING], 'readwrite', tx => {
+      tx.objectStore(DB_STORES.STAGING).delete(prefixRange(stageId));
+    });
+  }
+
+  /**
+   * 使用记录
+   */
+  async addUsageEvent(event) {
+    return this.transaction([DB_STORES.USAGE], 'readwrite', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.USAGE).add({ usedAt: Date.now(), ...event }))
+    );
+  }
+
+  async countUsageSince(since) {
+    return this.transaction([DB_STORES.USAGE], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.USAGE).index('usedAt').count(IDBKeyRange.lowerBound(since)))
+    );
+  }
+
+  /**
+   * 元数据
+   */
+  async getMeta(key) {
+    const record = await this.transaction([DB_STORES.META], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.META).get(key))
+    );
+    return record ? record.value : null;
+  }
+
+  /**
+   * 读取指定前缀的全部元数据
+   * @returns {Promise<Object>} 去掉前缀后的键到值的映射
+   */
+  async getMetaByPrefix(prefix) {
+    const records = await this.transaction([DB_STORES.META], 'readonly', tx =>
+      requestToPromise(tx.objectStore(DB_STORES.META).getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`)))
+    );
+    return Object.fromEntries(records.map(record => [record.key.slice(prefix.length), record.value]));
+  }
+
+  async setMeta(key, value) {
+    return this.transaction([DB_STORES.META], 'readwrite', tx => {
+      tx.objectStore(DB_STORES.META).put({ key, value });
+    });
+  }
+
+  async deleteMeta(keys) {
+    return this.transaction([DB_STORES.META], 'readwrite', tx => {
+      const store = tx.objectStore(DB_STORES.META);
+      keys.forEach(key => store.delete(key));
+    });
+  }
+
+  /**
+   * 清空提示词、暂存和同步元数据；clearUsage 为 true 时同时清空使用记录
+   */
+  async clear({ clearUsage = false } = {}) {
+    const stores = [DB_STORES.PROMPTS, DB_STORES.STAGING, DB_STORES.META];
+    if (clearUsage) stores.push(DB_STORES.USAGE);
+
+    return this.transaction(stores, 'readwrite', tx => {
+      stores.forEach(name => tx.objectStore(name).clear());
+    });
+  }
+}
+
+// 创建单例实例
+export const promptDatabase = new PromptDatabase();
+
+// 默认导出
+export default PromptDatabase;
@@ -0,0 +1,122 @@
+// PromptMaster 数据源模块
+// 管理多个多维表格数据源，每个数据源使用独立的飞书API服务实例
+
+import { ERROR_CODES } from './config.js';
+import { Logger, ErrorHandler } from './utils.js';
+import { FeishuApiService, feishuApiService } from './feishu-api.js';
+import { DEFAULT_SOURCE_ID } from './storage.js';
+
+/**
+ * 数据源管理类
+ * 主配置作为默认数据源，使用 feishuApiService 单例；
+ * 附加数据源各自保存应用凭据和表格，沿用主配置的服务区域
+ */
+export class PromptSourceRegistry {
+  constructor() {
+    this.sources = [];
+    this.services = new Map();
+  }
+
+  /**
+   * 根据飞书配置重建数据源
+   */
+  async load(feishuConfig = {}) {
+    const { sources: extraSources = [], ...primaryConfig } = feishuConfig;
+    const primaryName = primaryConfig.sourceName || '默认';
+
+    feishuApiService.resetConfig();
+    await feishuApiService.initConfig({
+      ...primaryConfig,
+      sourceId: DEFAULT_SOURCE_ID,
+      sourceName: primaryName
+    });
+
+    this.services = new Map([[DEFAULT_SOURCE_ID, feishuApiService]]);
+    this.sources = [{
+      id: DEFAULT_SOURCE_ID,
+      name: primaryName,
+      writable: primaryConfig.writable !== false
+    }];
+
+    for (const source of extraSources) {
+      if (!source.id || this.services.has(source.id)) continue;
+
+      const name = source.name || source.id;
+      const service = new FeishuApiService();
+      await service.initConfig({
+        region: primaryConfig.region,
+        customBaseUrl: primaryConfig.customBaseUrl,
+        ...source,
+        configMode: 'custom',
+        authMode: 'app',
+        credentialsLocked: primaryConfig.credentialsLocked,
+        sourceId: source.id,
+        sourceName: name
+      });
+
+      this.services.set(source.id, service);
+      this.sources.push({
+        id: source.id,
+        name,
+        writable: Boolean(source.writable)
+      });
+    }
+
+    Logger.debug('数据源加载完成', { count: this.sources.length });
+    return this.list();
+  }
+
+  /**
+   * 获取所有数据源
+   * @returns {Array<{id: string, name: string, writable: boolean}>}
+   */
+  list() {
+    if (this.sources.length === 0) {
+      return [{ id: DEFAULT_SOURCE_ID, name: '默认', writable: true }];
+    }
+    return this.sources.map(source => ({ ...source }));
+  }
+
+  get(sourceId) {
+    return this.list().find(source => source.id === sourceId) || null;
+  }
+
+  /**
+   * 获取数据源对应的API服务
+   */
+  getService(sourceId = DEFAULT_SOURCE_ID) {
+    if (sourceId === DEFAULT_SOURCE_ID) {
+      return feishuApiService;
+    }
+
+    const service = this.services.get(sourceId);
+    if (!service) {
+      throw ErrorHandler.createError(`数据源不存在: ${sourceId}`, ERROR_CODES.CONFIG_ERROR, 'PromptSourceRegistry.getService');
+    }
+    return service;
+  }
+
+  /**
+   * 获取可写入数据源的API服务，只读数据源拒绝写入
+   */
+  getWritableService(sourceId = DEFAULT_SOURCE_ID) {
+    const source = this.get(sourceId);
+    if (source && !source.writable) {
+      throw ErrorHandler.createError(`数据源「${source.name}」为只读，不能修改提示词`, ERROR_CODES.CONFIG_ERROR, 'PromptSourceRegistry.getWritableService');
+    }
+    return this.getService(sourceId);
+  }
+
+  /**
+   * 清除所有数据源的令牌缓存
+   */
+  clearCache() {
+    this.services.forEach(service => service.clearCache());
+  }
+}
+
+// 创建单例实例
+export const promptSources = new PromptSourceRegistry();
+
+// 默认导出
+export default PromptSourceRegistry;
@@ -0,0 +1,372 @@
+// PromptMaster 提示词模板模块
+// 解析提示词内容中的 {{变量}} 占位符，生成填写表单的字段定义，并用填写的值渲染内容；
+// {{> 别名}} 引用其他提示词，渲染前先展开；{{#if}}、{{#each}} 块按填写的值保留或重复内容。
+// 模板只做文本替换，不执行任何代码，在扩展页面的 CSP 下可以直接使用
+
+/**
+ * 变量类型：单行文本、多行文本、下拉选项、数字
+ */
+export const TEMPLATE_FIELD_TYPES = ['text', 'multiline', 'select', 'number'];
+
+/**
+ * 内置的页面上下文变量，插入时由页面读取，不出现在填写表单中
+ */
+export const CONTEXT_VARIABLES = {
+  selection: '选中文字',
+  'page.title': '页面标题',
+  'page.url': '页面地址',
+  'page.text': '页面正文',
+  clipboard: '剪贴板',
+  date: '日期',
+  lang: '页面语言',
+  response: '最新回复'
+};
+
+// 类型的其他写法
+const TYPE_ALIASES = {
+  textarea: 'multiline',
+  options: 'select'
+};
+
+// {{name}}、{{name:默认值}}、{{name|multiline}}、{{name:默认值|select:选项1,选项2}}
+// 以 > # / 开头的留给其他模板语法
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|:>#/\s][^{}|:]*?)\s*(?::([^{}|]*))?(?:\|\s*([a-z]+)\s*(?::([^{}]*))?)?\}\}/giu;
+
+// {{#if 变量}}、{{#each 变量}}、{{/if}}、{{/each}}、{{else}}
+const BLOCK_TAG_PATTERN = /\{\{\s*(?:([#/])\s*([a-z]*)\s*([^{}]*?)|(else))\s*\}\}/giu;
+
+/**
+ * 支持的块
+ */
+export const TEMPLATE_BLOCK_TYPES = ['if', 'each'];
+
+// {{#each}} 中表示当前项和序号（从 1 开始）的变量，以及 {{else}}，不作为需要填写的变量
+const RESERVED_NAMES = ['this', '@index', 'else'];
+
+// {{#if}} 中视为“否”的值，其余非空值都视为“是”
+const FALSY_VALUES = ['false', '0', 'no', '否'];
+
+// {{> 别名}}
+const INCLUDE_PATTERN = /\{\{>\s*([^{}]+?)\s*\}\}/g;
+
+// 引用的最大嵌套层数
+const MAX_INCLUDE_DEPTH = 10;
+
+function normalizeType(type) {
+  const value = String(type || '').toLowerCase();
+  const normalized = TYPE_ALIASES[value] || value;
+  return TEMPLATE_FIELD_TYPES.includes(normalized) ? normalized : 'text';
+}
+
+function splitOptions(options) {
+  if (Array.isArray(options)) return options.map(String).filter(Boolean);
+  return String(options || '').split(/[,，]/).map(option => option.trim()).filter(Boolean);
+}
+
+/**
+ * 内容是否包含变量占位符或块
+ */
+export function hasTemplateVariables(content) {
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  BLOCK_TAG_PATTERN.lastIndex = 0;
+  return PLACEHOLDER_PATTERN.test(String(content || '')) || BLOCK_TAG_PATTERN.test(String(content || ''));
+}
+
+function isContextVariable(name) {
+  return Object.hasOwn(CONTEXT_VARIABLES, name);
+}
+
+/**
+ * 内容中的全部占位符和块使用的变量，按首次出现的顺序
+ * {{#each}} 的变量默认为多行文本，每行一项
+ */
+function collectPlaceholders(content) {
+  const text = String(content || '');
+  const fields = new Map();
+
+  const placeholders = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => ({
+    index: match.index,
+    name: match[1],
+    defaultValue: match[2],
+    type: match[3],
+    options: match[4]
+  }));
+  const blockVariables = [...text.matchAll(BLOCK_TAG_PATTERN)]
+    .filter(match => match[1] === '#' && TEMPLATE_BLOCK_TYPES.includes(match[2].toLowerCase()) && match[3])
+    .map(match => ({ index: match.index, name: match[3], type: match[2].toLowerCase() === 'each' ? 'multiline' : undefined }));
+
+  const matches = [...placeholders, ...blockVariables].sort((a, b) => a.index - b.index);
+  for (const { name, defaultValue, type, options } of matches) {
+    if (RESERVED_NAMES.includes(name)) continue;
+
+    const field = fields.get(name) || { name, label: name, type: 'text', default: '', options: [] };
+
+    // 同一变量出现多次时，以第一次写明的默认值和类型为准
+    if (defaultValue !== undefined && !field.default) {
+      field.default = defaultValue.trim();
+    }
+    if (type && field.type === 'text') {
+      field.type = normalizeType(type);
+      field.options = field.type === 'select' ? splitOptions(options) : [];
+    }
+
+    fields.set(name, field);
+  }
+
+  return fields;
+}
+
+/**
+ * 内容中使用的上下文变量，{{selection:默认值}} 中的默认值在读取不到时使用
+ * @returns {Array<{name: string, label: string, default: string}>}
+ */
+export function parseContextVariables(content) {
+  return [...collectPlaceholders(content).values()]
+    .filter(field => isContextVariable(field.name))
+    .map(field => ({ name: field.name, label: CONTEXT_VARIABLES[field.name], default: field.default }));
+}
+
+/**
+ * 解析内容中需要填写的变量，按首次出现的顺序返回字段定义，上下文变量不在其中
+ * declared 为提示词的 variables 字段，可以是变量名，也可以是 {name, label, type, default, options} 对象，
+ * 只补充内容中出现的变量的说明
+ * @returns {Array<{name: string, label: string, type: string, default: string, options: string[]}>}
+ */
+export function parseTemplate(content, declared = []) {
+  const fields = collectPlaceholders(content);
+  [...fields.keys()].forEach(name => {
+    if (isContextVariable(name)) fields.delete(name);
+  });
+
+  (Array.isArray(declared) ? declared : []).forEach(item => {
+    const meta = typeof item === 'string' ? { name: item } : item;
+    const field = meta && fields.get(meta.name);
+    if (!field) return;
+
+    if (meta.label) field.label = String(meta.label);
+    if (meta.default !== undefined && !field.default) field.default = String(meta.default);
+    if (meta.type && field.type === 'text') {
+      field.type = normalizeType(meta.type);
+      field.options = field.type === 'select' ? splitOptions(meta.options) : [];
+    }
+  });
+
+  // 下拉选项的默认值取第一个选项
+  fields.forEach(field => {
+    if (field.type === 'select' && !field.default && field.options.length > 0) {
+      field.default = field.options[0];
+    }
+  });
+
+  return [...fields.values()];
+}
+
+/**
+ * 检查填写的值，数字变量必须是数字，下拉变量必须是其中一个选项
+ * @returns {string[]} 错误信息，为空表示通过
+ */
+export function validateTemplateValues(fields, values = {}) {
+  const errors = [];
+
+  fields.forEach(field => {
+    const value = Object.hasOwn(values, field.name) ? values[field.name] : undefined;
+    if (value === undefined || value === '') return;
+
+    if (field.type === 'number' && !Number.isFinite(Number(value))) {
+      errors.push(`「${field.label}」需要填写数字`);
+    }
+    if (field.type === 'select' && field.options.length > 0 && !field.options.includes(String(value))) {
+      errors.push(`「${field.label}」只能选择：${field.options.join('、')}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 把内容切分为文本和块组成的树
+ * 单独占一行的块标签连同所在的行一起去掉，不在结果中留下空行
+ * @returns {{nodes: Array, errors: string[]}}
+ */
+function parseBlocks(content) {
+  const text = String(content || '');
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const errors = [];
+  let last = 0;
+
+  const lineOf = index => text.slice(0, index).split('\n').length;
+  const append = node => {
+    const current = stack[stack.length - 1];
+    (current.inElse ? current.alternate : current.children).push(node);
+  };
+
+  for (const match of text.matchAll(BLOCK_TAG_PATTERN)) {
+    const [raw, marker, keyword = '', argument = '', elseTag] = match;
+    const type = keyword.toLowerCase();
+    const line = lineOf(match.index);
+    const current = stack[stack.length - 1];
+
+    let start = match.index;
+    let end = match.index + raw.length;
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const trailing = /^[ \t]*(?:\r?\n|$)/.exec(text.slice(end));
+    if (lineStart >= last && /^[ \t]*$/.test(text.slice(lineStart, start)) && trailing) {
+      start = lineStart;
+      end += trailing[0].length;
+    }
+
+    append(text.slice(last, start));
+    last = end;
+
+    if (elseTag) {
+      if (current.type !== 'if' || current.inElse) {
+        errors.push(`第 ${line} 行：{{else}} 只能用在 {{#if}} 中`);
+      } else {
+        current.inElse = true;
+      }
+    } else if (marker === '#') {
+      if (!TEMPLATE_BLOCK_TYPES.includes(type)) {
+        errors.push(`第 ${line} 行：不支持 {{#${keyword}}}，只能使用 ${TEMPLATE_BLOCK_TYPES.map(item => `{{#${item}}}`).join('、')}`);
+        append(raw);
+        continue;
+      }
+      if (!argument) {
+        errors.push(`第 ${line} 行：{{#${type}}} 缺少变量名`);
+      }
+      const node = { type, name: argument, line, children: [], alternate: [], inElse: false };
+      append(node);
+      stack.push(node);
+    } else if (current.type === type) {
+      stack.pop();
+    } else if (current.type === 'root') {
+      errors.push(`第 ${line} 行：多余的 {{/${keyword}}}`);
+    } else {
+      errors.push(`第 ${line} 行：{{/${keyword}}} 与第 ${current.line} 行的 {{#${current.type}}} 不匹配`);
+    }
+  }
+
+  append(text.slice(last));
+  stack.slice(1).forEach(node => {
+    errors.push(`第 ${node.line} 行：{{#${node.type} ${node.name}}} 没有对应的 {{/${node.type}}}`);
+  });
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * 检查模板语法：块是否成对、是否写了变量名、是否使用了不支持的块
+ * @returns {string[]} 错误信息，为空表示没有问题
+ */
+export function checkTemplateSyntax(content) {
+  return parseBlocks(content).errors;
+}
+
+function isTruthy(value) {
+  const text = String(value ?? '').trim();
+  return text !== '' && !FALSY_VALUES.includes(text.toLowerCase());
+}
+
+/**
+ * {{#each}} 的值：数组按原样使用，文本每行一项
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value ?? '').split('\n').map(item => item.trim()).filter(Boolean);
+}
+
+function renderNodes(nodes, scope, lookup) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = lookup(name, scope);
+        return value === undefined ? match : String(value);
+      });
+    }
+
+    if (node.type === 'if') {
+      return renderNodes(isTruthy(lookup(node.name, scope)) ? node.children : node.alternate, scope, lookup);
+    }
+
+    return toList(lookup(node.name, scope))
+      .map((item, index) => renderNodes(node.children, { ...scope, this: item, '@index': String(index + 1) }, lookup))
+      .join('');
+  }).join('');
+}
+
+/**
+ * 用填写的值和上下文变量的值渲染内容，没有值的变量使用默认值
+ * 模板语法有误时抛出错误
+ */
+export function renderTemplate(content, values = {}) {
+  const { nodes, errors } = parseBlocks(content);
+  if (errors.length > 0) {
+    throw new Error(`模板语法错误：${errors.join('；')}`);
+  }
+
+  const defaults = new Map(
+    [...parseContextVariables(content), ...parseTemplate(content)].map(field => [field.name, field.default])
+  );
+  const lookup = (name, scope) => {
+    const value = Object.hasOwn(scope, name) ? scope[name] : undefined;
+    if (value !== undefined && value !== null && value !== '') return value;
+    return defaults.get(name);
+  };
+
+  return renderNodes(nodes, values, lookup);
+}
+
+/**
+ * 别名的比较形式，不区分大小写和首尾空白
+ */
+export function normalizeAlias(alias) {
+  return String(alias || '').trim().toLowerCase();
+}
+
+/**
+ * 内容中引用的别名，按首次出现的顺序去重
+ */
+export function parseIncludes(content) {
+  const aliases = new Map();
+  for (const [, alias] of String(content || '').matchAll(INCLUDE_PATTERN)) {
+    const key = normalizeAlias(alias);
+    if (!aliases.has(key)) aliases.set(key, alias);
+  }
+  return [...aliases.values()];
+}
+
+/**
+ * 递归展开内容中引用的提示词
+ * lookup(alias) 返回别名对应的提示词，不存在时返回 null；chain 为已经展开的别名，传入当前提示词的别名
+ * 可以在引用回自身时立即发现循环。引用不存在或形成循环时抛出错误，错误信息中包含引用链
+ * @returns {{content: string, variables: Array}} 展开后的内容，以及被引用的提示词声明的变量说明
+ */
+export function expandIncludes(content, lookup, chain = []) {
+  const variables = [];
+
+  const expanded = String(content || '').replace(INCLUDE_PATTERN, (match, alias) => {
+    const path = [...chain, alias];
+
+    if (chain.some(item => normalizeAlias(item) === normalizeAlias(alias))) {
+      throw new Error(`提示词引用形成循环：${path.join(' → ')}`);
+    }
+    if (path.length > MAX_INCLUDE_DEPTH) {
+      throw new Error(`提示词引用超过 ${MAX_INCLUDE_DEPTH} 层：${path.join(' → ')}`);
+    }
+
+    const included = lookup(alias);
+    if (!included) {
+      throw new Error(chain.length > 0
+        ? `引用的提示词「${alias}」不存在（${path.join(' → ')}）`
+        : `引用的提示词「${alias}」不存在`);
+    }
+
+    const result = expandIncludes(included.content, lookup, path);
+    variables.push(...result.variables, ...(Array.isArray(included.variables) ? included.variables : []));
+    return result.content;
+  });
+
+  return { content: expanded, variables };
+}
+
+export default { parseTemplate, checkTemplateSyntax, parseContextVariables, validateTemplateValues, renderTemplate, hasTemplateVariables, parseIncludes, expandIncludes };
@@ -0,0 +1,410 @@
+// PromptMaster 搜索索引模块
+// 为本地提示词库建立倒排索引，支持中日韩文字二元切分、拼写容错、拼音匹配和按字段加权排序
+
+import { DEFAULT_SOURCE_ID } from './storage.js';
+import { preparePinyin, matchPinyin } from './pinyin.js';
+
+// 中日韩文字，按相邻两个字切分
+const CJK_CHARS = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff';
+const CJK_RUN = new RegExp(`^[${CJK_CHARS}]`, 'u');
+const TOKEN_PATTERN = new RegExp(`[${CJK_CHARS}]+|(?:(?![${CJK_CHARS}])[\\p{L}\\p{N}])+`, 'gu');
+
+/**
+ * 参与索引的字段及权重：标题 > 别名 > 标签 > 描述 > 内容
+ */
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  alias: 7,
+  tags: 5,
+  description: 2,
+  content: 1
+};
+
+// 匹配方式对应的得分系数
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  partial: 0.6,
+  fuzzy: 0.5
+};
+
+// 中文查询允许一个错字：一个错字最多影响相邻的两个二元词，其余二元词都要匹配，至少匹配一个
+// 例如「翻泽专家」的二元词为 翻泽、泽专、专家，只要求匹配 1 个即可找到「翻译专家」
+const CJK_TYPO_BIGRAMS = 2;
+
+// 内容摘要在第一个匹配位置前后保留的字数
+const SNIPPET_CONTEXT = 30;
+
+// 按拼音匹配的字段；查询词至少两个字母，避免单个字母匹配大量标题
+const PINYIN_FIELDS = ['title', 'alias'];
+const PINYIN_MIN_QUERY_LENGTH = 2;
+
+/**
+ * 统一大小写和全角字母数字，不改变字符串长度，高亮位置可以直接对应原文
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/[！-～]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+    .toLowerCase();
+}
+
+/**
+ * 切分为词，中日韩文字切分为相邻两个字，单个字单独成词
+ * @returns {Array<{term: string, start: number, end: number, cjk: boolean}>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  const normalized = normalizeText(text);
+
+  for (const match of normalized.matchAll(TOKEN_PATTERN)) {
+    const run = match[0];
+    const start = match.index;
+
+    if (!CJK_RUN.test(run)) {
+      tokens.push({ term: run, start, end: start + run.length, cjk: false });
+    } else if (run.length === 1) {
+      tokens.push({ term: run, start, end: start + 1, cjk: true });
+    } else {
+      for (let i = 0; i < run.length - 1; i++) {
+        tokens.push({ term: run.slice(i, i + 2), start: start + i, end: start + i + 2, cjk: true });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 编辑距离（含相邻字符交换），超过 maxDistance 时提前返回
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * 查询词允许的拼写错误数
+ */
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * 合并重叠或相邻的高亮区间
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * 提示词搜索索引类
+ * 倒排索引保存在内存中，提示词库变化后整体重建
+ */
+export class PromptSearchIndex {
+  constructor() {
+    this.documents = [];
+    this.postings = new Map();
+    this.terms = [];
+    this.pinyinFields = [];
+  }
+
+  /**
+   * 用提示词列表重建索引
+   */
+  build(prompts = []) {
+    this.documents = prompts;
+    this.postings = new Map();
+
+    prompts.forEach((prompt, docIndex) => {
+      Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+        this.fieldTexts(prompt, field).forEach(text => {
+          tokenize(text).forEach(({ term }) => {
+            let posting = this.postings.get(term);
+            if (!posting) {
+              posting = new Map();
+              this.postings.set(term, posting);
+            }
+            posting.set(docIndex, (posting.get(docIndex) || 0) + weight);
+          });
+        });
+      });
+    });
+
+    this.terms = [...this.postings.keys()];
+    this.pinyinFields = prompts.map(prompt =>
+      Object.fromEntries(PINYIN_FIELDS.map(field => [field, preparePinyin(prompt[field])]))
+    );
+    return this;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * 统计字段的取值，用于搜索补全
+   * @param {string} field category 或 tags
+   * @returns {Array<{value: string, count: number}>} 按出现次数排序
+   */
+  getFieldValues(field) {
+    const counts = new Map();
+
+    this.documents.forEach(prompt => {
+      const values = field === 'tags' ? this.fieldTexts(prompt, 'tags') : [prompt[field]];
+      new Set(values.filter(Boolean)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+
+    return [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  /**
+   * 字段文本，标签字段每个标签单独一项
+   */
+  fieldTexts(prompt, field) {
+    if (field === 'tags') {
+      return Array.isArray(prompt.tags) ? prompt.tags : [];
+    }
+    if (field === 'content') {
+      return [prompt.content || prompt.prompt || ''];
+    }
+    return [prompt[field] || ''];
+  }
+
+  /**
+   * 找出与查询词匹配的索引词
+   * 完全匹配优先；拉丁文字还匹配前缀和拼写相近的词，单个汉字匹配包含它的二元词
+   * @returns {Map<string, {quality: number, offset: number, length: number}>}
+   */
+  matchTerms(queryToken) {
+    const { term, cjk } = queryToken;
+    const matches = new Map();
+
+    if (this.postings.has(term)) {
+      matches.set(term, { quality: MATCH_QUALITY.exact, offset: 0, length: term.length });
+    }
+
+    if (cjk) {
+      if (term.length === 1) {
+        this.terms.forEach(candidate => {
+          const offset = candidate.indexOf(term);
+          if (candidate !== term && offset !== -1) {
+            matches.set(candidate, { quality: MATCH_QUALITY.partial, offset, length: 1 });
+          }
+        });
+      }
+      return matches;
+    }
+
+    const maxTypos = allowedTypos(term);
+    this.terms.forEach(candidate => {
+      if (candidate === term || CJK_RUN.test(candidate)) return;
+
+      if (term.length >= 2 && candidate.startsWith(term)) {
+        matches.set(candidate, { quality: MATCH_QUALITY.prefix, offset: 0, length: term.length });
+      } else if (maxTypos > 0 && editDistance(term, candidate, maxTypos) <= maxTypos) {
+        matches.set(candidate, { quality: MATCH_QUALITY.fuzzy, offset: 0, length: candidate.length });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * 用拼音或首字母匹配标题和别名
+   * @returns {Map<number, {score: number, ranges: Object}>} 文档序号到得分和各字段高亮区间
+   */
+  matchPinyinTerm(term) {
+    const matches = new Map();
+    if (term.length < PINYIN_MIN_QUERY_LENGTH || !/^[a-z]+$/.test(term)) return matches;
+
+    this.pinyinFields.forEach((fields, docIndex) => {
+      PINYIN_FIELDS.forEach(field => {
+        const match = matchPinyin(term, fields[field]);
+        if (!match) return;
+
+        const entry = matches.get(docIndex) || { quality: 0, weight: 0, ranges: {} };
+        if (match.quality * SEARCH_FIELD_WEIGHTS[field] > entry.quality * entry.weight) {
+          entry.quality = match.quality;
+          entry.weight = SEARCH_FIELD_WEIGHTS[field];
+        }
+        entry.ranges[field] = match.ranges;
+        matches.set(docIndex, entry);
+      });
+    });
+
+    const idf = Math.log(1 + this.documents.length / Math.max(1, matches.size));
+    matches.forEach(entry => {
+      entry.score = entry.quality * idf * (1 + Math.log(entry.weight));
+    });
+
+    return matches;
+  }
+
+  /**
+   * 搜索
+   * 拉丁文字的每个查询词都要匹配，也可以按拼音匹配中文标题；中文查询允许部分二元词未匹配
+   * @param {string} query
+   * @param {Object} options { filter: {sourceId, category, tag, match}, limit }
+   * @returns {Array<Object>} 按得分排序的提示词，附带 score 和 highlights
+   */
+  search(query, options = {}) {
+    const { filter = {}, limit = 50 } = options;
+    const queryTokens = [...new Map(tokenize(query).map(token => [token.term, token])).values()];
+    if (queryTokens.length === 0) return [];
+
+    const latinCount = queryTokens.filter(token => !token.cjk).length;
+    const cjkCount = queryTokens.length - latinCount;
+    const requiredCjk = cjkCount > 0 ? Math.max(1, cjkCount - CJK_TYPO_BIGRAMS) : 0;
+    const candidates = new Map();
+
+    queryTokens.forEach(token => {
+      const contributions = new Map();
+
+      this.matchTerms(token).forEach((match, term) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + this.documents.length / posting.size);
+
+        posting.forEach((weight, docIndex) => {
+          const score = match.quality * idf * (1 + Math.log(weight));
+          const best = contributions.get(docIndex);
+          if (!best || score > best.score) {
+            contributions.set(docIndex, { score, terms: best ? best.terms : new Map() });
+          }
+          contributions.get(docIndex).terms.set(term, match);
+        });
+      });
+
+      if (!token.cjk) {
+        this.matchPinyinTerm(token.term).forEach(({ score, ranges }, docIndex) => {
+          const best = contributions.get(docIndex) || { score: 0, terms: new Map() };
+          contributions.set(docIndex, { ...best, score: Math.max(best.score, score), pinyin: ranges });
+        });
+      }
+
+      contributions.forEach(({ score, terms, pinyin }, docIndex) => {
+        const candidate = candidates.get(docIndex) || { score: 0, latin: 0, cjk: 0, terms: new Map(), pinyin: [] };
+        candidate.score += score;
+        candidate[token.cjk ? 'cjk' : 'latin']++;
+        terms.forEach((match, term) => candidate.terms.set(term, match));
+        if (pinyin) candidate.pinyin.push(pinyin);
+        candidates.set(docIndex, candidate);
+      });
+    });
+
+    const results = [];
+    candidates.forEach((candidate, docIndex) => {
+      if (candidate.latin < latinCount || candidate.cjk < requiredCjk) return;
+
+      const prompt = this.documents[docIndex];
+      if (filter.sourceId && (prompt.sourceId || DEFAULT_SOURCE_ID) !== filter.sourceId) return;
+      if (filter.category && prompt.category !== filter.category) return;
+      if (filter.tag && !(prompt.tags || []).includes(filter.tag)) return;
+      if (filter.match && !filter.match(prompt)) return;
+
+      results.push({ prompt, candidate });
+    });
+
+    results.sort((a, b) =>
+      b.candidate.score - a.candidate.score || (b.prompt.priority || 0) - (a.prompt.priority || 0)
+    );
+
+    return results.slice(0, limit).map(({ prompt, candidate }) => ({
+      ...prompt,
+      score: Math.round(candidate.score * 1000) / 1000,
+      highlights: this.buildHighlights(prompt, candidate.terms, candidate.pinyin)
+    }));
+  }
+
+  /**
+   * 计算各字段的高亮区间，内容另外生成第一个匹配位置附近的摘要
+   * pinyinMatches 为拼音匹配到的标题和别名区间，与索引词的区间合并
+   * @returns {{title: Array, alias: Array, description: Array, tags: Array<Array>, content: Array, snippet: {text: string, ranges: Array}}}
+   */
+  buildHighlights(prompt, matchedTerms, pinyinMatches = []) {
+    const rangesOf = (text, extraRanges = []) => mergeRanges([
+      ...tokenize(text)
+        .filter(({ term }) => matchedTerms.has(term))
+        .map(({ term, start }) => {
+          const { offset, length } = matchedTerms.get(term);
+          return [start + offset, start + offset + length];
+        }),
+      ...extraRanges
+    ]);
+    const pinyinRangesOf = field => pinyinMatches.flatMap(ranges => ranges[field] || []);
+
+    const content = this.fieldTexts(prompt, 'content')[0];
+    const contentRanges = rangesOf(content);
+
+    return {
+      title: rangesOf(prompt.title, pinyinRangesOf('title')),
+      alias: rangesOf(prompt.alias, pinyinRangesOf('alias')),
+      description: rangesOf(prompt.description),
+      tags: this.fieldTexts(prompt, 'tags').map(tag => rangesOf(tag)),
+      content: contentRanges,
+      snippet: this.buildSnippet(content, contentRanges)
+    };
+  }
+
+  buildSnippet(text, ranges) {
+    if (ranges.length === 0) {
+      return { text: text.slice(0, SNIPPET_CONTEXT * 2), ranges: [] };
+    }
+
+    const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, ranges[0][1] + SNIPPET_CONTEXT);
+    // 截断处加省略号，区间随之后移
+    const prefix = start > 0 ? '…' : '';
+
+    return {
+      text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+      ranges: ranges
+        .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+        .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length])
+    };
+  }
+}
+
+// 创建单例实例
+export const promptSearchIndex = new PromptSearchIndex();
+
+// 默认导出
+export default PromptSearchIndex;
@@ -0,0 +1,144 @@
+// PromptMaster 搜索语法模块
+// 解析 cat:编程 tag:review is:fav "code review" 形式的查询，拆分出关键词、短语和筛选条件
+
+/**
+ * 筛选前缀及其别名
+ */
+export const SEARCH_QUERY_KEYS = {
+  cat: 'category',
+  category: 'category',
+  分类: 'category',
+  tag: 'tag',
+  标签: 'tag',
+  src: 'source',
+  source: 'source',
+  来源: 'source',
+  is: 'is'
+};
+
+/**
+ * is: 支持的状态
+ */
+export const SEARCH_FLAGS = {
+  fav: 'favorite',
+  favorite: 'favorite',
+  收藏: 'favorite'
+};
+
+// 前缀:值、前缀:"带空格的值"、"短语" 或普通词；未闭合的引号视为到结尾为止
+const QUERY_TOKEN_PATTERN = /([^\s:"]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gu;
+
+/**
+ * 切分查询，记录每一项在原文中的位置
+ * @returns {Array<{type: 'filter'|'phrase'|'word', key?: string, value: string, start: number, end: number}>}
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+
+  for (const match of String(query || '').matchAll(QUERY_TOKEN_PATTERN)) {
+    const [raw, prefix, quotedValue, plainValue, phrase, word] = match;
+    const start = match.index;
+    const end = start + raw.length;
+
+    if (prefix !== undefined) {
+      const key = SEARCH_QUERY_KEYS[prefix.toLowerCase()];
+      if (key) {
+        tokens.push({ type: 'filter', key, value: (quotedValue ?? plainValue).trim(), start, end });
+      } else {
+        // 未知前缀按普通文字处理，例如链接中的冒号
+        tokens.push({ type: 'word', value: raw, start, end });
+      }
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) {
+        tokens.push({ type: 'phrase', value: phrase.trim(), start, end });
+      }
+    } else {
+      tokens.push({ type: 'word', value: word, start, end });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 解析搜索查询
+ * 同一前缀出现多次时：分类满足其中任意一个，标签需要全部包含
+ * 不认识的 is: 状态忽略
+ * @returns {{text: string, phrases: string[], categories: string[], tags: string[], sources: string[], favorite: boolean}}
+ */
+export function parseSearchQuery(query) {
+  const parsed = {
+    text: '',
+    phrases: [],
+    categories: [],
+    tags: [],
+    sources: [],
+    favorite: false
+  };
+  const words = [];
+
+  tokenizeQuery(query).forEach(token => {
+    if (token.type === 'word') {
+      words.push(token.value);
+      return;
+    }
+    if (token.type === 'phrase') {
+      parsed.phrases.push(token.value);
+      return;
+    }
+    // 正在输入、还没有值的前缀不参与筛选
+    if (!token.value) return;
+
+    switch (token.key) {
+      case 'category':
+        parsed.categories.push(token.value);
+        break;
+      case 'tag':
+        parsed.tags.push(token.value);
+        break;
+      case 'source':
+        parsed.sources.push(token.value);
+        break;
+      case 'is':
+        if (SEARCH_FLAGS[token.value.toLowerCase()] === 'favorite') {
+          parsed.favorite = true;
+        }
+        break;
+    }
+  });
+
+  parsed.text = words.join(' ');
+  return parsed;
+}
+
+/**
+ * 查询末尾正在输入的筛选前缀，用于补全
+ * 光标前是空白时不补全
+ * @returns {{key: string, prefix: string, value: string, start: number, end: number}|null}
+ */
+export function getCompletionContext(query) {
+  const text = String(query || '');
+  if (!text || /\s$/.test(text)) return null;
+
+  const tokens = tokenizeQuery(text);
+  const last = tokens[tokens.length - 1];
+  if (!last || last.type !== 'filter' || last.end !== text.length) return null;
+
+  return {
+    key: last.key,
+    prefix: text.slice(last.start, text.indexOf(':', last.start)),
+    value: last.value,
+    start: last.start,
+    end: last.end
+  };
+}
+
+/**
+ * 生成筛选项文本，值包含空白或引号时加引号
+ */
+export function formatFilterToken(prefix, value) {
+  const text = String(value).replace(/"/g, '');
+  return /\s/.test(text) ? `${prefix}:"${text}"` : `${prefix}:${text}`;
+}
+
+export default { parseSearchQuery, getCompletionContext, formatFilterToken };
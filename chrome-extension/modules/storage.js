@@ -1,8 +1,254 @@
 // PromptMaster 存储管理模块
 // 处理Chrome扩展的存储和数据管理
 
-import { CONFIG, DEFAULT_SETTINGS, MESSAGE_TYPES } from './config.js';
+import { CONFIG, DEFAULT_SETTINGS, MESSAGE_TYPES, ERROR_CODES } from './config.js';
 import { Logger, ErrorHandler, TimeUtils } from './utils.js';
+import { FieldMapping } from './field-mapping.js';
+import { credentialVault } from './credential-vault.js';
+import { promptDatabase } from './prompt-db.js';
+
+// 旧版本保存在 local 存储中的同步状态，迁移到本地数据库后删除
+const SYNC_SOURCE_KEY = 'permanentPromptsSource';
+
+// 本地数据库元数据中的同步状态，以及各数据源统计的键前缀
+const SYNC_STATES_META_KEY = 'syncStates';
+const SOURCE_META_PREFIX = 'source:';
+
+// 主配置对应的默认数据源
+export const DEFAULT_SOURCE_ID = 'default';
+
+// 飞书账号登录获得的用户令牌，保存在 local 存储中
+const USER_TOKEN_KEY = 'promptmaster_user_token';
+
+// 加密保存在凭据保险库中、不写入 sync 存储的字段
+const SECRET_FIELDS = ['appId', 'appSecret'];
+
+// 离线写入队列，保存在 local 存储中
+const OUTBOX_KEY = 'promptmaster_outbox';
+
+// 队列中保留的已同步记录数量，供弹窗展示最近的同步结果
+const OUTBOX_SYNCED_LIMIT = 20;
+
+// 收藏的提示词，保存在 sync 存储中，按 数据源:ID 记录
+const FAVORITES_KEY = 'promptmaster_favorites';
+
+// 各提示词上次填写的模板变量，保存在 local 存储中，只保留最近使用的若干个
+const TEMPLATE_VALUES_KEY = 'promptmaster_template_values';
+const TEMPLATE_VALUES_LIMIT = 100;
+
+// chrome.storage.sync 的配额：总量 100 KB，单项 8 KB，最多 512 项
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+const SYNC_MAX_ITEMS = 512;
+
+// chrome.storage.local 的配额
+const LOCAL_QUOTA_BYTES = 10485760;
+
+// 只在本机使用的数据保存在 local 存储，不占用 sync 配额
+const LOCAL_ROUTED_KEYS = [CONFIG.STORAGE_KEYS.CACHE, CONFIG.STORAGE_KEYS.LAST_REFRESH_TIME];
+
+// 超过单项配额的值拆成多个分片，sync 总配额不足时转存到 local，原键只保存标记
+const STORAGE_MARKER = '__promptmasterStorage';
+const SHARD_KEY_SEPARATOR = '__shard_';
+const SYNC_OVERFLOW_PREFIX = 'promptmaster_sync_overflow:';
+
+// 存储用量报告中显示的名称
+const STORAGE_KEY_LABELS = {
+  [CONFIG.STORAGE_KEYS.SETTINGS]: '插件设置',
+  [CONFIG.STORAGE_KEYS.FEISHU_CONFIG]: '飞书配置',
+  [CONFIG.STORAGE_KEYS.CONFIG_MODE]: '配置模式',
+  [CONFIG.STORAGE_KEYS.RECENT_PROMPTS]: '最近使用',
+  [CONFIG.STORAGE_KEYS.CACHE]: '缓存',
+  [CONFIG.STORAGE_KEYS.LAST_REFRESH_TIME]: '最后刷新时间',
+  [FAVORITES_KEY]: '收藏'
+};
+
+// 存储结构版本，保存在 local 存储中
+const SCHEMA_VERSION_KEY = 'promptmaster_schema_version';
+
+// 每次迁移前的备份快照，保存在 local 存储中，保留最近几份
+const SCHEMA_BACKUPS_KEY = 'promptmaster_schema_backups';
+const SCHEMA_BACKUP_LIMIT = 5;
+
+/**
+ * 存储结构迁移步骤，按版本号从小到大执行
+ * 修改已保存数据的结构时在末尾追加一步，不要修改已发布的步骤
+ * keys 列出该步骤会修改的存储键，执行前为这些键保存备份快照
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: '设置补全新增的默认项',
+    keys: { sync: [CONFIG.STORAGE_KEYS.SETTINGS] },
+    async migrate(context) {
+      const settings = await context.get('sync', CONFIG.STORAGE_KEYS.SETTINGS);
+      if (!settings || Object.keys(DEFAULT_SETTINGS).every(key => key in settings)) return;
+
+      await context.set('sync', CONFIG.STORAGE_KEYS.SETTINGS, { ...DEFAULT_SETTINGS, ...settings });
+    }
+  },
+  {
+    version: 2,
+    description: '最近使用的提示词记录所属数据源',
+    keys: { sync: [CONFIG.STORAGE_KEYS.RECENT_PROMPTS] },
+    async migrate(context) {
+      const recent = await context.get('sync', CONFIG.STORAGE_KEYS.RECENT_PROMPTS);
+      if (!Array.isArray(recent) || recent.every(item => item.sourceId)) return;
+
+      await context.set('sync', CONFIG.STORAGE_KEYS.RECENT_PROMPTS, recent.map(item => ({
+        ...item,
+        sourceId: item.sourceId || DEFAULT_SOURCE_ID
+      })));
+    }
+  },
+  {
+    version: 3,
+    description: '访问令牌按 App ID 分别保存',
+    keys: { local: [CONFIG.STORAGE_KEYS.ACCESS_TOKEN] },
+    async migrate(context) {
+      const stored = await context.get('local', CONFIG.STORAGE_KEYS.ACCESS_TOKEN);
+      if (!stored?.token) return;
+
+      // 没有记录 App ID 的令牌无法确定归属，删除后重新获取
+      if (stored.appId) {
+        await context.set('local', CONFIG.STORAGE_KEYS.ACCESS_TOKEN, { [stored.appId]: stored });
+      } else {
+        await context.remove('local', CONFIG.STORAGE_KEYS.ACCESS_TOKEN);
+      }
+    }
+  },
+  {
+    version: 4,
+    description: '永久提示词迁移到本地数据库',
+    keys: { local: [CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS, SYNC_SOURCE_KEY] },
+    async migrate(context) {
+      const meta = await context.get('local', CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS);
+      const syncStates = await context.get('local', SYNC_SOURCE_KEY);
+      if (!meta && !syncStates) return;
+
+      // 分片数据在写入本地数据库之后才会删除，快照中只需保存索引
+      await context.run('将分片数据和同步状态写入本地数据库', () => context.storage.migrateLegacyPermanentPrompts());
+    }
+  },
+  {
+    version: 5,
+    description: '缓存和最后刷新时间改为保存在本机',
+    // 数据写入 local 之后才从 sync 中删除，不需要快照
+    async migrate(context) {
+      await context.run('将 sync 存储中的缓存和最后刷新时间移到 local 存储', () => context.storage.moveSyncKeysToLocal(LOCAL_ROUTED_KEYS));
+    }
+  }
+];
+
+// 当前扩展使用的存储结构版本
+export const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 按 chrome.storage 的计算方式统计一项占用的字节数：键名加上值的 JSON 字符串
+ */
+function storageItemBytes(key, value) {
+  return textEncoder.encode(key).length + textEncoder.encode(JSON.stringify(value)).length;
+}
+
+function toPercent(bytes, quota) {
+  return quota > 0 ? Math.round(bytes / quota * 1000) / 10 : 0;
+}
+
+function shardKey(key, index) {
+  return `${key}${SHARD_KEY_SEPARATOR}${index}`;
+}
+
+/**
+ * 分片标记对应的全部分片键
+ */
+function shardKeysOf(key, marker) {
+  if (marker?.[STORAGE_MARKER] !== 'shards') return [];
+  return Array.from({ length: marker.count }, (_, index) => shardKey(key, index));
+}
+
+/**
+ * 把序列化后的值拆成不超过单项配额的分片，不拆开代理对
+ */
+function splitIntoShards(key, serialized) {
+  const shards = [];
+  let start = 0;
+
+  while (start < serialized.length) {
+    let length = Math.min(serialized.length - start, Math.floor(SYNC_QUOTA_BYTES_PER_ITEM / 3));
+    while (storageItemBytes(shardKey(key, shards.length), serialized.slice(start, start + length)) > SYNC_QUOTA_BYTES_PER_ITEM) {
+      length = Math.floor(length * 0.8);
+    }
+
+    const lastCode = serialized.charCodeAt(start + length - 1);
+    if (length > 1 && lastCode >= 0xd800 && lastCode <= 0xdbff) {
+      length--;
+    }
+
+    shards.push(serialized.slice(start, start + length));
+    start += length;
+  }
+
+  return shards;
+}
+
+/**
+ * 迁移步骤读写存储的上下文
+ * 试运行时写入只保存在内存中，后续步骤读取到的是前面步骤修改后的数据
+ */
+class MigrationContext {
+  constructor(storage, dryRun) {
+    this.storage = storage;
+    this.dryRun = dryRun;
+    this.pending = { sync: new Map(), local: new Map() };
+    this.changes = [];
+  }
+
+  async get(area, key) {
+    if (this.pending[area].has(key)) {
+      return this.pending[area].get(key);
+    }
+
+    const result = area === 'sync' ? await this.storage.storageGet([key]) : await this.storage.localGet([key]);
+    return result[key];
+  }
+
+  async set(area, key, value) {
+    this.changes.push({ action: 'set', area, key });
+
+    if (this.dryRun) {
+      this.pending[area].set(key, value);
+    } else if (area === 'sync') {
+      await this.storage.storageSet({ [key]: value });
+    } else {
+      await this.storage.localSet({ [key]: value });
+    }
+  }
+
+  async remove(area, key) {
+    this.changes.push({ action: 'remove', area, key });
+
+    if (this.dryRun) {
+      this.pending[area].set(key, undefined);
+    } else if (area === 'sync') {
+      await this.storage.storageRemove([key]);
+    } else {
+      await this.storage.localRemove([key]);
+    }
+  }
+
+  /**
+   * 执行不经过上下文读写的操作，试运行时只记录说明
+   */
+  async run(description, task) {
+    this.changes.push({ action: 'run', description });
+
+    if (!this.dryRun) {
+      await task();
+    }
+  }
+}
 
 /**
  * 存储管理类
@@ -10,16 +256,37 @@ import { Logger, ErrorHandler, TimeUtils } from './utils.js';
 export class StorageManager {
   constructor() {
     this.initialized = false;
+    this.initRequest = null;
     this.cache = new Map();
+    this.outboxLock = Promise.resolve();
   }
 
   /**
    * 初始化存储管理器
+   * 多个事件同时触发初始化时共享同一次初始化，避免重复执行迁移
    */
   async init() {
     if (this.initialized) return;
 
+    if (!this.initRequest) {
+      this.initRequest = this.runInit().finally(() => {
+        this.initRequest = null;
+      });
+    }
+
+    return this.initRequest;
+  }
+
+  async runInit() {
     try {
+      // 先把已保存的数据升级到当前结构
+      try {
+        await this.runMigrations();
+      } catch (error) {
+        // 失败的步骤已恢复备份，继续使用旧结构的数据，下次启动重试
+        Logger.error('存储结构迁移未完成', { error });
+      }
+
       // 加载基本配置到缓存
       await this.loadSettings();
       await this.loadFeishuConfig();
@@ -33,12 +300,126 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 存储结构版本
+   */
+  async getSchemaVersion() {
+    const result = await this.localGet([SCHEMA_VERSION_KEY]);
+    return result[SCHEMA_VERSION_KEY] || 0;
+  }
+
+  /**
+   * 依次执行尚未执行的迁移步骤
+   * 每一步执行前保存备份快照，失败时恢复快照并停止，已完成的步骤保留
+   * @param {Object} options { dryRun } 试运行时不修改存储，只返回各步骤将要进行的修改
+   * @returns {Promise<{fromVersion: number, toVersion: number, dryRun: boolean, steps: Array}>}
+   */
+  async runMigrations({ dryRun = false } = {}) {
+    const fromVersion = await this.getSchemaVersion();
+    const steps = [];
+    let version = fromVersion;
+
+    if (fromVersion > SCHEMA_VERSION) {
+      Logger.warn('存储结构版本高于当前扩展，跳过迁移', { fromVersion, latest: SCHEMA_VERSION });
+      return { fromVersion, toVersion: fromVersion, dryRun, steps };
+    }
+
+    const context = new MigrationContext(this, dryRun);
+
+    for (const migration of SCHEMA_MIGRATIONS.filter(step => step.version > fromVersion)) {
+      const backup = dryRun ? null : await this.createSchemaBackup(migration, version);
+
+      try {
+        await migration.migrate(context);
+      } catch (error) {
+        if (backup) {
+          await this.restoreSchemaBackup(backup);
+        }
+        throw ErrorHandler.createError(
+          `存储结构迁移失败（${migration.description}）: ${error.message}`,
+          ERROR_CODES.UNKNOWN_ERROR,
+          'StorageManager.runMigrations'
+        );
+      }
+
+      steps.push({
+        version: migration.version,
+        description: migration.description,
+        changes: context.changes.splice(0)
+      });
+      version = migration.version;
+
+      if (!dryRun) {
+        await this.localSet({ [SCHEMA_VERSION_KEY]: version });
+        Logger.info('存储结构已迁移', { version, description: migration.description });
+      }
+    }
+
+    return { fromVersion, toVersion: version, dryRun, steps };
+  }
+
+  /**
+   * 保存迁移步骤涉及的存储键的快照，没有已保存的数据时不写入
+   */
+  async createSchemaBackup(migration, fromVersion) {
+    const { sync = [], local = [] } = migration.keys || {};
+    const backup = {
+      fromVersion,
+      toVersion: migration.version,
+      createdAt: Date.now(),
+      keys: { sync, local },
+      sync: sync.length > 0 ? await this.storageGet(sync) : {},
+      local: local.length > 0 ? await this.localGet(local) : {}
+    };
+
+    if (Object.keys(backup.sync).length > 0 || Object.keys(backup.local).length > 0) {
+      const backups = await this.getSchemaBackups();
+      await this.localSet({ [SCHEMA_BACKUPS_KEY]: [...backups, backup].slice(-SCHEMA_BACKUP_LIMIT) });
+    }
+
+    return backup;
+  }
+
+  async getSchemaBackups() {
+    const result = await this.localGet([SCHEMA_BACKUPS_KEY]);
+    return result[SCHEMA_BACKUPS_KEY] || [];
+  }
+
+  /**
+   * 恢复快照，快照中不存在的键视为迁移前没有数据，一并删除
+   */
+  async restoreSchemaBackup(backup) {
+    const removedSync = backup.keys.sync.filter(key => !(key in backup.sync));
+    const removedLocal = backup.keys.local.filter(key => !(key in backup.local));
+
+    if (Object.keys(backup.sync).length > 0) await this.storageSet(backup.sync);
+    if (removedSync.length > 0) await this.storageRemove(removedSync);
+    if (Object.keys(backup.local).length > 0) await this.localSet(backup.local);
+    if (removedLocal.length > 0) await this.localRemove(removedLocal);
+
+    Logger.warn('已恢复迁移前的备份', { fromVersion: backup.fromVersion, toVersion: backup.toVersion });
+  }
+
   /**
    * 通用存储操作
+   * 本机数据读写 local 存储，其余读写 sync 存储；分片和转存对调用方透明
    */
   async storageGet(keys) {
     try {
-      const result = await chrome.storage.sync.get(keys);
+      const localKeys = keys.filter(key => LOCAL_ROUTED_KEYS.includes(key));
+      const syncKeys = keys.filter(key => !LOCAL_ROUTED_KEYS.includes(key));
+      const result = localKeys.length > 0 ? await chrome.storage.local.get(localKeys) : {};
+
+      if (syncKeys.length > 0) {
+        const stored = await chrome.storage.sync.get(syncKeys);
+        for (const [key, value] of Object.entries(stored)) {
+          const resolved = await this.resolveSyncValue(key, value);
+          if (resolved !== undefined) {
+            result[key] = resolved;
+          }
+        }
+      }
+
       return result;
     } catch (error) {
       Logger.error('存储读取失败', { keys, error });
@@ -48,7 +429,23 @@ export class StorageManager {
 
   async storageSet(data) {
     try {
-      await chrome.storage.sync.set(data);
+      const localData = {};
+      let syncSnapshot = null;
+
+      for (const [key, value] of Object.entries(data)) {
+        if (LOCAL_ROUTED_KEYS.includes(key)) {
+          localData[key] = value;
+        } else {
+          // 每次写入只读取一次 sync 存储的全部内容，节省读取配额
+          syncSnapshot = syncSnapshot || await chrome.storage.sync.get(null);
+          await this.writeSyncValue(key, value, syncSnapshot);
+        }
+      }
+
+      if (Object.keys(localData).length > 0) {
+        await chrome.storage.local.set(localData);
+      }
+
       Logger.debug('存储写入成功', { keys: Object.keys(data) });
     } catch (error) {
       Logger.error('存储写入失败', { data, error });
@@ -58,7 +455,21 @@ export class StorageManager {
 
   async storageRemove(keys) {
     try {
-      await chrome.storage.sync.remove(keys);
+      const localKeys = keys.filter(key => LOCAL_ROUTED_KEYS.includes(key));
+      const syncKeys = keys.filter(key => !LOCAL_ROUTED_KEYS.includes(key));
+
+      if (syncKeys.length > 0) {
+        const stored = await chrome.storage.sync.get(syncKeys);
+        const shardKeys = syncKeys.flatMap(key => shardKeysOf(key, stored[key]));
+
+        await chrome.storage.sync.remove([...syncKeys, ...shardKeys]);
+        localKeys.push(...syncKeys.map(key => `${SYNC_OVERFLOW_PREFIX}${key}`));
+      }
+
+      if (localKeys.length > 0) {
+        await chrome.storage.local.remove(localKeys);
+      }
+
       Logger.debug('存储删除成功', { keys });
     } catch (error) {
       Logger.error('存储删除失败', { keys, error });
@@ -66,6 +477,139 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 还原 sync 中分片保存或转存到 local 的值
+   */
+  async resolveSyncValue(key, value) {
+    const location = value?.[STORAGE_MARKER];
+
+    if (location === 'shards') {
+      const shardKeys = shardKeysOf(key, value);
+      const shards = await chrome.storage.sync.get(shardKeys);
+      try {
+        return JSON.parse(shardKeys.map(shard => shards[shard] ?? '').join(''));
+      } catch (error) {
+        // 其他设备写入的分片还没有全部同步到本机
+        Logger.warn('分片数据不完整', { key });
+        return undefined;
+      }
+    }
+
+    if (location === 'local') {
+      const overflowKey = `${SYNC_OVERFLOW_PREFIX}${key}`;
+      const result = await chrome.storage.local.get([overflowKey]);
+      return result[overflowKey];
+    }
+
+    return value;
+  }
+
+  /**
+   * 写入 sync 存储的一项
+   * 超过单项配额时分片保存；写入后超过总配额或项数上限时转存到 local，只在本机可用
+   * @param {Object} stored sync 存储当前的全部内容，写入后同步更新，供同一批的下一项计算配额
+   */
+  async writeSyncValue(key, value, stored) {
+    const previousKeys = [key, ...shardKeysOf(key, stored[key])];
+    const overflowKey = `${SYNC_OVERFLOW_PREFIX}${key}`;
+    let entries = { [key]: value };
+
+    if (storageItemBytes(key, value) > SYNC_QUOTA_BYTES_PER_ITEM) {
+      const shards = splitIntoShards(key, JSON.stringify(value));
+      entries = Object.fromEntries(shards.map((shard, index) => [shardKey(key, index), shard]));
+      // 标记带上写入时间，每次写入都会触发原键的变化通知
+      entries[key] = { [STORAGE_MARKER]: 'shards', count: shards.length, updatedAt: Date.now() };
+    }
+
+    const remaining = Object.entries(stored).filter(([storedKey]) => !previousKeys.includes(storedKey));
+    const usedBytes = remaining.reduce((sum, [storedKey, storedValue]) => sum + storageItemBytes(storedKey, storedValue), 0);
+    const entryBytes = Object.entries(entries).reduce((sum, [entryKey, entryValue]) => sum + storageItemBytes(entryKey, entryValue), 0);
+
+    if (usedBytes + entryBytes > SYNC_QUOTA_BYTES || remaining.length + Object.keys(entries).length > SYNC_MAX_ITEMS) {
+      Logger.warn('sync 存储空间不足，改为保存在本机', { key, bytes: entryBytes });
+      await chrome.storage.local.set({ [overflowKey]: value });
+      entries = { [key]: { [STORAGE_MARKER]: 'local', updatedAt: Date.now() } };
+    }
+
+    await chrome.storage.sync.set(entries);
+
+    const staleKeys = previousKeys.filter(previousKey => !(previousKey in entries));
+    if (staleKeys.length > 0) {
+      await chrome.storage.sync.remove(staleKeys);
+    }
+    if (stored[key]?.[STORAGE_MARKER] === 'local' && entries[key]?.[STORAGE_MARKER] !== 'local') {
+      await chrome.storage.local.remove([overflowKey]);
+    }
+
+    staleKeys.forEach(staleKey => delete stored[staleKey]);
+    Object.assign(stored, entries);
+  }
+
+  /**
+   * 将旧版本写在 sync 存储中的本机数据移到 local 存储，local 中已有的数据优先
+   */
+  async moveSyncKeysToLocal(keys) {
+    const stored = await chrome.storage.sync.get(keys);
+    const movedKeys = Object.keys(stored);
+    if (movedKeys.length === 0) return;
+
+    const existing = await chrome.storage.local.get(movedKeys);
+    await chrome.storage.local.set({ ...stored, ...existing });
+    await chrome.storage.sync.remove(movedKeys);
+
+    Logger.info('本机数据已移到 local 存储', { keys: movedKeys });
+  }
+
+  /**
+   * 存储用量报告
+   * sync 存储按原键汇总分片，列出每项的字节数和占总配额的比例；local 存储和本地数据库只统计总量
+   */
+  async getStorageUsage() {
+    const syncItems = await chrome.storage.sync.get(null);
+    const items = new Map();
+
+    Object.entries(syncItems).forEach(([key, value]) => {
+      const separatorIndex = key.indexOf(SHARD_KEY_SEPARATOR);
+      const baseKey = separatorIndex === -1 ? key : key.slice(0, separatorIndex);
+      const item = items.get(baseKey) || { key: baseKey, label: STORAGE_KEY_LABELS[baseKey] || baseKey, bytes: 0, shards: 0, location: 'sync' };
+
+      item.bytes += storageItemBytes(key, value);
+      if (separatorIndex !== -1) {
+        item.shards++;
+      } else if (value?.[STORAGE_MARKER] === 'local') {
+        item.location = 'local';
+      }
+
+      items.set(baseKey, item);
+    });
+
+    const syncBytes = [...items.values()].reduce((sum, item) => sum + item.bytes, 0);
+    const localBytes = await chrome.storage.local.getBytesInUse(null);
+    const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : null;
+
+    return {
+      sync: {
+        bytesInUse: syncBytes,
+        quota: SYNC_QUOTA_BYTES,
+        itemQuota: SYNC_QUOTA_BYTES_PER_ITEM,
+        percent: toPercent(syncBytes, SYNC_QUOTA_BYTES),
+        items: [...items.values()]
+          .map(item => ({ ...item, percent: toPercent(item.bytes, SYNC_QUOTA_BYTES) }))
+          .sort((a, b) => b.bytes - a.bytes)
+      },
+      local: {
+        bytesInUse: localBytes,
+        quota: LOCAL_QUOTA_BYTES,
+        percent: toPercent(localBytes, LOCAL_QUOTA_BYTES)
+      },
+      database: estimate ? {
+        bytesInUse: estimate.usage || 0,
+        quota: estimate.quota || 0,
+        percent: toPercent(estimate.usage || 0, estimate.quota || 0)
+      } : null
+    };
+  }
+
   /**
    * 本地存储操作
    */
@@ -136,15 +680,32 @@ export class StorageManager {
   async loadFeishuConfig() {
     try {
       const result = await this.storageGet([CONFIG.STORAGE_KEYS.FEISHU_CONFIG]);
-      const config = result[CONFIG.STORAGE_KEYS.FEISHU_CONFIG] || {};
+      let config = result[CONFIG.STORAGE_KEYS.FEISHU_CONFIG] || {};
 
       // 加载配置模式
       const modeResult = await this.storageGet([CONFIG.STORAGE_KEYS.CONFIG_MODE]);
       const configMode = modeResult[CONFIG.STORAGE_KEYS.CONFIG_MODE] || 'benefit';
 
+      // 旧版本明文保存的凭据迁移到保险库
+      if (SECRET_FIELDS.some(field => config[field])) {
+        config = await this.migratePlaintextCredentials(config);
+      }
+
+      const vaultSecrets = await credentialVault.open();
+      const { sources: sourceSecrets, ...secrets } = vaultSecrets || {};
+
+      // 保险库只保存在本机，sync 中的 hasCredentials 只说明在某台设备上配置过凭据；
+      // 是否可以连接以本机保险库为准，锁定时视为已保存
+      const hasLocalCredentials = vaultSecrets === null || this.hasCredentials({ ...config, ...secrets });
+
       const fullConfig = {
         ...config,
-        configMode
+        ...secrets,
+        sources: this.mergeSourceSecrets(config.sources, sourceSecrets),
+        configMode,
+        hasCredentials: hasLocalCredentials,
+        credentialsLocked: vaultSecrets === null,
+        credentialsMissing: Boolean(config.hasCredentials) && !hasLocalCredentials
       };
 
       this.cache.set('feishuConfig', fullConfig);
@@ -155,16 +716,83 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 将 sync 存储中的明文凭据加密后移除
+   */
+  async migratePlaintextCredentials(config) {
+    const { publicConfig, secrets } = this.splitCredentials(config);
+
+    await credentialVault.seal(secrets);
+    await this.storageSet({
+      [CONFIG.STORAGE_KEYS.FEISHU_CONFIG]: {
+        ...publicConfig,
+        hasCredentials: this.hasCredentials({ ...publicConfig, ...secrets })
+      }
+    });
+
+    Logger.info('已将明文飞书凭据迁移到加密保险库');
+    return publicConfig;
+  }
+
+  /**
+   * 保存飞书配置
+   * 凭据加密后保存在本机，sync 存储中只保留非敏感配置；
+   * 未传入 appSecret 时保留已保存的密钥，附加数据源同理
+   */
   async saveFeishuConfig(config) {
     try {
-      const { configMode, ...feishuConfig } = config;
+      const { configMode, credentialsLocked, credentialsMissing, hasCredentials, ...feishuConfig } = config;
 
+      // 字段映射与飞书配置一同保存，只保留已知的逻辑字段
+      if (feishuConfig.fieldMapping) {
+        feishuConfig.fieldMapping = FieldMapping.normalize(feishuConfig.fieldMapping);
+      }
+
+      if (Array.isArray(feishuConfig.sources)) {
+        feishuConfig.sources = feishuConfig.sources
+          .filter(source => source.id && source.id !== DEFAULT_SOURCE_ID)
+          .map(({ hasAppSecret, ...source }) => ({
+            ...source,
+            writable: Boolean(source.writable),
+            ...(source.fieldMapping ? { fieldMapping: FieldMapping.normalize(source.fieldMapping) } : {})
+          }));
+      }
+
+      const { publicConfig, secrets } = this.splitCredentials(feishuConfig);
+      const savedSecrets = await credentialVault.open();
+
+      if (savedSecrets === null) {
+        throw ErrorHandler.createError('凭据已锁定，请先输入口令解锁', ERROR_CODES.AUTH_ERROR, 'StorageManager.saveFeishuConfig');
+      }
+
+      const { sources: incomingSourceSecrets = {}, ...incomingSecrets } = secrets;
+      const { sources: savedSourceSecrets = {}, ...savedPrimarySecrets } = savedSecrets;
+
+      // 只保留仍在配置中的数据源的凭据
+      const mergedSecrets = this.mergeSecrets(savedPrimarySecrets, incomingSecrets);
+      const sourceSecrets = {};
+      (publicConfig.sources || []).forEach(source => {
+        sourceSecrets[source.id] = this.mergeSecrets(savedSourceSecrets[source.id], incomingSourceSecrets[source.id]);
+      });
+
+      await credentialVault.seal({ ...mergedSecrets, sources: sourceSecrets });
+
+      const mode = configMode || this.getFeishuConfig().configMode;
       await this.storageSet({
-        [CONFIG.STORAGE_KEYS.FEISHU_CONFIG]: feishuConfig,
-        [CONFIG.STORAGE_KEYS.CONFIG_MODE]: configMode
+        [CONFIG.STORAGE_KEYS.FEISHU_CONFIG]: {
+          ...publicConfig,
+          hasCredentials: this.hasCredentials({ ...publicConfig, ...mergedSecrets })
+        },
+        [CONFIG.STORAGE_KEYS.CONFIG_MODE]: mode
       });
 
-      this.cache.set('feishuConfig', config);
+      this.cache.set('feishuConfig', {
+        ...publicConfig,
+        ...mergedSecrets,
+        sources: this.mergeSourceSecrets(publicConfig.sources, sourceSecrets),
+        configMode: mode,
+        credentialsLocked: false
+      });
       Logger.info('飞书配置保存成功');
     } catch (error) {
       Logger.error('保存飞书配置失败', { error });
@@ -172,6 +800,71 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 拆分凭据字段与普通配置
+   * 附加数据源的凭据按数据源 ID 保存在 secrets.sources 中
+   */
+  splitCredentials(config) {
+    const publicConfig = { ...config };
+    const secrets = {};
+
+    SECRET_FIELDS.forEach(field => {
+      if (field in publicConfig) {
+        secrets[field] = publicConfig[field];
+        delete publicConfig[field];
+      }
+    });
+
+    if (Array.isArray(publicConfig.sources)) {
+      secrets.sources = {};
+      publicConfig.sources = publicConfig.sources.map(source => {
+        const split = this.splitCredentials(source);
+        secrets.sources[source.id] = split.secrets;
+        return split.publicConfig;
+      });
+    }
+
+    return { publicConfig, secrets };
+  }
+
+  /**
+   * 合并凭据，未传入的字段保留原值
+   */
+  mergeSecrets(saved = {}, incoming = {}) {
+    const merged = { ...saved };
+    SECRET_FIELDS.forEach(field => {
+      if (incoming[field] !== undefined) {
+        merged[field] = incoming[field];
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * 将保险库中的凭据合并回附加数据源
+   */
+  mergeSourceSecrets(sources = [], sourceSecrets = {}) {
+    return sources.map(source => ({
+      ...source,
+      ...(sourceSecrets[source.id] || {})
+    }));
+  }
+
+  /**
+   * 是否已保存连接所需的凭据
+   */
+  hasCredentials(config) {
+    return Boolean(config.appId && (config.authMode === 'user' ? config.oauthTokenEndpoint : config.appSecret));
+  }
+
+  /**
+   * 清除保存的飞书凭据
+   */
+  async clearCredentials() {
+    await credentialVault.clear();
+    this.cache.set('feishuConfig', this.splitCredentials(this.getFeishuConfig()).publicConfig);
+  }
+
   getFeishuConfig() {
     return this.cache.get('feishuConfig') || { configMode: 'benefit' };
   }
@@ -273,6 +966,7 @@ export class StorageManager {
         id: prompt.id,
         prompt: prompt.prompt,
         category: prompt.category,
+        sourceId: prompt.sourceId,
         usedAt: Date.now()
       });
 
@@ -298,57 +992,297 @@ export class StorageManager {
   }
 
   /**
-   * 永久存储管理
+   * 提示词在收藏和模板变量记录中的键：数据源:ID
    */
-  async getPermanentPrompts() {
+  promptKey(prompt) {
+    return `${prompt.sourceId || DEFAULT_SOURCE_ID}:${prompt.id}`;
+  }
+
+  /**
+   * 收藏管理
+   * @returns {Promise<string[]>} 收藏的 数据源:ID 列表，最近收藏的在前
+   */
+  async getFavorites() {
     try {
-      const result = await this.localGet([CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS]);
-      return result[CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS] || [];
+      const result = await this.storageGet([FAVORITES_KEY]);
+      return result[FAVORITES_KEY] || [];
     } catch (error) {
-      Logger.error('获取永久提示词失败', { error });
+      Logger.error('获取收藏失败', { error });
       return [];
     }
   }
 
-  async savePermanentPrompts(prompts) {
+  /**
+   * 设置提示词的收藏状态
+   * @returns {Promise<boolean>} 设置后的收藏状态
+   */
+  async setFavorite(prompt, favorite) {
+    try {
+      const key = this.promptKey(prompt);
+      const favorites = (await this.getFavorites()).filter(item => item !== key);
+      if (favorite) {
+        favorites.unshift(key);
+      }
+
+      await this.storageSet({ [FAVORITES_KEY]: favorites });
+      Logger.debug('收藏状态已更新', { key, favorite });
+      return favorite;
+    } catch (error) {
+      Logger.error('更新收藏失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 模板变量上次填写的值
+   */
+  async getTemplateValues(prompt) {
+    try {
+      const result = await this.localGet([TEMPLATE_VALUES_KEY]);
+      return result[TEMPLATE_VALUES_KEY]?.[this.promptKey(prompt)]?.values || {};
+    } catch (error) {
+      Logger.error('获取模板变量失败', { error });
+      return {};
+    }
+  }
+
+  async saveTemplateValues(prompt, values) {
+    try {
+      const result = await this.localGet([TEMPLATE_VALUES_KEY]);
+      const stored = { ...(result[TEMPLATE_VALUES_KEY] || {}), [this.promptKey(prompt)]: { values, usedAt: Date.now() } };
+
+      // 超出数量时删除最久未使用的记录
+      const entries = Object.entries(stored)
+        .sort(([, a], [, b]) => b.usedAt - a.usedAt)
+        .slice(0, TEMPLATE_VALUES_LIMIT);
+
+      await this.localSet({ [TEMPLATE_VALUES_KEY]: Object.fromEntries(entries) });
+    } catch (error) {
+      Logger.error('保存模板变量失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 永久存储管理
+   * 提示词保存在 IndexedDB 中，按数据源分区，各数据源的数量和更新时间记录在元数据中
+   */
+  async getPermanentPrompts(sourceId = null) {
     try {
-      const data = {
+      const [prompts, sourceMeta] = await Promise.all([
+        promptDatabase.getPrompts(sourceId),
+        promptDatabase.getMetaByPrefix(SOURCE_META_PREFIX)
+      ]);
+
+      // 保持同步时的顺序，本地新增的提示词排在前面
+      prompts.sort((a, b) => (a.position || 0) - (b.position || 0));
+
+      const lastUpdated = Object.entries(sourceMeta)
+        .filter(([id]) => !sourceId || id === sourceId)
+        .reduce((latest, [, entry]) => Math.max(latest, entry.lastUpdated || 0), 0);
+
+      return {
         prompts,
         count: prompts.length,
-        lastUpdated: Date.now()
+        lastUpdated: lastUpdated || null
       };
+    } catch (error) {
+      Logger.error('获取永久提示词失败', { error });
+      return { prompts: [], count: 0, lastUpdated: null };
+    }
+  }
+
+  async getPermanentPrompt(sourceId, id) {
+    try {
+      return (await promptDatabase.getPrompt(sourceId, id)) || null;
+    } catch (error) {
+      Logger.error('获取永久提示词失败', { sourceId, id, error });
+      return null;
+    }
+  }
 
-      await this.localSet({ [CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS]: data });
-      Logger.info('永久提示词保存成功', { count: prompts.length });
+  /**
+   * 永久提示词的变更版本，每次写入后递增
+   */
+  getPermanentPromptsVersion() {
+    return promptDatabase.promptsVersion;
+  }
+
+  /**
+   * 获取数据源已保存的提示词 ID，只读取主键
+   */
+  async getPermanentPromptIds(sourceId = DEFAULT_SOURCE_ID) {
+    try {
+      return await promptDatabase.getPromptIds(sourceId);
+    } catch (error) {
+      Logger.error('获取永久提示词 ID 失败', { error });
+      return [];
+    }
+  }
+
+  /**
+   * 按条件查询永久提示词，使用索引和游标，不需要读取全部数据
+   * @param {Object} options { sourceId, category, tag, match, offset, limit }
+   * @returns {Promise<{items: Array, hasMore: boolean}>}
+   */
+  async queryPermanentPrompts(options = {}) {
+    try {
+      return await promptDatabase.queryPrompts(options);
+    } catch (error) {
+      Logger.error('查询永久提示词失败', { error });
+      return { items: [], hasMore: false };
+    }
+  }
+
+  /**
+   * 更新数据源的数量和更新时间
+   */
+  async touchPermanentSource(sourceId) {
+    const count = await promptDatabase.countPrompts(sourceId);
+    await promptDatabase.setMeta(`${SOURCE_META_PREFIX}${sourceId}`, { count, lastUpdated: Date.now() });
+    return count;
+  }
+
+  async savePermanentPrompts(prompts, sourceId = DEFAULT_SOURCE_ID) {
+    try {
+      const writer = this.createPermanentPromptsWriter(sourceId);
+      await writer.write(prompts);
+      await writer.commit();
     } catch (error) {
       Logger.error('保存永久提示词失败', { error });
       throw error;
     }
   }
 
+  /**
+   * 创建数据源的永久数据写入器
+   * write 先写入暂存区，commit 时在一个事务中替换数据源的全部提示词，
+   * 中途失败调用 abort 即可保留原有数据
+   */
+  createPermanentPromptsWriter(sourceId = DEFAULT_SOURCE_ID) {
+    const stageId = `${sourceId}:${Date.now()}`;
+    let position = 0;
+
+    return {
+      write: async (prompts) => {
+        if (!prompts || prompts.length === 0) return;
+
+        await promptDatabase.stagePrompts(stageId, prompts.map(prompt => ({ ...prompt, position: position++ })));
+      },
+
+      commit: async () => {
+        const count = await promptDatabase.commitStage(stageId, sourceId);
+        await promptDatabase.setMeta(`${SOURCE_META_PREFIX}${sourceId}`, { count, lastUpdated: Date.now() });
+
+        Logger.info('永久提示词保存成功', { sourceId, count });
+        return count;
+      },
+
+      abort: async () => {
+        await promptDatabase.discardStage(stageId);
+        Logger.warn('永久提示词写入已取消', { sourceId, count: position });
+      }
+    };
+  }
+
+  /**
+   * 更新或新增提示词，已有的提示词保持原来的位置
+   */
+  async upsertPermanentPrompts(prompts, sourceId = DEFAULT_SOURCE_ID) {
+    try {
+      await this.applyPromptChanges(prompts, [], sourceId);
+    } catch (error) {
+      Logger.error('更新永久提示词失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 合并数据源的增量同步结果：更新或新增变更的提示词，移除已删除的提示词
+   * @returns {Promise<number>} 合并后数据源的提示词数量
+   */
+  async applyPromptChanges(changed = [], removedIds = [], sourceId = DEFAULT_SOURCE_ID) {
+    try {
+      const incoming = changed.filter(Boolean);
+      const existing = await Promise.all(incoming.map(prompt => promptDatabase.getPrompt(sourceId, prompt.id)));
+      const now = Date.now();
+
+      const puts = incoming.map((prompt, i) => ({
+        ...prompt,
+        position: existing[i] ? existing[i].position : -now - i
+      }));
+
+      await promptDatabase.writePrompts(sourceId, puts, removedIds);
+      return await this.touchPermanentSource(sourceId);
+    } catch (error) {
+      Logger.error('合并增量提示词失败', { error });
+      throw error;
+    }
+  }
+
+  async removePermanentPrompts(ids, sourceId = DEFAULT_SOURCE_ID) {
+    try {
+      await promptDatabase.writePrompts(sourceId, [], ids);
+      await this.touchPermanentSource(sourceId);
+    } catch (error) {
+      Logger.error('移除永久提示词失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 移除已不在配置中的数据源的永久数据
+   */
+  async prunePermanentSources(activeIds) {
+    try {
+      const storedIds = await promptDatabase.listSourceIds();
+      const staleIds = storedIds.filter(id => !activeIds.includes(id));
+
+      for (const id of staleIds) {
+        await promptDatabase.deleteSource(id);
+      }
+
+      if (staleIds.length > 0) {
+        Logger.info('已清理移除数据源的永久提示词', { sources: staleIds });
+      }
+    } catch (error) {
+      Logger.error('清理数据源永久提示词失败', { error });
+      throw error;
+    }
+  }
+
   async getPermanentPromptsInfo() {
     try {
-      const result = await this.localGet([CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS]);
-      const data = result[CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS];
+      const sourceMeta = await promptDatabase.getMetaByPrefix(SOURCE_META_PREFIX);
+      const entries = Object.entries(sourceMeta);
 
-      if (!data) {
+      if (entries.length === 0) {
         return {
           hasPermanentData: false,
           count: 0,
+          sourceCounts: {},
           lastUpdated: null
         };
       }
 
+      const sourceCounts = {};
+      entries.forEach(([id, entry]) => {
+        sourceCounts[id] = entry.count || 0;
+      });
+      const lastUpdated = Math.max(...entries.map(([, entry]) => entry.lastUpdated || 0));
+
       return {
         hasPermanentData: true,
-        count: data.count || 0,
-        lastUpdated: data.lastUpdated ? TimeUtils.formatTimestamp(data.lastUpdated) : null
+        count: Object.values(sourceCounts).reduce((sum, count) => sum + count, 0),
+        sourceCounts,
+        lastUpdated: lastUpdated ? TimeUtils.formatTimestamp(lastUpdated) : null
       };
     } catch (error) {
       Logger.error('获取永久提示词信息失败', { error });
       return {
         hasPermanentData: false,
         count: 0,
+        sourceCounts: {},
         lastUpdated: null
       };
     }
@@ -356,7 +1290,7 @@ export class StorageManager {
 
   async clearPermanentPrompts() {
     try {
-      await this.localRemove([CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS]);
+      await promptDatabase.clear();
       Logger.info('永久提示词清除成功');
     } catch (error) {
       Logger.error('清除永久提示词失败', { error });
@@ -364,36 +1298,132 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 将旧版本保存在 chrome.storage.local 中的分片数据迁移到 IndexedDB
+   * 迁移完成后删除旧数据，同步状态一并迁移
+   */
+  async migrateLegacyPermanentPrompts() {
+    try {
+      const result = await this.localGet([CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS, SYNC_SOURCE_KEY]);
+      const meta = result[CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS];
+      const syncStates = result[SYNC_SOURCE_KEY];
+
+      if (!meta && !syncStates) return;
+
+      // 最早的版本整体保存为 { prompts }，之后按分片保存，多数据源版本按数据源记录分片
+      let sources = {};
+      if (meta?.sources) {
+        sources = meta.sources;
+      } else if (meta?.chunkKeys) {
+        sources = { [DEFAULT_SOURCE_ID]: meta };
+      }
+
+      const chunkKeys = Object.values(sources).flatMap(entry => entry.chunkKeys || []);
+      const chunks = chunkKeys.length > 0 ? await this.localGet(chunkKeys) : {};
+
+      for (const [sourceId, entry] of Object.entries(sources)) {
+        const prompts = (entry.chunkKeys || []).flatMap(key => chunks[key] || []);
+        await this.savePermanentPrompts(prompts.map(prompt => ({ ...prompt, sourceId })), sourceId);
+      }
+
+      if (Array.isArray(meta?.prompts)) {
+        await this.savePermanentPrompts(meta.prompts.map(prompt => ({ ...prompt, sourceId: DEFAULT_SOURCE_ID })));
+      }
+
+      // 旧版本只记录默认数据源的表格，同步时间使用最后刷新时间
+      // 此时版本 5 尚未把最后刷新时间移到 local，需要先读取 sync 中的旧值
+      if (typeof syncStates === 'string') {
+        const legacy = await chrome.storage.sync.get([CONFIG.STORAGE_KEYS.LAST_REFRESH_TIME]);
+        const syncedAt = legacy[CONFIG.STORAGE_KEYS.LAST_REFRESH_TIME] || await this.getLastRefreshTime();
+        await this.saveSyncStates({
+          [DEFAULT_SOURCE_ID]: { table: syncStates, syncedAt }
+        });
+      } else if (syncStates) {
+        await this.saveSyncStates(syncStates);
+      }
+
+      await this.localRemove([CONFIG.STORAGE_KEYS.PERMANENT_PROMPTS, SYNC_SOURCE_KEY, ...chunkKeys]);
+      Logger.info('永久提示词已迁移到本地数据库', { sources: Object.keys(sources).length });
+    } catch (error) {
+      // 迁移失败时保留旧数据，由迁移流程下次启动重试
+      Logger.error('迁移永久提示词失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 使用记录
+   */
+  async recordUsage(event) {
+    try {
+      await promptDatabase.addUsageEvent(event);
+    } catch (error) {
+      Logger.error('记录使用失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计今天和最近 7 天的使用次数
+   */
+  async getUsageStats() {
+    try {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      const [todayUsage, weekUsage] = await Promise.all([
+        promptDatabase.countUsageSince(today.getTime()),
+        promptDatabase.countUsageSince(Date.now() - 7 * 24 * 60 * 60 * 1000)
+      ]);
+
+      return { todayUsage, weekUsage };
+    } catch (error) {
+      Logger.error('获取使用统计失败', { error });
+      return { todayUsage: 0, weekUsage: 0 };
+    }
+  }
+
   /**
    * 访问令牌管理
+   * 多个数据源可能使用不同的应用，令牌按 App ID 分别保存
    */
-  async getAccessToken() {
+  async getAccessToken(appId) {
     try {
-      const result = await this.storageGet([CONFIG.STORAGE_KEYS.ACCESS_TOKEN]);
-      const tokenData = result[CONFIG.STORAGE_KEYS.ACCESS_TOKEN];
+      const tokens = await this.readAccessTokens();
+      const tokenData = tokens[appId];
 
-      if (!tokenData) return null;
+      if (!tokenData || !tokenData.expiresAt) return null;
 
-      if (TimeUtils.isExpired(tokenData.timestamp, CONFIG.TOKEN_CACHE_DURATION)) {
-        await this.storageRemove([CONFIG.STORAGE_KEYS.ACCESS_TOKEN]);
+      if (Date.now() >= tokenData.expiresAt) {
+        await this.clearAccessToken(appId);
         return null;
       }
 
-      return tokenData.token;
+      return {
+        token: tokenData.token,
+        expiresAt: tokenData.expiresAt
+      };
     } catch (error) {
       Logger.error('获取访问令牌失败', { error });
       return null;
     }
   }
 
-  async saveAccessToken(token) {
+  /**
+   * 保存访问令牌
+   * 令牌只在本机有效，保存在 local 存储中，不随账号同步
+   * @param {number} expiresAt 令牌过期的时间戳
+   */
+  async saveAccessToken(token, expiresAt, appId) {
     try {
-      await this.storageSet({
-        [CONFIG.STORAGE_KEYS.ACCESS_TOKEN]: {
-          token,
-          timestamp: Date.now()
-        }
-      });
+      const tokens = await this.readAccessTokens();
+      tokens[appId] = {
+        token,
+        expiresAt,
+        timestamp: Date.now()
+      };
+
+      await this.localSet({ [CONFIG.STORAGE_KEYS.ACCESS_TOKEN]: tokens });
       Logger.debug('访问令牌保存成功');
     } catch (error) {
       Logger.error('保存访问令牌失败', { error });
@@ -401,9 +1431,19 @@ export class StorageManager {
     }
   }
 
-  async clearAccessToken() {
+  /**
+   * 清除访问令牌
+   * @param {string|null} appId 为空时清除所有应用的令牌
+   */
+  async clearAccessToken(appId = null) {
     try {
-      await this.storageRemove([CONFIG.STORAGE_KEYS.ACCESS_TOKEN]);
+      if (appId) {
+        const tokens = await this.readAccessTokens();
+        delete tokens[appId];
+        await this.localSet({ [CONFIG.STORAGE_KEYS.ACCESS_TOKEN]: tokens });
+      } else {
+        await this.localRemove([CONFIG.STORAGE_KEYS.ACCESS_TOKEN]);
+      }
       Logger.info('访问令牌清除成功');
     } catch (error) {
       Logger.error('清除访问令牌失败', { error });
@@ -411,6 +1451,47 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 读取所有应用的访问令牌
+   */
+  async readAccessTokens() {
+    const result = await this.localGet([CONFIG.STORAGE_KEYS.ACCESS_TOKEN]);
+    return result[CONFIG.STORAGE_KEYS.ACCESS_TOKEN] || {};
+  }
+
+  /**
+   * 用户令牌管理（飞书账号登录）
+   */
+  async getUserToken() {
+    try {
+      const result = await this.localGet([USER_TOKEN_KEY]);
+      return result[USER_TOKEN_KEY] || null;
+    } catch (error) {
+      Logger.error('获取用户令牌失败', { error });
+      return null;
+    }
+  }
+
+  async saveUserToken(tokenData) {
+    try {
+      await this.localSet({ [USER_TOKEN_KEY]: tokenData });
+      Logger.debug('用户令牌保存成功');
+    } catch (error) {
+      Logger.error('保存用户令牌失败', { error });
+      throw error;
+    }
+  }
+
+  async clearUserToken() {
+    try {
+      await this.localRemove([USER_TOKEN_KEY]);
+      Logger.info('用户令牌清除成功');
+    } catch (error) {
+      Logger.error('清除用户令牌失败', { error });
+      throw error;
+    }
+  }
+
   /**
    * 最后刷新时间管理
    */
@@ -424,10 +1505,10 @@ export class StorageManager {
     }
   }
 
-  async saveLastRefreshTime() {
+  async saveLastRefreshTime(timestamp = Date.now()) {
     try {
       await this.storageSet({
-        [CONFIG.STORAGE_KEYS.LAST_REFRESH_TIME]: Date.now()
+        [CONFIG.STORAGE_KEYS.LAST_REFRESH_TIME]: timestamp
       });
       Logger.debug('最后刷新时间保存成功');
     } catch (error) {
@@ -437,22 +1518,155 @@ export class StorageManager {
   }
 
   /**
-   * 导出和导入数据
+   * 同步状态管理
+   * 按数据源记录永久数据来自哪张表及上次同步时间，切换表格后需要重新全量同步
+   * @returns {{table: string, syncedAt: number}|null}
    */
-  async exportData() {
+  async getSyncState(sourceId = DEFAULT_SOURCE_ID) {
+    try {
+      const states = await promptDatabase.getMeta(SYNC_STATES_META_KEY);
+      return states?.[sourceId] || null;
+    } catch (error) {
+      Logger.error('获取同步状态失败', { error });
+      return null;
+    }
+  }
+
+  /**
+   * 保存所有数据源的同步状态，未包含的数据源视为已移除
+   */
+  async saveSyncStates(states) {
+    try {
+      await promptDatabase.setMeta(SYNC_STATES_META_KEY, states);
+    } catch (error) {
+      Logger.error('保存同步状态失败', { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 离线写入队列
+   * 每项为 { id, type: 'create'|'update'|'delete', sourceId, recordId, promptData,
+   * status: 'pending'|'failed'|'conflict'|'synced', attempts, lastError, nextAttemptAt, createdAt, updatedAt }；
+   * 修改和删除还记录 base / baseRevision（本地修改前的版本），冲突时记录 remote（飞书中的版本）
+   */
+  async getOutbox() {
+    try {
+      const result = await this.localGet([OUTBOX_KEY]);
+      return result[OUTBOX_KEY] || [];
+    } catch (error) {
+      Logger.error('获取写入队列失败', { error });
+      return [];
+    }
+  }
+
+  /**
+   * 串行修改写入队列，避免并发读写覆盖；mutator 返回新的队列
+   */
+  updateOutbox(mutator) {
+    const task = this.outboxLock.then(async () => {
+      const items = mutator(await this.getOutbox());
+
+      // 已同步的记录只保留最近的若干条
+      const synced = items.filter(item => item.status === 'synced');
+      const dropped = new Set(synced.slice(0, Math.max(0, synced.length - OUTBOX_SYNCED_LIMIT)));
+      const next = items.filter(item => !dropped.has(item));
+
+      await this.localSet({ [OUTBOX_KEY]: next });
+      return next;
+    });
+
+    this.outboxLock = task.catch(() => {});
+    return task;
+  }
+
+  /**
+   * 加入写入队列
+   * 对尚未同步的本地新建记录的修改会合并到创建操作中，删除则直接撤销创建；
+   * 对同一记录的多次修改及随后的删除合并为一项
+   * @returns {Promise<Object|null>} 队列项，撤销创建时返回 null
+   */
+  async enqueueOutbox(operation) {
+    const now = Date.now();
+    let queued = null;
+
+    await this.updateOutbox(items => {
+      const unsynced = item => item.status !== 'synced' && item.sourceId === operation.sourceId;
+      const pendingCreate = operation.recordId && items.find(item => unsynced(item) && item.type === 'create' && item.localId === operation.recordId);
+
+      if (pendingCreate && operation.type === 'delete') {
+        return items.filter(item => item !== pendingCreate);
+      }
+
+      // 删除尚未同步的修改时改为直接删除，保留修改前的基础版本
+      const target = pendingCreate || items.find(item =>
+        unsynced(item) && item.type === 'update' && item.recordId === operation.recordId && operation.type !== 'create'
+      );
+
+      if (target) {
+        queued = {
+          ...target,
+          type: pendingCreate ? 'create' : operation.type,
+          promptData: operation.type === 'delete' ? null : { ...target.promptData, ...operation.promptData },
+          status: operation.status || 'pending',
+          remote: operation.remote || target.remote || null,
+          attempts: 0,
+          lastError: operation.lastError || '',
+          nextAttemptAt: now,
+          updatedAt: now
+        };
+        return items.map(item => (item === target ? queued : item));
+      }
+
+      queued = {
+        id: `op_${now}_${Math.random().toString(36).slice(2, 8)}`,
+        status: 'pending',
+        attempts: 0,
+        lastError: '',
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now,
+        ...operation
+      };
+      return [...items, queued];
+    });
+
+    Logger.debug('写入操作已加入队列', { type: operation.type, queued: Boolean(queued) });
+    return queued;
+  }
+
+  async updateOutboxItem(id, patch) {
+    return this.updateOutbox(items => items.map(item => (
+      item.id === id ? { ...item, ...patch, updatedAt: Date.now() } : item
+    )));
+  }
+
+  async removeOutboxItems(ids) {
+    const removed = new Set(ids);
+    return this.updateOutbox(items => items.filter(item => !removed.has(item.id)));
+  }
+
+  /**
+   * 导出数据，与 importData 配合在设备之间迁移
+   * @param {Object} options includeSecrets 为 true 时才导出 App ID / App Secret
+   */
+  async exportData({ includeSecrets = false } = {}) {
     try {
       const settings = await this.loadSettings();
-      const feishuConfig = await this.loadFeishuConfig();
+      const { credentialsLocked, credentialsMissing, ...loadedConfig } = await this.loadFeishuConfig();
+      const feishuConfig = includeSecrets ? loadedConfig : this.splitCredentials(loadedConfig).publicConfig;
       const recentPrompts = await this.getRecentPrompts();
+      const favorites = await this.getFavorites();
       const permanentData = await this.getPermanentPrompts();
 
       return {
         settings,
         feishuConfig,
         recentPrompts,
+        favorites,
         permanentData,
         exportTime: Date.now(),
-        version: '1.0'
+        version: SCHEMA_VERSION
       };
     } catch (error) {
       Logger.error('导出数据失败', { error });
@@ -460,8 +1674,18 @@ export class StorageManager {
     }
   }
 
+  /**
+   * 导入数据
+   * 导入后按导出文件的结构版本重新执行迁移，旧版本导出的文件会升级到当前结构
+   */
   async importData(data) {
     try {
+      // 早期导出文件的版本号为 '1.0'，对应迁移之前的结构
+      const version = Number.isInteger(data.version) ? data.version : 0;
+      if (version > SCHEMA_VERSION) {
+        throw ErrorHandler.createError('导出文件来自更新版本的扩展，请先更新扩展', ERROR_CODES.CONFIG_ERROR, 'StorageManager.importData');
+      }
+
       if (data.settings) {
         await this.saveSettings(data.settings);
       }
@@ -474,11 +1698,31 @@ export class StorageManager {
         await this.storageSet({ [CONFIG.STORAGE_KEYS.RECENT_PROMPTS]: data.recentPrompts });
       }
 
+      if (Array.isArray(data.favorites)) {
+        await this.storageSet({ [FAVORITES_KEY]: data.favorites });
+      }
+
       if (data.permanentData) {
-        await this.savePermanentPrompts(data.permanentData.prompts || []);
+        // 按数据源分别保存
+        const groups = new Map();
+        (data.permanentData.prompts || []).forEach(prompt => {
+          const sourceId = prompt.sourceId || DEFAULT_SOURCE_ID;
+          if (!groups.has(sourceId)) groups.set(sourceId, []);
+          groups.get(sourceId).push(prompt);
+        });
+
+        for (const [sourceId, prompts] of groups) {
+          await this.savePermanentPrompts(prompts, sourceId);
+        }
       }
 
-      Logger.info('数据导入成功');
+      if (version < SCHEMA_VERSION) {
+        await this.localSet({ [SCHEMA_VERSION_KEY]: version });
+        await this.runMigrations();
+        await this.loadSettings();
+      }
+
+      Logger.info('数据导入成功', { version });
     } catch (error) {
       Logger.error('导入数据失败', { error });
       throw error;
@@ -490,9 +1734,12 @@ export class StorageManager {
    */
   async clearAllData() {
     try {
+      await promptDatabase.clear({ clearUsage: true });
+      await credentialVault.clear();
+
       const keys = Object.values(CONFIG.STORAGE_KEYS);
-      await this.storageRemove(keys);
-      await this.localRemove(keys);
+      await this.storageRemove([...keys, FAVORITES_KEY]);
+      await this.localRemove([...keys, USER_TOKEN_KEY, OUTBOX_KEY, SCHEMA_BACKUPS_KEY, TEMPLATE_VALUES_KEY]);
 
       this.cache.clear();
       Logger.info('所有数据清除成功');
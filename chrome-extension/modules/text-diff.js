@@ -0,0 +1,138 @@
+// PromptMaster 文本对比模块
+// 按行对比提示词内容，并以共同的基础版本做三方合并
+
+// 合并冲突时标记双方内容的分隔行
+export const CONFLICT_MARKERS = {
+  mine: '<<<<<<< 我的修改',
+  separator: '=======',
+  theirs: '>>>>>>> 飞书'
+};
+
+/**
+ * 拆分为行，统一换行符
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * 计算两组行的最长公共子序列，返回 a 中每一行匹配到的 b 行号，未匹配为 -1
+ */
+function matchLines(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matches = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * 按行对比两段文本
+ * @returns {Array<{type: 'equal'|'remove'|'add', text: string}>}
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const matches = matchLines(a, b);
+  const result = [];
+  let j = 0;
+
+  a.forEach((line, i) => {
+    if (matches[i] === -1) {
+      result.push({ type: 'remove', text: line });
+      return;
+    }
+    while (j < matches[i]) {
+      result.push({ type: 'add', text: b[j++] });
+    }
+    result.push({ type: 'equal', text: line });
+    j++;
+  });
+
+  while (j < b.length) {
+    result.push({ type: 'add', text: b[j++] });
+  }
+
+  return result;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * 三方合并文本
+ * 只有一方修改的段落直接采用该方的内容，双方修改了同一段落且内容不同时写入冲突标记
+ * @returns {{text: string, conflicts: number}}
+ */
+export function mergeText(base, mine, theirs) {
+  const o = splitLines(base);
+  const a = splitLines(mine);
+  const b = splitLines(theirs);
+  const matchesA = matchLines(o, a);
+  const matchesB = matchLines(o, b);
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let ia = 0;
+  let ib = 0;
+
+  const flushChunk = (endO, endA, endB) => {
+    const chunkO = o.slice(i, endO);
+    const chunkA = a.slice(ia, endA);
+    const chunkB = b.slice(ib, endB);
+
+    if (sameLines(chunkA, chunkO) || sameLines(chunkA, chunkB)) {
+      output.push(...chunkB);
+    } else if (sameLines(chunkB, chunkO)) {
+      output.push(...chunkA);
+    } else {
+      conflicts++;
+      output.push(CONFLICT_MARKERS.mine, ...chunkA, CONFLICT_MARKERS.separator, ...chunkB, CONFLICT_MARKERS.theirs);
+    }
+  };
+
+  while (i < o.length) {
+    // 找到下一行在三个版本中都保留的基础行
+    let stable = i;
+    while (stable < o.length && (matchesA[stable] === -1 || matchesB[stable] === -1)) {
+      stable++;
+    }
+    if (stable === o.length) break;
+
+    flushChunk(stable, matchesA[stable], matchesB[stable]);
+    output.push(o[stable]);
+    i = stable + 1;
+    ia = matchesA[stable] + 1;
+    ib = matchesB[stable] + 1;
+  }
+
+  flushChunk(o.length, a.length, b.length);
+
+  return {
+    text: output.join('\n'),
+    conflicts
+  };
+}
+
+export default { diffLines, mergeText, CONFLICT_MARKERS };
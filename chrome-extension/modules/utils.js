@@ -114,7 +114,17 @@ export class Validator {
       errors.push('App ID 格式不正确，应以 "cli_" 开头');
     }
 
-    if (!config.appSecret) {
+    if (config.region === 'custom' && !/^https:\/\/[^/]+/.test(config.customBaseUrl || '')) {
+      errors.push('私有化部署地址必须是 https 开头的完整地址');
+    }
+
+    if (config.authMode === 'user') {
+      if (!config.oauthTokenEndpoint) {
+        errors.push('令牌交换服务地址不能为空');
+      } else if (!/^https:\/\/[^/]+/.test(config.oauthTokenEndpoint)) {
+        errors.push('令牌交换服务地址必须是 https 开头的完整地址');
+      }
+    } else if (!config.appSecret) {
       errors.push('App Secret 不能为空');
     }
 
@@ -124,6 +134,24 @@ export class Validator {
     };
   }
 
+  static validatePromptData(promptData) {
+    const errors = [];
+    const content = promptData?.content ?? promptData?.prompt;
+
+    if (!content || !String(content).trim()) {
+      errors.push('提示词内容不能为空');
+    }
+
+    if (promptData?.tags && !Array.isArray(promptData.tags) && typeof promptData.tags !== 'string') {
+      errors.push('标签格式不正确');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   static validateSettings(settings) {
     const errors = [];
 
@@ -179,6 +207,10 @@ export class TimeUtils {
     const remaining = duration - elapsed;
     return Math.max(0, remaining);
   }
+
+  static sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+  }
 }
 
 /**
@@ -9,6 +9,24 @@ const CONFIG = {
   }
 };
 
+// 各服务区域的开放平台地址
+const FEISHU_REGION_ORIGINS = {
+  feishu: 'https://open.feishu.cn',
+  lark: 'https://open.larksuite.com'
+};
+
+// 多维表格字段类型名称
+const FIELD_TYPE_NAMES = {
+  1: '文本',
+  2: '数字',
+  3: '单选',
+  4: '多选',
+  5: '日期',
+  7: '复选框',
+  1001: '创建时间',
+  1002: '修改时间'
+};
+
 // 默认设置
 const DEFAULT_SETTINGS = {
   triggerChar: '/',
@@ -38,10 +56,52 @@ const elements = {
   customTableConfig: document.getElementById('customTableConfig'),
 
   // 飞书配置
+  feishuRegion: document.getElementById('feishuRegion'),
+  customBaseUrl: document.getElementById('customBaseUrl'),
+  customBaseUrlGroup: document.getElementById('customBaseUrlGroup'),
   appId: document.getElementById('appId'),
   appSecret: document.getElementById('appSecret'),
+
+  // 认证方式
+  authModeApp: document.getElementById('authModeApp'),
+  authModeUser: document.getElementById('authModeUser'),
+  appSecretGroup: document.getElementById('appSecretGroup'),
+  userAuthConfig: document.getElementById('userAuthConfig'),
+  oauthTokenEndpoint: document.getElementById('oauthTokenEndpoint'),
+  oauthRedirectUrl: document.getElementById('oauthRedirectUrl'),
+  userAuthStatus: document.getElementById('userAuthStatus'),
+  signInFeishu: document.getElementById('signInFeishu'),
+  signOutFeishu: document.getElementById('signOutFeishu'),
+
+  // 凭据保护
+  vaultPassphrase: document.getElementById('vaultPassphrase'),
+  setVaultPassphrase: document.getElementById('setVaultPassphrase'),
+  unlockVault: document.getElementById('unlockVault'),
+  vaultStatus: document.getElementById('vaultStatus'),
   bitableAppToken: document.getElementById('bitableAppToken'),
   bitableTableId: document.getElementById('bitableTableId'),
+
+  // 字段映射
+  fieldMappingEditor: document.getElementById('fieldMappingEditor'),
+  loadTableFields: document.getElementById('loadTableFields'),
+  saveFieldMapping: document.getElementById('saveFieldMapping'),
+
+  // 表格结构
+  inspectSchema: document.getElementById('inspectSchema'),
+  schemaReport: document.getElementById('schemaReport'),
+  newTableName: document.getElementById('newTableName'),
+  createPromptTable: document.getElementById('createPromptTable'),
+
+  // 同步范围
+  syncViewId: document.getElementById('syncViewId'),
+  syncCategories: document.getElementById('syncCategories'),
+  syncActiveOnly: document.getElementById('syncActiveOnly'),
+
+  // 数据源
+  primarySourceName: document.getElementById('primarySourceName'),
+  primarySourceWritable: document.getElementById('primarySourceWritable'),
+  sourceList: document.getElementById('sourceList'),
+  addSource: document.getElementById('addSource'),
   
   // 插件设置
   triggerChar: document.getElementById('triggerChar'),
@@ -61,7 +121,20 @@ const elements = {
   statusMessage: document.getElementById('statusMessage'),
   testText: document.getElementById('testText'),
   testLoading: document.getElementById('testLoading'),
-  permanentDataInfo: document.getElementById('permanentDataInfo')
+  permanentDataInfo: document.getElementById('permanentDataInfo'),
+  storageUsage: document.getElementById('storageUsage')
+};
+
+// 凭据状态，App Secret 加密保存在后台，不回显到页面
+const credentialState = {
+  hasAppSecret: false,
+  vault: null
+};
+
+// 字段映射状态
+const mappingState = {
+  mapping: {},
+  fieldNames: null
 };
 
 // 页面加载完成后初始化
@@ -76,6 +149,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // 检查永久数据状态
   await checkPermanentDataStatus();
+
+  // 加载存储用量
+  await loadStorageUsage();
   
   // 绑定事件
   bindEvents();
@@ -94,6 +170,35 @@ function bindEvents() {
     initializeModeSelectors();
   }
 
+  // 服务区域切换
+  if (elements.feishuRegion) {
+    elements.feishuRegion.addEventListener('change', () => {
+      updateRegionUI(elements.feishuRegion.value);
+      hideStatus();
+      updateConnectionStatus(false, '配置已修改，请重新测试连接');
+    });
+  }
+
+  // 认证方式切换
+  if (elements.authModeApp && elements.authModeUser) {
+    elements.authModeApp.addEventListener('change', () => updateAuthUI('app'));
+    elements.authModeUser.addEventListener('change', () => updateAuthUI('user'));
+  }
+  if (elements.signInFeishu) {
+    elements.signInFeishu.addEventListener('click', handleSignInFeishu);
+  }
+  if (elements.signOutFeishu) {
+    elements.signOutFeishu.addEventListener('click', handleSignOutFeishu);
+  }
+
+  // 凭据保护
+  if (elements.setVaultPassphrase) {
+    elements.setVaultPassphrase.addEventListener('click', handleSetVaultPassphrase);
+  }
+  if (elements.unlockVault) {
+    elements.unlockVault.addEventListener('click', handleUnlockVault);
+  }
+
   // 测试连接
   if (elements.testConnection) {
     elements.testConnection.addEventListener('click', handleTestConnection);
@@ -110,12 +215,36 @@ function bindEvents() {
   
   // 刷新数据
   elements.refreshData.addEventListener('click', handleRefreshData);
+
+  // 刷新进度
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
   
   // 清除永久数据
   elements.clearPermanentData.addEventListener('click', handleClearPermanentData);
+
+  // 字段映射
+  if (elements.loadTableFields) {
+    elements.loadTableFields.addEventListener('click', handleLoadTableFields);
+  }
+  if (elements.saveFieldMapping) {
+    elements.saveFieldMapping.addEventListener('click', handleSaveFieldMapping);
+  }
+
+  // 表格结构
+  if (elements.inspectSchema) {
+    elements.inspectSchema.addEventListener('click', handleInspectSchema);
+  }
+  if (elements.createPromptTable) {
+    elements.createPromptTable.addEventListener('click', handleCreatePromptTable);
+  }
+
+  // 数据源
+  if (elements.addSource) {
+    elements.addSource.addEventListener('click', () => addSourceCard());
+  }
   
   // 输入框变化时清除状态
-  const inputs = [elements.appId, elements.appSecret, elements.bitableAppToken, elements.bitableTableId];
+  const inputs = [elements.customBaseUrl, elements.appId, elements.appSecret, elements.oauthTokenEndpoint, elements.bitableAppToken, elements.bitableTableId];
   inputs.forEach(input => {
     if (input) {
       input.addEventListener('input', () => {
@@ -160,13 +289,25 @@ async function handleConfigModeChange(event) {
 
   // 保存配置模式
   try {
-    await chrome.storage.sync.set({ 'promptmaster_config_mode': mode });
+    await sendStorageMessage('setStorageItems', { items: { 'promptmaster_config_mode': mode } });
     console.log(`配置模式已切换为: ${mode}`);
   } catch (error) {
     console.error('保存配置模式失败:', error);
   }
 }
 
+/**
+ * 通过后台读写 sync 存储，分片和转存到 local 的值由后台处理
+ */
+async function sendStorageMessage(action, params) {
+  const response = await chrome.runtime.sendMessage({ action, ...params });
+
+  if (!response?.success) {
+    throw new Error(response?.error || '存储读写失败');
+  }
+  return response.data;
+}
+
 /**
  * 更新配置UI
  */
@@ -196,13 +337,315 @@ function updateConfigUI(mode) {
   }
 }
 
+/**
+ * 更新服务区域UI
+ */
+function updateRegionUI(region) {
+  if (elements.customBaseUrlGroup) {
+    elements.customBaseUrlGroup.style.display = region === 'custom' ? 'block' : 'none';
+  }
+}
+
+/**
+ * 获取 https 地址的域名，其他协议或无效地址返回 null
+ */
+function getHttpsOrigin(url) {
+  try {
+    const { protocol, origin } = new URL(url);
+    return protocol === 'https:' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 获取配置需要访问的域名：所选区域的开放平台，使用飞书账号登录时还包括令牌交换服务
+ */
+function getRequiredOrigins(config) {
+  const origins = [];
+
+  if (config.region === 'custom') {
+    const origin = getHttpsOrigin(config.customBaseUrl);
+    if (!origin) {
+      throw new Error('私有化部署地址必须是 https 开头的完整地址');
+    }
+    origins.push(origin);
+  } else if (FEISHU_REGION_ORIGINS[config.region]) {
+    origins.push(FEISHU_REGION_ORIGINS[config.region]);
+  }
+
+  if (config.authMode === 'user' && config.oauthTokenEndpoint) {
+    const origin = getHttpsOrigin(config.oauthTokenEndpoint);
+    if (!origin) {
+      throw new Error('令牌交换服务地址必须是 https 开头的完整地址');
+    }
+    origins.push(origin);
+  }
+
+  return [...new Set(origins)];
+}
+
+/**
+ * 请求访问配置所需域名的权限，只申请具体域名，飞书开放平台已在清单中声明
+ * 需要在用户点击后尽早调用，保证浏览器能弹出授权提示
+ */
+async function ensureHostPermission(config) {
+  const origins = getRequiredOrigins(config)
+    .filter(origin => origin !== FEISHU_REGION_ORIGINS.feishu)
+    .map(origin => `${origin}/*`);
+  if (origins.length === 0) return;
+
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) {
+    throw new Error(`未授予访问 ${origins.join('、')} 的权限`);
+  }
+}
+
+/**
+ * 通过后台保存飞书配置，凭据加密后才写入存储
+ */
+async function saveFeishuConfig(config) {
+  await ensureHostPermission(config);
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'saveFeishuConfig',
+    feishuConfig: config
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || '保存飞书配置失败');
+  }
+
+  if (config.appSecret) {
+    credentialState.hasAppSecret = true;
+  }
+}
+
+/**
+ * 刷新凭据保险库状态
+ */
+async function refreshVaultStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getVaultStatus' });
+    if (response.success) {
+      renderVaultStatus(response.data);
+    }
+  } catch (error) {
+    console.error('获取凭据保护状态失败:', error);
+  }
+}
+
+/**
+ * 渲染凭据保险库状态
+ */
+function renderVaultStatus(status) {
+  credentialState.vault = status;
+  if (!elements.vaultStatus) return;
+
+  if (status.locked) {
+    elements.vaultStatus.textContent = '凭据已锁定，请输入口令解锁后再连接飞书';
+    elements.vaultPassphrase.placeholder = '请输入保护口令';
+    elements.unlockVault.style.display = 'inline-block';
+    elements.setVaultPassphrase.style.display = 'none';
+    return;
+  }
+
+  elements.unlockVault.style.display = 'none';
+  elements.setVaultPassphrase.style.display = 'inline-block';
+
+  if (status.credentialsMissing) {
+    // 其他设备保存过凭据，但保险库不会同步，本机需要重新填写
+    elements.vaultStatus.textContent = '本机没有保存飞书凭据：其他设备上的凭据不会同步到本机，请重新填写并保存';
+    elements.vaultPassphrase.placeholder = '可选，设置后浏览器重启需输入口令解锁';
+    elements.setVaultPassphrase.textContent = '设置口令';
+  } else if (status.mode === 'passphrase') {
+    elements.vaultStatus.textContent = '凭据已使用保护口令加密，浏览器重启后需要重新解锁';
+    elements.vaultPassphrase.placeholder = '输入新口令以修改，留空则移除口令';
+    elements.setVaultPassphrase.textContent = '修改口令';
+  } else {
+    elements.vaultStatus.textContent = '凭据已使用本机密钥加密保存，不会同步到其他设备';
+    elements.vaultPassphrase.placeholder = '可选，设置后浏览器重启需输入口令解锁';
+    elements.setVaultPassphrase.textContent = '设置口令';
+  }
+}
+
+/**
+ * 处理设置凭据保护口令
+ */
+async function handleSetVaultPassphrase() {
+  const passphrase = elements.vaultPassphrase.value;
+
+  if (!passphrase) {
+    if (credentialState.vault?.mode !== 'passphrase') {
+      showStatus('error', '请输入保护口令');
+      return;
+    }
+    if (!confirm('确定要移除保护口令吗？凭据将改为使用本机密钥加密。')) {
+      return;
+    }
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'setVaultPassphrase',
+      passphrase
+    });
+
+    if (response.success) {
+      elements.vaultPassphrase.value = '';
+      renderVaultStatus(response.data);
+      showStatus('success', response.message);
+    } else {
+      showStatus('error', '设置保护口令失败: ' + response.error);
+    }
+  } catch (error) {
+    console.error('设置保护口令失败:', error);
+    showStatus('error', '设置保护口令失败: ' + error.message);
+  }
+}
+
+/**
+ * 处理解锁凭据
+ */
+async function handleUnlockVault() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'unlockVault',
+      passphrase: elements.vaultPassphrase.value
+    });
+
+    if (response.success) {
+      elements.vaultPassphrase.value = '';
+      showStatus('success', response.message);
+      await loadSettings();
+    } else {
+      showStatus('error', '解锁失败: ' + response.error);
+    }
+  } catch (error) {
+    console.error('解锁凭据失败:', error);
+    showStatus('error', '解锁失败: ' + error.message);
+  }
+}
+
+/**
+ * 获取当前认证方式
+ */
+function getAuthMode() {
+  return elements.authModeUser?.checked ? 'user' : 'app';
+}
+
+/**
+ * 更新认证方式UI
+ */
+function updateAuthUI(mode) {
+  if (elements.appSecretGroup) elements.appSecretGroup.style.display = mode === 'user' ? 'none' : 'block';
+  if (elements.userAuthConfig) elements.userAuthConfig.style.display = mode === 'user' ? 'block' : 'none';
+
+  if (mode === 'user') {
+    refreshAuthStatus();
+  }
+}
+
+/**
+ * 刷新飞书账号登录状态
+ */
+async function refreshAuthStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getAuthStatus',
+      feishuConfig: getFeishuConfig()
+    });
+
+    if (response.success) {
+      renderAuthStatus(response.data);
+    }
+  } catch (error) {
+    console.error('获取登录状态失败:', error);
+  }
+}
+
+/**
+ * 渲染飞书账号登录状态
+ */
+function renderAuthStatus({ signedIn, user, redirectUrl }) {
+  if (redirectUrl && elements.oauthRedirectUrl) {
+    elements.oauthRedirectUrl.textContent = redirectUrl;
+  }
+
+  elements.userAuthStatus.textContent = signedIn
+    ? `已登录${user?.name ? `：${user.name}` : ''}`
+    : '未登录';
+  elements.userAuthStatus.className = `auth-status ${signedIn ? 'signed-in' : ''}`;
+  elements.signInFeishu.textContent = signedIn ? '重新登录' : '使用飞书登录';
+  elements.signOutFeishu.style.display = signedIn ? 'inline-block' : 'none';
+}
+
+/**
+ * 处理飞书账号登录
+ */
+async function handleSignInFeishu() {
+  const config = getFeishuConfig();
+  const errors = [];
+
+  if (!config.appId) {
+    errors.push('请先填写 App ID');
+  }
+  if (!config.oauthTokenEndpoint) {
+    errors.push('请先填写令牌交换服务地址');
+  }
+
+  if (errors.length > 0) {
+    showStatus('error', '无法登录:\n' + errors.join('\n'));
+    return;
+  }
+
+  elements.signInFeishu.disabled = true;
+  hideStatus();
+
+  try {
+    await saveFeishuConfig(config);
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'signInFeishu',
+      feishuConfig: config
+    });
+
+    if (response.success) {
+      renderAuthStatus(response.data);
+      showStatus('success', '飞书账号登录成功');
+    } else {
+      showStatus('error', '飞书账号登录失败: ' + response.error);
+    }
+  } catch (error) {
+    console.error('飞书账号登录失败:', error);
+    showStatus('error', '飞书账号登录失败: ' + error.message);
+  } finally {
+    elements.signInFeishu.disabled = false;
+  }
+}
+
+/**
+ * 处理退出飞书账号登录
+ */
+async function handleSignOutFeishu() {
+  try {
+    await chrome.runtime.sendMessage({ action: 'signOutFeishu' });
+    renderAuthStatus({ signedIn: false, user: null });
+    updateConnectionStatus(false, '未连接到飞书');
+    showStatus('info', '已退出飞书账号登录');
+  } catch (error) {
+    console.error('退出登录失败:', error);
+    showStatus('error', '退出登录失败: ' + error.message);
+  }
+}
+
 /**
  * 加载设置
  */
 async function loadSettings() {
   try {
     // 加载配置模式
-    const modeResult = await chrome.storage.sync.get(['promptmaster_config_mode']);
+    const modeResult = await sendStorageMessage('getStorageItems', { keys: ['promptmaster_config_mode'] });
     const configMode = modeResult.promptmaster_config_mode || 'benefit';
 
     // 设置配置模式UI
@@ -215,25 +658,66 @@ async function loadSettings() {
     // 更新配置UI
     updateConfigUI(configMode);
 
-    // 加载飞书配置
-    const feishuResult = await chrome.storage.sync.get([CONFIG.STORAGE_KEYS.FEISHU_CONFIG]);
-    const feishuConfig = feishuResult[CONFIG.STORAGE_KEYS.FEISHU_CONFIG] || {};
+    // 加载飞书配置（凭据由后台解密）
+    const feishuResponse = await chrome.runtime.sendMessage({ action: 'getFeishuConfig' });
+    const feishuConfig = feishuResponse?.data || {};
+    credentialState.hasAppSecret = Boolean(feishuConfig.hasAppSecret);
 
+    if (elements.feishuRegion) {
+      elements.feishuRegion.value = feishuConfig.region || 'feishu';
+      updateRegionUI(elements.feishuRegion.value);
+    }
+    if (elements.customBaseUrl) {
+      elements.customBaseUrl.value = feishuConfig.customBaseUrl || '';
+    }
     if (elements.appId) {
       elements.appId.value = feishuConfig.appId || '';
     }
     if (elements.appSecret) {
-      elements.appSecret.value = feishuConfig.appSecret || '';
+      elements.appSecret.value = '';
+      elements.appSecret.placeholder = credentialState.hasAppSecret ? '已加密保存，留空则保持不变' : '请输入应用密钥';
+    }
+    if (elements.oauthTokenEndpoint) {
+      elements.oauthTokenEndpoint.value = feishuConfig.oauthTokenEndpoint || '';
+    }
+    await refreshVaultStatus();
+    if (feishuConfig.authMode === 'user' && elements.authModeUser) {
+      elements.authModeUser.checked = true;
+    } else if (elements.authModeApp) {
+      elements.authModeApp.checked = true;
     }
+    updateAuthUI(feishuConfig.authMode === 'user' ? 'user' : 'app');
     if (elements.bitableAppToken) {
       elements.bitableAppToken.value = feishuConfig.bitableAppToken || '';
     }
     if (elements.bitableTableId) {
       elements.bitableTableId.value = feishuConfig.bitableTableId || '';
     }
+    mappingState.mapping = feishuConfig.fieldMapping || {};
+
+    // 同步范围
+    const syncFilter = feishuConfig.syncFilter || {};
+    if (elements.syncViewId) {
+      elements.syncViewId.value = syncFilter.viewId || '';
+    }
+    if (elements.syncCategories) {
+      elements.syncCategories.value = (syncFilter.categories || []).join(', ');
+    }
+    if (elements.syncActiveOnly) {
+      elements.syncActiveOnly.checked = Boolean(syncFilter.activeOnly);
+    }
+
+    // 数据源
+    if (elements.primarySourceName) {
+      elements.primarySourceName.value = feishuConfig.sourceName || '';
+    }
+    if (elements.primarySourceWritable) {
+      elements.primarySourceWritable.checked = feishuConfig.writable !== false;
+    }
+    renderSourceList(feishuConfig.sources || []);
     
     // 加载插件设置
-    const settingsResult = await chrome.storage.sync.get([CONFIG.STORAGE_KEYS.SETTINGS]);
+    const settingsResult = await sendStorageMessage('getStorageItems', { keys: [CONFIG.STORAGE_KEYS.SETTINGS] });
     const settings = settingsResult[CONFIG.STORAGE_KEYS.SETTINGS] || DEFAULT_SETTINGS;
     
     elements.triggerChar.value = settings.triggerChar || '/';
@@ -317,7 +801,7 @@ async function handleTestConnection() {
   try {
     console.log('保存配置到存储...');
     // 临时保存配置用于测试
-    await chrome.storage.sync.set({ [CONFIG.STORAGE_KEYS.FEISHU_CONFIG]: config });
+    await saveFeishuConfig(config);
     
     console.log('清除缓存...');
     // 清除缓存的token
@@ -333,7 +817,14 @@ async function handleTestConnection() {
     
     if (response && response.success) {
       if (response.data && response.data.connected) {
-        showStatus('success', '连接测试成功！飞书API配置正确。');
+        if (response.data.schema && !response.data.schema.compatible) {
+          showStatus('error', '连接成功，但表格结构不满足要求，请查看下方检查结果。');
+        } else {
+          showStatus('success', '连接测试成功！飞书API配置正确。');
+        }
+        if (response.data.schema) {
+          renderSchemaReport(response.data.schema);
+        }
         updateConnectionStatus(true, '已连接到飞书');
       } else {
         showStatus('error', '连接测试失败，请检查配置信息。');
@@ -381,14 +872,17 @@ async function handleSaveSettings() {
       configToSave.bitableTableId = '';
     }
 
-    // 保存配置
-    await chrome.storage.sync.set({
-      [CONFIG.STORAGE_KEYS.FEISHU_CONFIG]: configToSave,
-      [CONFIG.STORAGE_KEYS.SETTINGS]: settings,
-      'promptmaster_config_mode': currentMode
+    // 保存配置，飞书凭据交给后台加密保存
+    await saveFeishuConfig({ ...configToSave, configMode: currentMode });
+    await sendStorageMessage('setStorageItems', {
+      items: {
+        [CONFIG.STORAGE_KEYS.SETTINGS]: settings,
+        'promptmaster_config_mode': currentMode
+      }
     });
     
     showStatus('success', '设置保存成功！');
+    loadStorageUsage();
     
     // 重新检查连接状态
     setTimeout(checkConnectionStatus, 1000);
@@ -421,7 +915,11 @@ async function handleResetSettings() {
 
   try {
     // 清除存储的配置
-    await chrome.storage.sync.remove([CONFIG.STORAGE_KEYS.FEISHU_CONFIG, CONFIG.STORAGE_KEYS.SETTINGS, 'promptmaster_config_mode']);
+    await sendStorageMessage('removeStorageItems', {
+      keys: [CONFIG.STORAGE_KEYS.FEISHU_CONFIG, CONFIG.STORAGE_KEYS.SETTINGS, 'promptmaster_config_mode']
+    });
+    await chrome.runtime.sendMessage({ action: 'clearCredentials' });
+    credentialState.hasAppSecret = false;
 
     // 重置为福利模式
     if (elements.modeBenefit) {
@@ -433,18 +931,43 @@ async function handleResetSettings() {
     updateConfigUI('benefit');
 
     // 重置表单
+    if (elements.feishuRegion) {
+      elements.feishuRegion.value = 'feishu';
+      updateRegionUI('feishu');
+    }
+    if (elements.customBaseUrl) {
+      elements.customBaseUrl.value = '';
+    }
     if (elements.appId) {
       elements.appId.value = '';
     }
     if (elements.appSecret) {
       elements.appSecret.value = '';
+      elements.appSecret.placeholder = '请输入应用密钥';
+    }
+    if (elements.oauthTokenEndpoint) {
+      elements.oauthTokenEndpoint.value = '';
+    }
+    await refreshVaultStatus();
+    if (elements.authModeApp) {
+      elements.authModeApp.checked = true;
     }
+    updateAuthUI('app');
     if (elements.bitableAppToken) {
       elements.bitableAppToken.value = '';
     }
     if (elements.bitableTableId) {
       elements.bitableTableId.value = '';
     }
+    mappingState.mapping = {};
+    mappingState.fieldNames = null;
+    if (elements.fieldMappingEditor) {
+      elements.fieldMappingEditor.innerHTML = '';
+      elements.fieldMappingEditor.style.display = 'none';
+    }
+    if (elements.saveFieldMapping) {
+      elements.saveFieldMapping.style.display = 'none';
+    }
     elements.triggerChar.value = DEFAULT_SETTINGS.triggerChar;
     elements.maxRecentItems.value = DEFAULT_SETTINGS.maxRecentItems;
     elements.autoRefreshEnabled.checked = DEFAULT_SETTINGS.autoRefresh.enabled;
@@ -465,11 +988,30 @@ async function handleResetSettings() {
  * 获取飞书配置
  */
 function getFeishuConfig() {
+  const authMode = getAuthMode();
+  const appSecret = elements.appSecret ? elements.appSecret.value.trim() : '';
+
+  const region = elements.feishuRegion ? elements.feishuRegion.value : 'feishu';
+
   return {
+    region,
+    customBaseUrl: region === 'custom' && elements.customBaseUrl ? elements.customBaseUrl.value.trim() : '',
+    authMode,
     appId: elements.appId ? elements.appId.value.trim() : '',
-    appSecret: elements.appSecret ? elements.appSecret.value.trim() : '',
+    // 账号登录模式下不保存 App Secret；留空时保持已保存的密钥（undefined 不会随消息发送）
+    appSecret: authMode === 'app' ? (appSecret || (credentialState.hasAppSecret ? undefined : '')) : '',
+    oauthTokenEndpoint: authMode === 'user' && elements.oauthTokenEndpoint ? elements.oauthTokenEndpoint.value.trim() : '',
     bitableAppToken: elements.bitableAppToken ? elements.bitableAppToken.value.trim() : '',
-    bitableTableId: elements.bitableTableId ? elements.bitableTableId.value.trim() : ''
+    bitableTableId: elements.bitableTableId ? elements.bitableTableId.value.trim() : '',
+    fieldMapping: mappingState.mapping,
+    syncFilter: buildSyncFilter(
+      elements.syncViewId ? elements.syncViewId.value : '',
+      elements.syncCategories ? elements.syncCategories.value : '',
+      elements.syncActiveOnly ? elements.syncActiveOnly.checked : false
+    ),
+    sourceName: elements.primarySourceName ? elements.primarySourceName.value.trim() : '',
+    writable: elements.primarySourceWritable ? elements.primarySourceWritable.checked : true,
+    sources: collectSources()
   };
 }
 
@@ -495,6 +1037,10 @@ function validateFeishuConfig(config) {
   const currentMode = elements.modeCustom?.checked ? 'custom' : 'benefit';
   const errors = [];
 
+  if (config.region === 'custom' && !/^https:\/\/[^/]+/.test(config.customBaseUrl)) {
+    errors.push('私有化部署地址必须是 https 开头的完整地址');
+  }
+
   // 所有模式都需要验证应用信息
   if (!config.appId) {
     errors.push('App ID 不能为空');
@@ -502,7 +1048,13 @@ function validateFeishuConfig(config) {
     errors.push('App ID 格式不正确，应以 "cli_" 开头');
   }
 
-  if (!config.appSecret) {
+  if (config.authMode === 'user') {
+    if (!config.oauthTokenEndpoint) {
+      errors.push('令牌交换服务地址不能为空');
+    } else if (!getHttpsOrigin(config.oauthTokenEndpoint)) {
+      errors.push('令牌交换服务地址必须是 https 开头的完整地址');
+    }
+  } else if (!config.appSecret && !credentialState.hasAppSecret) {
     errors.push('App Secret 不能为空');
   }
 
@@ -519,6 +1071,32 @@ function validateFeishuConfig(config) {
     }
   }
 
+  if (config.syncFilter.viewId && !config.syncFilter.viewId.startsWith('vew')) {
+    errors.push('视图 ID 格式不正确，应以 "vew" 开头');
+  }
+
+  // 附加数据源
+  (config.sources || []).forEach((source, index) => {
+    const name = source.name || `数据源 ${index + 1}`;
+
+    if (source.syncFilter.viewId && !source.syncFilter.viewId.startsWith('vew')) {
+      errors.push(`${name}：视图 ID 格式不正确，应以 "vew" 开头`);
+    }
+
+    if (!source.appId || !source.appId.startsWith('cli_')) {
+      errors.push(`${name}：App ID 格式不正确，应以 "cli_" 开头`);
+    }
+    if (source.appSecret === '') {
+      errors.push(`${name}：App Secret 不能为空`);
+    }
+    if (!source.bitableAppToken) {
+      errors.push(`${name}：多维表格 App Token 不能为空`);
+    }
+    if (!source.bitableTableId || !source.bitableTableId.startsWith('tbl')) {
+      errors.push(`${name}：数据表 ID 格式不正确，应以 "tbl" 开头`);
+    }
+  });
+
   if (errors.length > 0) {
     showStatus('error', '配置验证失败:\n' + errors.join('\n'));
     return false;
@@ -642,6 +1220,83 @@ function updatePermanentDataStatus(hasData, count, lastUpdated) {
   }
 }
 
+/**
+ * 加载存储用量报告
+ */
+async function loadStorageUsage() {
+  if (!elements.storageUsage) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getStorageUsage'
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    renderStorageUsage(response.data);
+  } catch (error) {
+    console.error('获取存储用量失败:', error);
+    elements.storageUsage.textContent = '无法获取存储用量';
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * 渲染存储用量，sync 存储逐项列出字节数和占总配额的比例
+ */
+function renderStorageUsage(usage) {
+  const container = elements.storageUsage;
+  container.innerHTML = '';
+
+  const addRow = (label, bytes, percent, note, isItem = false) => {
+    const row = document.createElement('div');
+    row.className = isItem ? 'storage-usage-row item' : 'storage-usage-row';
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'storage-usage-label';
+    labelElement.textContent = label;
+
+    const bar = document.createElement('div');
+    bar.className = 'storage-usage-bar';
+    const fill = document.createElement('div');
+    fill.style.width = `${Math.min(percent, 100)}%`;
+    if (percent >= 90) {
+      fill.className = 'danger';
+    } else if (percent >= 70) {
+      fill.className = 'warning';
+    }
+    bar.appendChild(fill);
+
+    const value = document.createElement('span');
+    value.className = 'storage-usage-value';
+    value.textContent = [`${formatBytes(bytes)}（${percent}%）`, note].filter(Boolean).join('，');
+
+    row.append(labelElement, bar, value);
+    container.appendChild(row);
+  };
+
+  addRow('sync 存储', usage.sync.bytesInUse, usage.sync.percent, `配额 ${formatBytes(usage.sync.quota)}`);
+  usage.sync.items.forEach(item => {
+    const notes = [];
+    if (item.shards > 0) notes.push(`分 ${item.shards} 片保存`);
+    if (item.location === 'local') notes.push('已转存到本机');
+    addRow(item.label, item.bytes, item.percent, notes.join('，'), true);
+  });
+
+  addRow('local 存储', usage.local.bytesInUse, usage.local.percent, `配额 ${formatBytes(usage.local.quota)}`);
+
+  if (usage.database) {
+    addRow('本地数据库', usage.database.bytesInUse, usage.database.percent, `可用 ${formatBytes(usage.database.quota)}`);
+  }
+}
+
 /**
  * 处理刷新数据
  */
@@ -668,10 +1323,21 @@ async function handleRefreshData() {
     });
     
     if (response.success) {
-      showStatus('success', `数据刷新成功！刷新时间: ${response.data.lastRefreshTime}`);
+      const { mode, updated, removed, total, lastRefreshTime, failed = [] } = response.data;
+      const summary = mode === 'delta'
+        ? `增量同步 ${updated} 条更新、${removed} 条删除，共 ${total} 条`
+        : `全量同步 ${total} 条${response.data.truncated ? '（已达到数据量上限，部分记录未同步）' : ''}`;
+
+      if (failed.length > 0) {
+        const details = failed.map(source => `${source.name}: ${source.error}`).join('\n');
+        showStatus('error', `部分数据源刷新失败，已保留其原有数据:\n${details}\n其余数据源${summary}`);
+      } else {
+        showStatus('success', `数据刷新成功！${summary}，刷新时间: ${lastRefreshTime}`);
+      }
       
       // 更新永久数据状态
       await checkPermanentDataStatus();
+      loadStorageUsage();
     } else {
       showStatus('error', '数据刷新失败: ' + response.error);
     }
@@ -707,6 +1373,7 @@ async function handleClearPermanentData() {
       
       // 更新永久数据状态
       await checkPermanentDataStatus();
+      loadStorageUsage();
     } else {
       showStatus('error', '清除永久数据失败');
     }
@@ -719,6 +1386,390 @@ async function handleClearPermanentData() {
   }
 }
 
+/**
+ * 处理读取表格字段
+ */
+async function handleLoadTableFields() {
+  const config = getFeishuConfig();
+
+  if (!validateFeishuConfig(config)) {
+    return;
+  }
+
+  elements.loadTableFields.disabled = true;
+  elements.loadTableFields.textContent = '读取中...';
+  hideStatus();
+
+  try {
+    // 先保存当前填写的配置，后台按最新配置读取字段
+    await saveFeishuConfig(config);
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'getTableFields'
+    });
+
+    if (response.success) {
+      const { fields, suggested, logicalFields } = response.data;
+      mappingState.fieldNames = fields.map(field => field.name);
+      renderFieldMappingEditor(logicalFields, mappingState.fieldNames, suggested);
+      showStatus('info', `已读取 ${fields.length} 个表格字段，请确认字段映射`);
+    } else {
+      showStatus('error', '读取表格字段失败: ' + response.error);
+    }
+  } catch (error) {
+    console.error('读取表格字段失败:', error);
+    showStatus('error', '读取表格字段失败: ' + error.message);
+  } finally {
+    elements.loadTableFields.disabled = false;
+    elements.loadTableFields.textContent = '读取表格字段';
+  }
+}
+
+/**
+ * 渲染字段映射编辑器
+ */
+function renderFieldMappingEditor(logicalFields, fieldNames, suggested) {
+  const editor = elements.fieldMappingEditor;
+  editor.innerHTML = '';
+
+  logicalFields.forEach(({ key, label, required }) => {
+    const labelElement = document.createElement('label');
+    labelElement.className = 'mapping-label';
+    labelElement.htmlFor = `mapping-${key}`;
+    labelElement.textContent = label;
+    if (required) {
+      const mark = document.createElement('span');
+      mark.className = 'required';
+      mark.textContent = '*';
+      labelElement.appendChild(mark);
+    }
+
+    const select = document.createElement('select');
+    select.id = `mapping-${key}`;
+    select.className = 'form-input';
+    select.dataset.field = key;
+
+    const emptyOption = document.createElement('option');
+    emptyOption.value = '';
+    emptyOption.textContent = '（不映射）';
+    select.appendChild(emptyOption);
+
+    fieldNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+
+    // 已保存的映射优先，其次使用自动识别结果
+    const saved = mappingState.mapping[key];
+    select.value = saved !== undefined && fieldNames.includes(saved) ? saved : (suggested[key] || '');
+
+    editor.appendChild(labelElement);
+    editor.appendChild(select);
+  });
+
+  editor.style.display = 'grid';
+  elements.saveFieldMapping.style.display = 'inline-block';
+}
+
+/**
+ * 处理保存字段映射
+ */
+async function handleSaveFieldMapping() {
+  const mapping = {};
+  elements.fieldMappingEditor.querySelectorAll('select[data-field]').forEach(select => {
+    mapping[select.dataset.field] = select.value;
+  });
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'saveFieldMapping',
+      fieldMapping: mapping,
+      fieldNames: mappingState.fieldNames
+    });
+
+    if (response.success) {
+      mappingState.mapping = mapping;
+      showStatus('success', '字段映射保存成功！刷新数据后生效。');
+    } else {
+      showStatus('error', '字段映射保存失败:\n' + response.error);
+    }
+  } catch (error) {
+    console.error('保存字段映射失败:', error);
+    showStatus('error', '保存字段映射失败: ' + error.message);
+  }
+}
+
+/**
+ * 处理后台发来的消息
+ */
+function handleRuntimeMessage(message) {
+  if (message.action === 'refreshProgress' && elements.refreshData.disabled) {
+    const { fetched, total, sourceName } = message;
+    const prefix = sourceName ? `刷新 ${sourceName}` : '刷新中';
+    elements.refreshData.textContent = total
+      ? `${prefix} ${Math.min(fetched, total)}/${total}`
+      : `${prefix} ${fetched}`;
+  }
+}
+
+/**
+ * 处理检查表格结构
+ */
+async function handleInspectSchema() {
+  const config = getFeishuConfig();
+
+  if (!validateFeishuConfig(config)) {
+    return;
+  }
+
+  elements.inspectSchema.disabled = true;
+  elements.inspectSchema.textContent = '检查中...';
+  hideStatus();
+
+  try {
+    await saveFeishuConfig(config);
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'inspectTableSchema'
+    });
+
+    if (response.success) {
+      renderSchemaReport(response.data);
+    } else {
+      showStatus('error', '检查表格结构失败: ' + response.error);
+    }
+  } catch (error) {
+    console.error('检查表格结构失败:', error);
+    showStatus('error', '检查表格结构失败: ' + error.message);
+  } finally {
+    elements.inspectSchema.disabled = false;
+    elements.inspectSchema.textContent = '检查表格结构';
+  }
+}
+
+/**
+ * 渲染表格结构检查结果
+ */
+function renderSchemaReport(report) {
+  const container = elements.schemaReport;
+  if (!container) return;
+
+  const lines = report.issues.map(issue => {
+    const icon = issue.severity === 'error' ? '❌' : '⚠️';
+    if (issue.problem === 'missing') {
+      return issue.column
+        ? `${icon} ${issue.label}：表格中缺少列「${issue.column}」`
+        : `${icon} ${issue.label}：未找到对应的列`;
+    }
+    const expected = issue.expectedTypes.map(type => FIELD_TYPE_NAMES[type] || type).join(' / ');
+    const actual = FIELD_TYPE_NAMES[issue.actualType] || issue.actualType;
+    return `${icon} ${issue.label}：列「${issue.column}」类型为${actual}，应为${expected}`;
+  });
+
+  if (lines.length === 0) {
+    lines.push('✅ 表格结构完整，所有提示词字段均已匹配');
+  } else if (report.compatible) {
+    lines.unshift('✅ 必需字段已匹配，以下可选字段缺失或类型不兼容：');
+  } else {
+    lines.unshift('表格缺少必需字段，可在"字段映射"中调整，或使用下方"创建表格"新建标准表格：');
+  }
+
+  container.className = `schema-report ${report.compatible ? 'compatible' : 'incompatible'}`;
+  container.textContent = lines.join('\n');
+  container.style.whiteSpace = 'pre-line';
+  container.style.display = 'block';
+}
+
+/**
+ * 处理自动创建提示词表格
+ */
+async function handleCreatePromptTable() {
+  const config = getFeishuConfig();
+  const tableName = elements.newTableName.value.trim() || '提示词库';
+  const errors = [];
+
+  const hasSecret = config.appSecret || credentialState.hasAppSecret;
+  if (!config.appId || (config.authMode === 'user' ? !config.oauthTokenEndpoint : !hasSecret)) {
+    errors.push(config.authMode === 'user' ? '请先填写 App ID 和令牌交换服务地址' : '请先填写 App ID 和 App Secret');
+  }
+  if (!config.bitableAppToken) {
+    errors.push('请先填写多维表格 App Token');
+  }
+
+  if (errors.length > 0) {
+    showStatus('error', '无法创建表格:\n' + errors.join('\n'));
+    return;
+  }
+
+  if (!confirm(`将在多维表格中创建数据表「${tableName}」，确定继续吗？`)) {
+    return;
+  }
+
+  elements.createPromptTable.disabled = true;
+  elements.createPromptTable.textContent = '创建中...';
+  hideStatus();
+
+  try {
+    await saveFeishuConfig(config);
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'createPromptTable',
+      appToken: config.bitableAppToken,
+      tableName
+    });
+
+    if (response.success) {
+      elements.bitableTableId.value = response.data.tableId;
+      mappingState.mapping = response.data.fieldMapping;
+
+      if (elements.modeCustom) {
+        elements.modeCustom.checked = true;
+      }
+      updateConfigUI('custom');
+
+      showStatus('success', `数据表「${tableName}」创建成功，已自动填写数据表 ID 和字段映射`);
+      updateConnectionStatus(false, '配置已修改，请重新测试连接');
+    } else {
+      showStatus('error', '创建表格失败: ' + response.error);
+    }
+  } catch (error) {
+    console.error('创建表格失败:', error);
+    showStatus('error', '创建表格失败: ' + error.message);
+  } finally {
+    elements.createPromptTable.disabled = false;
+    elements.createPromptTable.textContent = '创建表格';
+  }
+}
+
+/**
+ * 渲染附加数据源列表
+ */
+function renderSourceList(sources) {
+  if (!elements.sourceList) return;
+
+  elements.sourceList.innerHTML = '';
+  sources.forEach(source => addSourceCard(source));
+}
+
+/**
+ * 添加一个数据源编辑卡片
+ * App Secret 不回显，已保存时留空表示保持不变
+ */
+function addSourceCard(source = {}) {
+  const card = document.createElement('div');
+  card.className = 'source-card';
+  card.dataset.sourceId = source.id || `src_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  card.dataset.hasAppSecret = source.hasAppSecret ? 'true' : '';
+
+  const syncFilter = source.syncFilter || {};
+  const fields = [
+    { key: 'name', label: '名称', placeholder: '团队提示词库', value: source.name },
+    { key: 'appId', label: 'App ID', placeholder: 'cli_xxxxxxxxxxxxxxxx', value: source.appId },
+    { key: 'appSecret', label: 'App Secret', placeholder: source.hasAppSecret ? '已加密保存，留空则保持不变' : '请输入应用密钥', type: 'password' },
+    { key: 'bitableAppToken', label: '多维表格 App Token', placeholder: 'bascnxxxxxxxxxx', value: source.bitableAppToken },
+    { key: 'bitableTableId', label: '数据表 ID', placeholder: 'tblxxxxxxxxxx', value: source.bitableTableId },
+    { key: 'syncViewId', label: '视图 ID（可选）', placeholder: 'vewxxxxxxxx', value: syncFilter.viewId },
+    { key: 'syncCategories', label: '只同步以下分类（可选）', placeholder: '多个分类用逗号分隔', value: (syncFilter.categories || []).join(', ') }
+  ];
+
+  const grid = document.createElement('div');
+  grid.className = 'source-card-grid';
+
+  fields.forEach(({ key, label, placeholder, type, value }) => {
+    const group = document.createElement('div');
+    const labelElement = document.createElement('label');
+    labelElement.className = 'form-label';
+    labelElement.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = type || 'text';
+    input.className = 'form-input';
+    input.dataset.field = key;
+    input.placeholder = placeholder;
+    input.value = value || '';
+
+    group.appendChild(labelElement);
+    group.appendChild(input);
+    grid.appendChild(group);
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'source-card-footer';
+
+  const writableLabel = document.createElement('label');
+  const writable = document.createElement('input');
+  writable.type = 'checkbox';
+  writable.dataset.field = 'writable';
+  writable.checked = Boolean(source.writable);
+  writableLabel.appendChild(writable);
+  writableLabel.appendChild(document.createTextNode(' 允许写入'));
+
+  const activeOnlyLabel = document.createElement('label');
+  const activeOnly = document.createElement('input');
+  activeOnly.type = 'checkbox';
+  activeOnly.dataset.field = 'syncActiveOnly';
+  activeOnly.checked = Boolean(syncFilter.activeOnly);
+  activeOnlyLabel.appendChild(activeOnly);
+  activeOnlyLabel.appendChild(document.createTextNode(' 只同步已启用的提示词'));
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'btn btn-secondary';
+  removeButton.textContent = '移除';
+  removeButton.addEventListener('click', () => {
+    card.remove();
+    hideStatus();
+  });
+
+  footer.appendChild(writableLabel);
+  footer.appendChild(activeOnlyLabel);
+  footer.appendChild(removeButton);
+
+  card.appendChild(grid);
+  card.appendChild(footer);
+  elements.sourceList.appendChild(card);
+}
+
+/**
+ * 读取附加数据源配置
+ */
+function collectSources() {
+  if (!elements.sourceList) return [];
+
+  return Array.from(elements.sourceList.querySelectorAll('.source-card')).map(card => {
+    const read = key => card.querySelector(`[data-field="${key}"]`).value.trim();
+    const appSecret = read('appSecret');
+
+    return {
+      id: card.dataset.sourceId,
+      name: read('name'),
+      appId: read('appId'),
+      // 留空时保持已保存的密钥（undefined 不会随消息发送）
+      appSecret: appSecret || (card.dataset.hasAppSecret ? undefined : ''),
+      bitableAppToken: read('bitableAppToken'),
+      bitableTableId: read('bitableTableId'),
+      syncFilter: buildSyncFilter(
+        read('syncViewId'),
+        read('syncCategories'),
+        card.querySelector('[data-field="syncActiveOnly"]').checked
+      ),
+      writable: card.querySelector('[data-field="writable"]').checked
+    };
+  });
+}
+
+/**
+ * 根据表单内容生成同步范围
+ */
+function buildSyncFilter(viewId, categoriesText, activeOnly) {
+  return {
+    viewId: viewId.trim(),
+    activeOnly: Boolean(activeOnly),
+    categories: categoriesText.split(/[,，]/).map(category => category.trim()).filter(Boolean)
+  };
+}
+
 /**
  * 处理错误
  */
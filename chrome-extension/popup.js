@@ -10,6 +10,7 @@ const CONFIG = {
   MIN_SEARCH_LENGTH: 2,
   STORAGE_KEYS: {
     RECENT_PROMPTS: 'recent_prompts',
+    SOURCE_FILTER: 'promptmaster_source_filter',
     SETTINGS: 'promptmaster_settings',
     FEISHU_CONFIG: 'promptmaster_feishu_config'
   },
@@ -45,11 +46,16 @@ const elements = {
   configBtn: null,
   searchInput: null,
   searchBtn: null,
+  searchSuggestions: null,
+  sourceFilter: null,
   openManagerBtn: null,
   createPromptBtn: null,
   captureBtn: null,
   promptsList: null,
   promptsLoading: null,
+  outboxSection: null,
+  outboxList: null,
+  outboxRetryBtn: null,
   totalPrompts: null,
   todayUsage: null,
   weekUsage: null,
@@ -57,6 +63,10 @@ const elements = {
   helpBtn: null,
   refreshBtn: null,
   searchModal: null,
+  templateModal: null,
+  templateTitle: null,
+  templateForm: null,
+  templateError: null,
   searchResults: null,
   searchLoading: null,
   closeSearchBtn: null,
@@ -72,6 +82,8 @@ const elements = {
 const state = {
   isConnected: false,
   prompts: [],
+  sources: [],
+  sourceFilter: '',
   expandedPromptId: null,
   stats: {
     total: 0,
@@ -79,9 +91,31 @@ const state = {
     weekUsage: 0,
   },
   searchResults: [],
+  // 搜索框末尾筛选前缀的补全候选，start/end 为被替换的范围
+  searchSuggestions: { start: 0, end: 0, suggestions: [] },
+  // 展开的提示词的引用关系：引用的别名和引用了它的提示词
+  promptReferences: new Map(),
+  outbox: [],
   cache: new Map(),
 };
 
+// 写入队列状态与操作类型的显示文字
+const OUTBOX_STATUS_LABELS = {
+  pending: '待同步',
+  failed: '失败',
+  conflict: '冲突',
+  synced: '已同步'
+};
+
+// 冲突合并结果中的冲突标记，需要用户处理后才能提交
+const CONFLICT_MARKER_PATTERN = /^(<{7} |={7}$|>{7} )/m;
+
+const OUTBOX_TYPE_LABELS = {
+  create: '新建',
+  update: '修改',
+  delete: '删除'
+};
+
 // 搜索防抖定时器
 let searchDebounceTimer = null;
 
@@ -101,11 +135,16 @@ function initializeElements() {
   elements.configBtn = document.getElementById('configBtn');
   elements.searchInput = document.getElementById('searchInput');
   elements.searchBtn = document.getElementById('searchBtn');
+  elements.searchSuggestions = document.getElementById('searchSuggestions');
+  elements.sourceFilter = document.getElementById('sourceFilter');
   elements.openManagerBtn = document.getElementById('openManagerBtn');
   elements.createPromptBtn = document.getElementById('createPromptBtn');
   elements.captureBtn = document.getElementById('captureBtn');
   elements.promptsList = document.getElementById('promptsList');
   elements.promptsLoading = document.getElementById('promptsLoading');
+  elements.outboxSection = document.getElementById('outboxSection');
+  elements.outboxList = document.getElementById('outboxList');
+  elements.outboxRetryBtn = document.getElementById('outboxRetryBtn');
   
   // 创建提示词相关元素
   elements.createModal = document.getElementById('createModal');
@@ -121,6 +160,10 @@ function initializeElements() {
   elements.helpBtn = document.getElementById('helpBtn');
   elements.refreshBtn = document.getElementById('refreshBtn');
   elements.searchModal = document.getElementById('searchModal');
+  elements.templateModal = document.getElementById('templateModal');
+  elements.templateTitle = document.getElementById('templateTitle');
+  elements.templateForm = document.getElementById('templateForm');
+  elements.templateError = document.getElementById('templateError');
   elements.searchResults = document.getElementById('searchResults');
   elements.searchLoading = document.getElementById('searchLoading');
   elements.closeSearchBtn = document.getElementById('closeSearchBtn');
@@ -134,9 +177,23 @@ function bindEvents() {
     elements.searchInput.addEventListener('keydown', handleSearchKeydown);
   }
   
+  if (elements.searchSuggestions) {
+    elements.searchSuggestions.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-index]');
+      if (item) {
+        applySearchSuggestion(state.searchSuggestions.suggestions[Number(item.dataset.index)]);
+      }
+    });
+  }
+  
   if (elements.searchBtn) {
     elements.searchBtn.addEventListener('click', handleSearchClick);
   }
+
+  // 数据源筛选
+  if (elements.sourceFilter) {
+    elements.sourceFilter.addEventListener('change', handleSourceFilterChange);
+  }
   
   // 配置按钮
   if (elements.configBtn) {
@@ -217,6 +274,24 @@ function bindEvents() {
     });
   });
   
+  // 同步队列
+  if (elements.outboxRetryBtn) {
+    elements.outboxRetryBtn.addEventListener('click', () => handleRetryOutbox());
+  }
+
+  if (elements.outboxList) {
+    elements.outboxList.addEventListener('click', handleOutboxClick);
+  }
+
+  // 后台重放写入队列后刷新队列状态和提示词列表
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'outboxChanged') {
+      state.cache.delete('prompts_list');
+      loadOutbox();
+      loadPrompts();
+    }
+  });
+
   // 键盘快捷键
   document.addEventListener('keydown', handleGlobalKeydown);
 }
@@ -239,9 +314,11 @@ async function initializeData() {
     
     // 并行加载数据
     await Promise.all([
+      loadSources(),
       loadPrompts(),
       loadStats(),
-      loadAutoRefreshStatus()
+      loadAutoRefreshStatus(),
+      loadOutbox()
     ]);
   } catch (error) {
     console.error('初始化数据失败:', error);
@@ -326,6 +403,235 @@ async function loadPrompts() {
   }
 }
 
+// 加载数据源列表，只有一个数据源时不显示筛选
+async function loadSources() {
+  try {
+    const [sources, stored] = await Promise.all([
+      sendMessage('getPromptSources'),
+      chrome.storage.local.get([CONFIG.STORAGE_KEYS.SOURCE_FILTER])
+    ]);
+
+    state.sources = Array.isArray(sources) ? sources : [];
+    const savedFilter = stored[CONFIG.STORAGE_KEYS.SOURCE_FILTER] || '';
+    state.sourceFilter = state.sources.some(source => source.id === savedFilter) ? savedFilter : '';
+
+    renderSourceFilter();
+    renderPrompts();
+  } catch (error) {
+    console.error('加载数据源失败:', error);
+    state.sources = [];
+  }
+}
+
+// 渲染数据源筛选
+function renderSourceFilter() {
+  if (!elements.sourceFilter) return;
+
+  const options = state.sources.map(source =>
+    `<option value="${escapeHtml(source.id)}">${escapeHtml(source.name)}（${source.count}）</option>`
+  );
+  elements.sourceFilter.innerHTML = `<option value="">全部数据源</option>${options.join('')}`;
+  elements.sourceFilter.value = state.sourceFilter;
+  elements.sourceFilter.style.display = state.sources.length > 1 ? 'block' : 'none';
+}
+
+// 处理数据源筛选变化
+function handleSourceFilterChange() {
+  state.sourceFilter = elements.sourceFilter.value;
+  state.expandedPromptId = null;
+  chrome.storage.local.set({ [CONFIG.STORAGE_KEYS.SOURCE_FILTER]: state.sourceFilter });
+  renderPrompts();
+}
+
+// 获取当前数据源筛选下的提示词
+function getVisiblePrompts() {
+  if (!state.sourceFilter) return state.prompts;
+  return state.prompts.filter(prompt => (prompt.sourceId || 'default') === state.sourceFilter);
+}
+
+// 获取提示词所属数据源名称
+function getSourceName(prompt) {
+  if (state.sources.length <= 1) return '';
+  const source = state.sources.find(item => item.id === (prompt.sourceId || 'default'));
+  return source ? source.name : (prompt.sourceName || '');
+}
+
+// 加载写入队列
+async function loadOutbox() {
+  try {
+    const data = await sendMessage('getOutbox');
+    state.outbox = data?.items || [];
+    renderOutbox();
+  } catch (error) {
+    console.error('加载同步队列失败:', error);
+  }
+}
+
+// 渲染写入队列，没有记录时隐藏
+function renderOutbox() {
+  if (!elements.outboxSection || !elements.outboxList) return;
+
+  elements.outboxSection.style.display = state.outbox.length > 0 ? 'block' : 'none';
+  elements.outboxRetryBtn.style.display = state.outbox.some(item => ['pending', 'failed'].includes(item.status)) ? 'inline-block' : 'none';
+
+  elements.outboxList.innerHTML = state.outbox.map(item => `
+    <div class="outbox-item" data-id="${escapeHtml(item.id)}">
+      <span class="outbox-status ${item.status}">${OUTBOX_STATUS_LABELS[item.status] || item.status}</span>
+      <div class="outbox-info">
+        <div class="outbox-title">${OUTBOX_TYPE_LABELS[item.type] || ''} · ${escapeHtml(item.title || '')}</div>
+        ${item.lastError ? `<div class="outbox-error" title="${escapeHtml(item.lastError)}">${escapeHtml(item.lastError)}</div>` : ''}
+      </div>
+      ${item.status === 'conflict' ? `
+        <button class="outbox-action" data-action="resolve" title="处理冲突">处理</button>
+      ` : ''}
+      ${['pending', 'failed'].includes(item.status) ? `
+        <button class="outbox-action" data-action="retry" title="重试">重试</button>
+      ` : ''}
+      ${item.status === 'synced' ? '' : `
+        <button class="outbox-action" data-action="discard" title="放弃">放弃</button>
+      `}
+    </div>
+  `).join('');
+}
+
+// 处理写入队列项操作
+async function handleOutboxClick(e) {
+  const button = e.target.closest('.outbox-action');
+  if (!button) return;
+
+  const id = button.closest('.outbox-item')?.dataset.id;
+  if (button.dataset.action === 'retry') {
+    await handleRetryOutbox(id);
+  } else if (button.dataset.action === 'discard') {
+    await handleDiscardOutboxItem(id);
+  } else if (button.dataset.action === 'resolve') {
+    await showConflictModal(id);
+  }
+}
+
+// 显示冲突处理弹窗：逐行对比飞书版本和本地修改，可选择保留任一方或编辑合并结果
+async function showConflictModal(id) {
+  let conflict;
+  try {
+    conflict = await sendMessage('getConflict', { id });
+  } catch (error) {
+    console.error('获取冲突详情失败:', error);
+    showToast('获取冲突详情失败');
+    await loadOutbox();
+    return;
+  }
+
+  const isUpdate = conflict.type === 'update';
+  const diffHTML = conflict.diff.map(line => {
+    const prefix = line.type === 'add' ? '+' : line.type === 'remove' ? '-' : ' ';
+    return `<div class="diff-line ${line.type}">${prefix} ${escapeHtml(line.text)}</div>`;
+  }).join('');
+
+  const modal = document.createElement('div');
+  modal.className = 'prompt-detail-modal conflict-modal';
+  modal.innerHTML = `
+    <div class="modal-overlay" data-action="close-modal"></div>
+    <div class="modal-content">
+      <div class="modal-header">
+        <h3 class="modal-title">处理修改冲突</h3>
+        <button class="modal-close" data-action="close-modal">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </div>
+      <div class="modal-body">
+        <div class="conflict-summary">
+          ${isUpdate
+            ? `「${escapeHtml(conflict.theirs.title || '')}」在你修改后，飞书中的版本也被修改过。`
+            : `你删除了「${escapeHtml(conflict.theirs.title || '')}」，但飞书中的版本在此之后被修改过。`}
+          ${conflict.conflictFields.length > 0 ? `<br>双方都修改了：${conflict.conflictFields.map(escapeHtml).join('、')}` : ''}
+        </div>
+        <div class="prompt-content-section">
+          <label>内容差异（<span class="diff-legend remove">- 飞书版本</span> <span class="diff-legend add">+ 我的修改</span>）</label>
+          <div class="conflict-diff">${diffHTML}</div>
+        </div>
+        ${isUpdate ? `
+          <div class="prompt-content-section">
+            <label>合并结果（可编辑）</label>
+            <textarea class="conflict-merge" rows="8">${escapeHtml(conflict.merged?.content || '')}</textarea>
+          </div>
+        ` : ''}
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" data-action="theirs">保留飞书版本</button>
+        <button class="btn btn-secondary" data-action="mine">${isUpdate ? '保留我的修改' : '仍然删除'}</button>
+        ${isUpdate ? '<button class="btn btn-primary" data-action="merge">使用合并结果</button>' : ''}
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', async (e) => {
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    if (!action) return;
+
+    if (action === 'close-modal') {
+      document.body.removeChild(modal);
+      return;
+    }
+
+    const params = { id, resolution: action };
+    if (action === 'merge') {
+      const content = modal.querySelector('.conflict-merge').value;
+      if (CONFLICT_MARKER_PATTERN.test(content)) {
+        showToast('请先处理合并结果中的冲突标记');
+        return;
+      }
+      params.promptData = { ...conflict.merged, content };
+    }
+
+    try {
+      const data = await sendMessage('resolveConflict', params);
+      document.body.removeChild(modal);
+      state.outbox = data?.items || [];
+      state.cache.delete('prompts_list');
+      renderOutbox();
+      await loadPrompts();
+      showToast('冲突已处理');
+    } catch (error) {
+      console.error('处理冲突失败:', error);
+      showToast(`处理失败: ${error.message}`);
+    }
+  });
+}
+
+// 重试写入队列，不指定 id 时重试全部
+async function handleRetryOutbox(id = null) {
+  try {
+    const data = await sendMessage('retryOutbox', { id });
+    state.outbox = data?.items || [];
+    renderOutbox();
+
+    const remaining = state.outbox.filter(item => item.status !== 'synced').length;
+    showToast(remaining > 0 ? `仍有 ${remaining} 项未同步` : '已全部同步');
+  } catch (error) {
+    console.error('重试同步失败:', error);
+    showToast('重试失败');
+  }
+}
+
+// 放弃写入队列项
+async function handleDiscardOutboxItem(id) {
+  try {
+    const data = await sendMessage('discardOutboxItem', { id });
+    state.outbox = data?.items || [];
+    state.cache.delete('prompts_list');
+    renderOutbox();
+    await loadPrompts();
+  } catch (error) {
+    console.error('放弃同步项失败:', error);
+    showToast('操作失败');
+  }
+}
+
 // 加载统计数据
 async function loadStats() {
   try {
@@ -389,7 +695,9 @@ function renderPrompts() {
     return;
   }
   
-  if (state.prompts.length === 0) {
+  const prompts = getVisiblePrompts();
+
+  if (prompts.length === 0) {
     console.log('显示空状态');
     elements.promptsList.innerHTML = `
       <div class="empty-state">
@@ -405,7 +713,7 @@ function renderPrompts() {
   }
   
   console.log('生成HTML内容...');
-  const html = state.prompts.map(prompt => {
+  const html = prompts.map(prompt => {
     console.log('处理提示词:', prompt.title || prompt.id);
     return createPromptBlockHTML(prompt);
   }).join('');
@@ -438,49 +746,77 @@ function createPromptBlockHTML(prompt) {
   const category = prompt.category || '未分类';
   const alias = prompt.alias || '';
   const tags = prompt.tags || [];
+  // 搜索结果附带的匹配位置
+  const highlights = prompt.highlights || {};
   
   // 构建小方块展示内容
   const blocks = [];
   
   // 标题块
   if (prompt.title) {
-    blocks.push(`<span class="prompt-block title-block">${escapeHtml(prompt.title)}</span>`);
+    blocks.push(`<span class="prompt-block title-block">${highlightText(prompt.title, highlights.title)}</span>`);
   }
   
   // 别名块
   if (alias) {
-    blocks.push(`<span class="prompt-block alias-block">${escapeHtml(alias)}</span>`);
+    blocks.push(`<span class="prompt-block alias-block">${highlightText(alias, highlights.alias)}</span>`);
   }
   
+  // 数据源块，只有多个数据源时显示
+  const sourceName = getSourceName(prompt);
+  if (sourceName) {
+    blocks.push(`<span class="prompt-block source-block">${escapeHtml(sourceName)}</span>`);
+  }
+
+  // 收藏
+  if (prompt.favorite) {
+    blocks.push('<span class="prompt-block favorite-block" title="已收藏">★</span>');
+  }
+
+  // 尚未同步到飞书的本地修改
+  if (prompt.pendingSync) {
+    blocks.push('<span class="prompt-block pending-block">待同步</span>');
+  }
+
+  // 同步下来的内容模板语法有误，插入时会失败
+  if (prompt.templateErrors?.length > 0) {
+    blocks.push(`<span class="prompt-block template-error-block" title="${escapeHtml(prompt.templateErrors.join('\n'))}">模板有误</span>`);
+  }
+
   // 分类块
   blocks.push(`<span class="prompt-block category-block">${escapeHtml(category)}</span>`);
   
   // 标签块
   if (tags.length > 0) {
-    const displayTags = tags.slice(0, 3).map(tag => escapeHtml(tag)).join(', ');
+    const displayTags = tags.slice(0, 3).map((tag, index) => highlightText(tag, highlights.tags?.[index])).join(', ');
     const tagText = tags.length > 3 ? `${displayTags}...` : displayTags;
     blocks.push(`<span class="prompt-block tags-block">${tagText}</span>`);
   }
   
   const blocksHTML = blocks.join('<span class="block-separator">\\</span>');
   const isExpanded = state.expandedPromptId === prompt.id;
+  const snippet = highlights.snippet;
+  const references = isExpanded ? state.promptReferences.get(prompt.id) : null;
   
   return `
     <div class="prompt-block-item ${isExpanded ? 'expanded' : ''}" data-id="${prompt.id}">
       <div class="prompt-blocks-display" data-action="toggle">
         ${blocksHTML}
       </div>
+      ${!isExpanded && snippet?.ranges.length > 0 ? `<div class="prompt-snippet" data-action="toggle">${highlightText(snippet.text, snippet.ranges)}</div>` : ''}
       ${isExpanded ? `
         <div class="prompt-detail-content">
           <div class="prompt-full-info">
             <div class="prompt-title">${escapeHtml(prompt.title || '')}</div>
-            ${prompt.description ? `<div class="prompt-description">${escapeHtml(prompt.description)}</div>` : ''}
-            <div class="prompt-content">${escapeHtml(prompt.content || '').replace(/\n/g, '<br>')}</div>
+            ${prompt.description ? `<div class="prompt-description">${highlightText(prompt.description, highlights.description)}</div>` : ''}
+            <div class="prompt-content">${highlightText(prompt.content || '', highlights.content).replace(/\n/g, '<br>')}</div>
             <div class="prompt-meta">
               <span class="meta-item">分类: ${escapeHtml(category)}</span>
+              ${sourceName ? `<span class="meta-item">来源: ${escapeHtml(sourceName)}</span>` : ''}
               ${alias ? `<span class="meta-item">别名: ${escapeHtml(alias)}</span>` : ''}
               ${tags.length > 0 ? `<span class="meta-item">标签: ${tags.map(tag => escapeHtml(tag)).join(', ')}</span>` : ''}
               <span class="meta-item">更新: ${formatDate(prompt.updatedAt)}</span>
+              ${createReferencesHTML(references)}
             </div>
           </div>
           <div class="prompt-actions">
@@ -491,6 +827,12 @@ function createPromptBlockHTML(prompt) {
               </svg>
               复制
             </button>
+            <button class="action-btn" data-action="favorite" title="${prompt.favorite ? '取消收藏' : '收藏'}">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="${prompt.favorite ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+              </svg>
+              ${prompt.favorite ? '已收藏' : '收藏'}
+            </button>
             <button class="action-btn primary" data-action="use" title="使用提示词">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M5 12h14m-7-7l7 7-7 7"></path>
@@ -505,6 +847,24 @@ function createPromptBlockHTML(prompt) {
 }
 
 
+// 生成引用关系：引用的别名，已不存在的标红；以及引用了该提示词的其他提示词
+function createReferencesHTML(references) {
+  if (!references) return '';
+  
+  const items = [];
+  if (references.includes.length > 0) {
+    const includes = references.includes.map(item => item.exists
+      ? escapeHtml(item.alias)
+      : `<span class="reference-missing" title="引用的提示词已不存在">${escapeHtml(item.alias)}（不存在）</span>`);
+    items.push(`<span class="meta-item">引用: ${includes.join(', ')}</span>`);
+  }
+  if (references.usedBy.length > 0) {
+    const usedBy = references.usedBy.map(item => escapeHtml(item.title || item.alias || item.id));
+    items.push(`<span class="meta-item">被引用: ${usedBy.join(', ')}</span>`);
+  }
+  return items.join('');
+}
+
 // 绑定提示词小方块事件
 function bindPromptBlockEvents(container) {
   // 移除之前的事件监听器（如果存在）
@@ -535,6 +895,8 @@ function bindPromptBlockEvents(container) {
     } else if (action === 'use') {
       console.log('执行use操作');
       await handleUsePrompt(promptId);
+    } else if (action === 'favorite') {
+      await handleToggleFavorite(promptId);
     } else {
       console.log('未识别的action或无action，默认执行toggle');
       // 如果没有明确的action，默认执行toggle
@@ -565,6 +927,35 @@ function togglePromptExpansion(promptId) {
   console.log('新的展开状态:', state.expandedPromptId);
   // 重新渲染
   renderPrompts();
+  if (elements.searchModal?.classList.contains('show')) {
+    renderSearchResults();
+  }
+  
+  if (state.expandedPromptId) {
+    loadPromptReferences(state.expandedPromptId);
+  }
+}
+
+// 加载展开的提示词的引用关系，加载完成后重新渲染
+async function loadPromptReferences(promptId) {
+  const prompt = await getPromptById(promptId);
+  if (!prompt || (!prompt.alias && !/\{\{>/.test(prompt.content || ''))) return;
+  
+  try {
+    const references = await sendMessage('getPromptReferences', {
+      prompt: { id: prompt.id, sourceId: prompt.sourceId, alias: prompt.alias, content: prompt.content }
+    });
+    state.promptReferences.set(promptId, references);
+    
+    if (state.expandedPromptId === promptId) {
+      renderPrompts();
+      if (elements.searchModal?.classList.contains('show')) {
+        renderSearchResults();
+      }
+    }
+  } catch (error) {
+    console.error('加载引用关系失败:', error);
+  }
 }
 
 // 显示提示词详情
@@ -646,6 +1037,9 @@ async function showPromptDetail(promptId) {
 function handleSearchInput(e) {
   const query = e.target.value.trim();
   
+  // 光标前正在输入筛选前缀时给出补全
+  loadSearchSuggestions(e.target.value.slice(0, e.target.selectionStart));
+  
   // 清除之前的定时器
   if (searchDebounceTimer) {
     clearTimeout(searchDebounceTimer);
@@ -661,6 +1055,13 @@ function handleSearchInput(e) {
 
 // 处理搜索键盘事件
 function handleSearchKeydown(e) {
+  // Tab 采用第一个补全候选
+  if (e.key === 'Tab' && state.searchSuggestions.suggestions.length > 0) {
+    e.preventDefault();
+    applySearchSuggestion(state.searchSuggestions.suggestions[0]);
+    return;
+  }
+  
   if (e.key === 'Enter') {
     e.preventDefault();
     const query = e.target.value.trim();
@@ -670,6 +1071,49 @@ function handleSearchKeydown(e) {
   }
 }
 
+// 加载搜索补全
+async function loadSearchSuggestions(query) {
+  try {
+    const data = await sendMessage('getSearchSuggestions', { query });
+    // 等待期间输入已变化时丢弃结果
+    if (elements.searchInput?.value.slice(0, elements.searchInput.selectionStart) !== query) return;
+    
+    state.searchSuggestions = data || { start: 0, end: 0, suggestions: [] };
+  } catch (error) {
+    state.searchSuggestions = { start: 0, end: 0, suggestions: [] };
+  }
+  renderSearchSuggestions();
+}
+
+// 渲染搜索补全
+function renderSearchSuggestions() {
+  if (!elements.searchSuggestions) return;
+  
+  const { suggestions } = state.searchSuggestions;
+  elements.searchSuggestions.innerHTML = suggestions.map((suggestion, index) => `
+    <span class="search-suggestion" data-index="${index}" title="${escapeHtml(suggestion.text)}">
+      ${escapeHtml(suggestion.label)}${suggestion.count ? `<span class="search-suggestion-count">${suggestion.count}</span>` : ''}
+    </span>
+  `).join('');
+  elements.searchSuggestions.style.display = suggestions.length > 0 ? 'flex' : 'none';
+}
+
+// 用补全候选替换正在输入的筛选前缀
+function applySearchSuggestion(suggestion) {
+  const input = elements.searchInput;
+  if (!input || !suggestion) return;
+  
+  const { start, end } = state.searchSuggestions;
+  const before = input.value.slice(0, start) + suggestion.text + ' ';
+  input.value = before + input.value.slice(end).replace(/^\s+/, '');
+  input.setSelectionRange(before.length, before.length);
+  input.focus();
+  
+  state.searchSuggestions = { start: 0, end: 0, suggestions: [] };
+  renderSearchSuggestions();
+  performSearch(input.value.trim());
+}
+
 // 处理搜索按钮点击
 function handleSearchClick() {
   const query = elements.searchInput?.value.trim();
@@ -684,19 +1128,13 @@ async function performSearch(query) {
     showSearchModal();
     showSearchLoading(true);
     
-    const data = await sendMessage('searchPrompts', { query });
+    const data = await sendMessage('searchPrompts', {
+      keyword: query,
+      filter: state.sourceFilter ? { sourceId: state.sourceFilter } : {}
+    });
     
-    // 处理API返回的数据结构
-    if (Array.isArray(data)) {
-      state.searchResults = data;
-    } else if (data && Array.isArray(data.items)) {
-      // 如果返回的是分页数据结构
-      state.searchResults = data.items;
-      console.log('搜索结果分页信息:', data.pagination);
-    } else {
-      console.warn('搜索API返回的数据格式不正确:', data);
-      state.searchResults = [];
-    }
+    // 本地搜索结果按相关度排序，并附带匹配位置
+    state.searchResults = data?.prompts || [];
     
     console.log('搜索完成，找到', state.searchResults.length, '个结果');
     renderSearchResults();
@@ -725,11 +1163,11 @@ function renderSearchResults() {
     return;
   }
   
-  const html = state.searchResults.map(prompt => createPromptItemHTML(prompt)).join('');
+  const html = state.searchResults.map(prompt => createPromptBlockHTML(prompt)).join('');
   elements.searchResults.innerHTML = html;
   
   // 绑定点击事件
-  bindPromptItemEvents(elements.searchResults);
+  bindPromptBlockEvents(elements.searchResults);
 }
 
 // 显示搜索加载状态
@@ -780,7 +1218,10 @@ async function handleCopyPrompt(promptId) {
   try {
     const prompt = await getPromptById(promptId);
     if (prompt) {
-      await navigator.clipboard.writeText(prompt.content);
+      const text = await resolvePromptText(prompt);
+      if (text === null) return;
+      
+      await navigator.clipboard.writeText(text);
       showToast('已复制到剪贴板');
       
       // 记录使用
@@ -788,7 +1229,7 @@ async function handleCopyPrompt(promptId) {
     }
   } catch (error) {
     console.error('复制失败:', error);
-    showToast('复制失败');
+    showToast(`复制失败：${error.message}`);
   }
 }
 
@@ -797,16 +1238,24 @@ async function handleUsePrompt(promptId) {
   try {
     const prompt = await getPromptById(promptId);
     if (prompt) {
-      // 发送消息到content script
+      const text = await resolvePromptText(prompt);
+      if (text === null) return;
+      
+      // 发送消息到content script，插入到页面当前的输入框
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab) {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'INSERT_PROMPT',
-          data: {
-            content: prompt.content,
-            variables: prompt.variables || [],
-          },
-        });
+        const response = await chrome.tabs.sendMessage(tab.id, {
+          action: 'insertPrompt',
+          text
+        }).catch(() => null);
+        
+        // 页面中没有可插入的输入框时复制到剪贴板
+        if (!response?.success) {
+          await navigator.clipboard.writeText(text);
+          showToast('未找到输入框，已复制到剪贴板');
+          recordPromptUsage(promptId);
+          return;
+        }
         
         // 记录使用
         recordPromptUsage(promptId);
@@ -817,21 +1266,196 @@ async function handleUsePrompt(promptId) {
     }
   } catch (error) {
     console.error('使用提示词失败:', error);
-    showToast('使用失败');
+    showToast(`使用失败：${error.message}`);
   }
 }
 
-// 获取提示词详情
-async function getPromptById(promptId) {
+// 展开引用的其他提示词，包含模板变量时先填写表单，返回渲染后的内容；取消填写时返回 null
+async function resolvePromptText(prompt) {
+  if (!/\{\{/.test(prompt.content || '')) return prompt.content;
+  
+  const ref = { id: prompt.id, sourceId: prompt.sourceId, alias: prompt.alias, content: prompt.content, variables: prompt.variables };
+  const template = await sendMessage('prepareTemplate', { prompt: ref });
+  if (!template) return prompt.content;
+  // 只引用了其他提示词，没有需要填写的变量
+  if (template.fields.length === 0 && template.context.length === 0) return template.content;
+  
+  const context = await collectTabContext(template.context.map(variable => variable.name));
+  return showTemplateModal(prompt, template, context, values => sendMessage('renderTemplate', { prompt: ref, values }));
+}
+
+// 从当前标签页读取上下文变量；页面中没有 content script 时只能读取标签页信息、日期和剪贴板
+async function collectTabContext(names) {
+  if (names.length === 0) return {};
+  
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab) {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPageContext', names }).catch(() => null);
+    if (response?.success) return response.data;
+  }
+  
+  const pad = value => String(value).padStart(2, '0');
+  const now = new Date();
+  const fallback = {
+    'page.title': tab?.title || '',
+    'page.url': tab?.url || '',
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    lang: navigator.language
+  };
+  
+  const context = {};
+  for (const name of names) {
+    if (name === 'clipboard') {
+      context[name] = await navigator.clipboard.readText().catch(() => '');
+    } else {
+      context[name] = fallback[name] || '';
+    }
+  }
+  return context;
+}
+
+// 显示模板变量表单和上下文变量的预览，提交成功后返回渲染的内容
+function showTemplateModal(prompt, template, context, render) {
+  return new Promise(resolve => {
+    const modal = elements.templateModal;
+    if (!modal) {
+      resolve(null);
+      return;
+    }
+    
+    elements.templateTitle.textContent = prompt.title || '填写变量';
+    elements.templateError.style.display = 'none';
+    elements.templateForm.innerHTML = template.fields
+      .map(field => createTemplateFieldHTML(field, template.values[field.name]))
+      .join('') + createContextPreviewHTML(template.context, context);
+    
+    const submitBtn = document.getElementById('submitTemplateBtn');
+    const cancelBtns = [document.getElementById('cancelTemplateBtn'), document.getElementById('closeTemplateBtn')];
+    
+    const close = (text) => {
+      modal.classList.remove('show');
+      submitBtn.removeEventListener('click', submit);
+      cancelBtns.forEach(btn => btn.removeEventListener('click', cancel));
+      modal.removeEventListener('keydown', handleKeydown);
+      resolve(text);
+    };
+    
+    const submit = async () => {
+      const values = { ...context };
+      elements.templateForm.querySelectorAll('[data-name]').forEach(input => {
+        values[input.dataset.name] = input.value;
+      });
+      
+      try {
+        const data = await render(values);
+        close(data.text);
+      } catch (error) {
+        elements.templateError.textContent = error.message;
+        elements.templateError.style.display = 'block';
+      }
+    };
+    
+    const cancel = () => close(null);
+    
+    // 单行输入中 Enter 提交，多行文本中 Ctrl+Enter 提交
+    const handleKeydown = (e) => {
+      if (e.key === 'Enter' && (e.target.tagName !== 'TEXTAREA' || e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        submit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancel();
+      }
+    };
+    
+    submitBtn.addEventListener('click', submit);
+    cancelBtns.forEach(btn => btn.addEventListener('click', cancel));
+    modal.addEventListener('keydown', handleKeydown);
+    
+    modal.classList.add('show');
+    (elements.templateForm.querySelector('[data-name]') || submitBtn).focus();
+  });
+}
+
+// 生成上下文变量的预览，读取不到时显示默认值
+function createContextPreviewHTML(variables, context) {
+  if (variables.length === 0) return '';
+  
+  return `
+    <div class="template-context">
+      ${variables.map(variable => {
+        const value = context[variable.name] || variable.default;
+        return `
+          <div class="template-context-item" title="${escapeHtml(value)}">
+            <span class="template-context-label">${escapeHtml(variable.label)}</span>
+            <span class="template-context-value ${value ? '' : 'empty'}">${value ? escapeHtml(value) : '（空）'}</span>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+// 生成单个模板变量的输入控件
+function createTemplateFieldHTML(field, value = '') {
+  const name = escapeHtml(field.name);
+  let control;
+  
+  if (field.type === 'multiline') {
+    control = `<textarea class="template-input" data-name="${name}" rows="3">${escapeHtml(value)}</textarea>`;
+  } else if (field.type === 'select') {
+    control = `
+      <select class="template-input" data-name="${name}">
+        ${field.options.map(option => `<option value="${escapeHtml(option)}" ${option === value ? 'selected' : ''}>${escapeHtml(option)}</option>`).join('')}
+      </select>
+    `;
+  } else {
+    control = `<input class="template-input" type="${field.type === 'number' ? 'number' : 'text'}" data-name="${name}" value="${escapeHtml(value)}">`;
+  }
+  
+  return `
+    <label class="template-field">
+      <span>${escapeHtml(field.label)}</span>
+      ${control}
+    </label>
+  `;
+}
+
+// 处理收藏和取消收藏
+async function handleToggleFavorite(promptId) {
+  const prompt = [...state.prompts, ...state.searchResults].find(item => item.id === promptId);
+  if (!prompt) return;
+  
   try {
-    const data = await sendMessage('getPromptById', { id: promptId });
-    return data;
+    const data = await sendMessage('setFavorite', {
+      id: prompt.id,
+      sourceId: prompt.sourceId || 'default',
+      favorite: !prompt.favorite
+    });
+    
+    // 列表和搜索结果中同一提示词的收藏状态一起更新
+    [...state.prompts, ...state.searchResults]
+      .filter(item => item.id === prompt.id && (item.sourceId || 'default') === data.sourceId)
+      .forEach(item => {
+        item.favorite = data.favorite;
+      });
+    
+    renderPrompts();
+    if (elements.searchModal?.classList.contains('show')) {
+      renderSearchResults();
+    }
+    showToast(data.favorite ? '已收藏' : '已取消收藏');
   } catch (error) {
-    console.error('获取提示词失败:', error);
-    return null;
+    console.error('更新收藏失败:', error);
+    showToast('更新收藏失败');
   }
 }
 
+// 获取提示词详情，从已加载的列表和搜索结果中查找
+async function getPromptById(promptId) {
+  return [...state.prompts, ...state.searchResults].find(item => item.id === promptId) || null;
+}
+
 // 记录提示词使用
 async function recordPromptUsage(promptId) {
   try {
@@ -940,6 +1564,21 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// 按匹配位置输出高亮的 HTML，其余部分转义
+function highlightText(text, ranges) {
+  if (!text) return '';
+  if (!ranges || ranges.length === 0) return escapeHtml(text);
+
+  let html = '';
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(last, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  });
+
+  return html + escapeHtml(text.slice(last));
+}
+
 function formatDate(dateString) {
   const date = new Date(dateString);
   const now = new Date();
@@ -961,10 +1600,9 @@ function formatDate(dateString) {
 // 检查飞书配置
 async function checkFeishuConfig() {
   try {
-    const result = await chrome.storage.sync.get(['promptmaster_feishu_config']);
-    const config = result.promptmaster_feishu_config;
-    
-    return config && config.appId && config.appSecret && config.bitableAppToken && config.bitableTableId;
+    // 凭据加密保存在本机保险库，由后台按本机保险库判断是否已配置
+    const config = await sendMessage('getFeishuConfig');
+    return Boolean(config && config.hasCredentials && config.bitableAppToken && config.bitableTableId);
   } catch (error) {
     console.error('检查配置失败:', error);
     return false;
@@ -1149,10 +1787,12 @@ async function handleSavePrompt() {
     // 发送到background script
     const result = await sendMessage('createPrompt', { promptData });
     
-    showCreateStatus('提示词保存成功！', 'success');
+    showCreateStatus(result?.outboxItem ? '暂时无法连接飞书，已加入同步队列' : '提示词保存成功！', 'success');
     
     // 刷新提示词列表
+    state.cache.delete('prompts_list');
     await loadPrompts(true);
+    await loadOutbox();
     
     // 延迟关闭模态框
     setTimeout(() => {